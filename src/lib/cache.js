@@ -0,0 +1,126 @@
+/**
+ * Module for caching divinumofficium responses on disk
+ * @module cache
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import os from 'os';
+import crypto from 'crypto';
+import { getOpt } from './options.js';
+
+// Constants
+const DEFAULT_CACHE_DIR = path.join(os.homedir(), '.cache', 'divinumofficium-epub');
+const DEFAULT_TTL_HOURS = 168;
+
+// Counters for the final report
+let hits = 0;
+let misses = 0;
+
+/**
+ * Get cache directory
+ * @returns {string} - Cache directory path
+ */
+function cacheDir() {
+  return getOpt('cachedir') || DEFAULT_CACHE_DIR;
+}
+
+/**
+ * Get time to live of cache entries
+ * @returns {number} - TTL in milliseconds
+ */
+function cacheTtl() {
+  const hours = getOpt('cachettl') !== undefined ? Number(getOpt('cachettl')) : DEFAULT_TTL_HOURS;
+  return hours * 60 * 60 * 1000;
+}
+
+/**
+ * Get path of the cache entry for a request
+ * @param {string} dir - Cache directory
+ * @param {string} script - Script name ex. officium.pl
+ * @param {string} optstring - Options as a query string
+ * @returns {string} - Cache file path
+ */
+function entryPath(dir, script, optstring) {
+  const key = crypto.createHash('sha1').update(`${script}?${optstring}`).digest('hex');
+  return path.join(dir, key.substring(0, 2), `${key}.html`);
+}
+
+/**
+ * Read cached response
+ * @param {string} source - Source string ending with script name
+ * @param {string} optstring - Options as a query string
+ * @param {Function} [validate] - Returns error message for unusable body
+ * @returns {Promise<string|null>} - Cached body or null on miss
+ */
+async function read(source, optstring, validate = () => null) {
+  if (getOpt('nocache')) return null;
+
+  if (!getOpt('refresh')) {
+    const file = entryPath(cacheDir(), path.basename(source), optstring);
+    try {
+      const stat = await fs.stat(file);
+      if (Date.now() - stat.mtimeMs < cacheTtl()) {
+        const body = await fs.readFile(file, 'utf8');
+        if (!validate(body)) {
+          hits++;
+          return body;
+        }
+        // Unusable body, ex. error page cached before validation, is a miss
+        await fs.remove(file);
+      }
+    } catch (e) {
+      // Missing or unreadable entry is a miss
+    }
+  }
+
+  misses++;
+  return null;
+}
+
+/**
+ * Store response in cache
+ * @param {string} source - Source string ending with script name
+ * @param {string} optstring - Options as a query string
+ * @param {string} body - Response body
+ */
+async function write(source, optstring, body) {
+  if (getOpt('nocache')) return;
+
+  const file = entryPath(cacheDir(), path.basename(source), optstring);
+  // Write and rename so an exit in the middle never leaves a truncated entry,
+  // the random name keeps parallel writes of the same entry apart
+  const tmp = `${file}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+  try {
+    await fs.outputFile(tmp, body);
+    await fs.rename(tmp, file);
+  } catch (e) {
+    console.error(`Can't write cache entry ${file}: ${e.message}`);
+    await fs.remove(tmp).catch(() => {});
+  }
+}
+
+/**
+ * Look up an entry in a cache directory regardless of its age
+ * @param {string} dir - Cache directory
+ * @param {string} script - Script name ex. officium.pl
+ * @param {string} optstring - Options as a query string
+ * @returns {Promise<string|null>} - Cached body or null if missing
+ */
+async function lookup(dir, script, optstring) {
+  try {
+    return await fs.readFile(entryPath(dir, script, optstring), 'utf8');
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Get cache statistics
+ * @returns {Object} - Object with hits and misses counts
+ */
+function stats() {
+  return { hits, misses };
+}
+
+export { read, write, lookup, stats, cacheDir };
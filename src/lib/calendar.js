@@ -0,0 +1,196 @@
+/**
+ * Module for liturgical calendar computations
+ * @module calendar
+ *
+ * Dates are local midnights, as the dates of options. Seasons follow the
+ * 1960 rubrics: Christmastide ends on January 13 and Paschaltide on the
+ * Saturday after Pentecost.
+ */
+
+// Seasons in order of the liturgical year with display names
+const SEASONS = {
+  advent: 'Advent',
+  christmas: 'Christmastide',
+  epiphany: 'Time after Epiphany',
+  septuagesima: 'Septuagesima',
+  lent: 'Lent',
+  easter: 'Paschaltide',
+  pentecost: 'Time after Pentecost'
+};
+
+// Periods of date expressions with their first and last day, by year of the first day
+const PERIODS = {
+  advent: year => [adventSunday(year), new Date(year, 11, 24)],
+  christmas: year => [new Date(year, 11, 25), new Date(year + 1, 0, 13)],
+  'christmas-octave': year => [new Date(year, 11, 25), new Date(year + 1, 0, 1)],
+  epiphany: year => [new Date(year, 0, 14), addDays(easter(year), -64)],
+  septuagesima: year => [addDays(easter(year), -63), addDays(easter(year), -47)],
+  lent: year => [addDays(easter(year), -46), addDays(easter(year), -1)],
+  'holy-week': year => [addDays(easter(year), -7), addDays(easter(year), -1)],
+  easter: year => [easter(year), addDays(easter(year), 55)],
+  pentecost: year => [addDays(easter(year), 56), addDays(adventSunday(year), -1)]
+};
+
+// Roman numerals of week numbers
+const ROMAN = ['I', 'II', 'III', 'IV', 'V', 'VI', 'VII', 'VIII', 'IX', 'X', 'XI', 'XII', 'XIII', 'XIV',
+  'XV', 'XVI', 'XVII', 'XVIII', 'XIX', 'XX', 'XXI', 'XXII', 'XXIII', 'XXIV', 'XXV', 'XXVI', 'XXVII', 'XXVIII'];
+
+/**
+ * Add days to a date
+ * @param {Date} date - Date
+ * @param {number} days - Number of days, may be negative
+ * @returns {Date} - New date
+ */
+function addDays(date, days) {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+}
+
+/**
+ * Get Easter Sunday of a year (anonymous Gregorian computus)
+ * @param {number} year - Year
+ * @returns {Date} - Easter Sunday
+ */
+function easter(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = (h + l - 7 * m + 114) % 31 + 1;
+  return new Date(year, month - 1, day);
+}
+
+/**
+ * Get first Sunday of Advent of a year
+ * @param {number} year - Year
+ * @returns {Date} - Sunday between November 27 and December 3
+ */
+function adventSunday(year) {
+  const date = new Date(year, 10, 27);
+  return addDays(date, (7 - date.getDay()) % 7);
+}
+
+/**
+ * Get liturgical season of a date
+ * @param {Date} date - Date
+ * @returns {Object} - Object with season name and its start date
+ */
+function season(date) {
+  const year = date.getFullYear();
+  const day = new Date(year, date.getMonth(), date.getDate());
+
+  if (day >= new Date(year, 11, 25)) {
+    return { name: 'christmas', start: new Date(year, 11, 25) };
+  }
+  if (day >= adventSunday(year)) {
+    return { name: 'advent', start: adventSunday(year) };
+  }
+  if (day <= new Date(year, 0, 13)) {
+    return { name: 'christmas', start: new Date(year - 1, 11, 25) };
+  }
+
+  const pascha = easter(year);
+  if (day < addDays(pascha, -63)) {
+    return { name: 'epiphany', start: new Date(year, 0, 14) };
+  }
+  if (day < addDays(pascha, -46)) {
+    return { name: 'septuagesima', start: addDays(pascha, -63) };
+  }
+  if (day < pascha) {
+    return { name: 'lent', start: addDays(pascha, -46) };
+  }
+  if (day < addDays(pascha, 56)) {
+    return { name: 'easter', start: pascha };
+  }
+  return { name: 'pentecost', start: addDays(pascha, 56) };
+}
+
+/**
+ * Get week of the Proper of Time of a date, weeks begin on Sunday
+ * @param {Date} date - Date
+ * @returns {Object} - Object with season name, week number (0 for the days
+ *   before the first Sunday) and Latin name of the week
+ */
+function temporalWeek(date) {
+  const day = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  const { name, start } = season(day);
+  const sunday = addDays(day, -day.getDay());
+  const weeksSince = from => Math.floor(Math.round((sunday - from) / 86400000) / 7);
+
+  switch (name) {
+    case 'advent': {
+      const week = weeksSince(start) + 1;
+      return { season: name, week, name: `Hebdomada ${ROMAN[week - 1]} Adventus` };
+    }
+    case 'christmas':
+      return { season: name, week: 0, name: 'Tempus Nativitatis' };
+    case 'epiphany': {
+      // Weeks after Epiphany are counted from the Sunday after January 6
+      const epiphany = new Date(start.getFullYear(), 0, 6);
+      const week = weeksSince(addDays(epiphany, 7 - epiphany.getDay())) + 1;
+      return { season: name, week, name: `Hebdomada ${ROMAN[week - 1]} post Epiphaniam` };
+    }
+    case 'septuagesima': {
+      const week = weeksSince(start) + 1;
+      return { season: name, week, name: `Hebdomada ${['Septuagesimæ', 'Sexagesimæ', 'Quinquagesimæ'][week - 1]}` };
+    }
+    case 'lent': {
+      // Ash Wednesday to Saturday come before the first Sunday of Lent
+      const week = weeksSince(addDays(start, 4)) + 1;
+      const names = ['Dies post Cineres', 'Hebdomada I Quadragesimæ', 'Hebdomada II Quadragesimæ',
+        'Hebdomada III Quadragesimæ', 'Hebdomada IV Quadragesimæ', 'Hebdomada Passionis', 'Hebdomada Sancta'];
+      return { season: name, week, name: names[week] };
+    }
+    case 'easter': {
+      const week = weeksSince(start);
+      const names = { 0: 'Octava Paschæ', 7: 'Octava Pentecostes' };
+      return { season: name, week, name: names[week] || `Hebdomada ${ROMAN[week - 1]} post Pascha` };
+    }
+    default: {
+      const week = weeksSince(start) + 1;
+      return { season: name, week, name: `Hebdomada ${ROMAN[week - 1]} post Pentecosten` };
+    }
+  }
+}
+
+/**
+ * Get dates of a liturgical date expression
+ * @param {string} expression - Period with optional offset in days from its
+ *   first day and optional year, ex. "advent 2025", "easter+49", "holy-week 2026"
+ * @param {Date} after - Without a year the first period ending on or after this date is taken
+ * @returns {Object|null} - Object with first and last date, the same date with
+ *   an offset, or null if the expression is not a known period
+ */
+function liturgicalRange(expression, after) {
+  const match = expression.trim().toLowerCase()
+    .match(/^([a-z]+(?:-[a-z]+)*)(?:\s*([+-])\s*(\d+))?(?:\s+(\d{4}))?$/);
+  if (!match || !PERIODS[match[1]]) return null;
+
+  const [, period, sign, offset, year] = match;
+  const range = y => {
+    const [first, last] = PERIODS[period](y);
+    if (!offset) return { first, last };
+    const date = addDays(first, sign === '-' ? -Number(offset) : Number(offset));
+    return { first: date, last: new Date(date) };
+  };
+
+  if (year) return range(Number(year));
+
+  // Christmastide of the previous year may not be over yet
+  let y = after.getFullYear() - 1;
+  const day = new Date(after.getFullYear(), after.getMonth(), after.getDate());
+  while (range(y).last < day) y++;
+  return range(y);
+}
+
+export { SEASONS, PERIODS, addDays, easter, adventSunday, season, temporalWeek, liturgicalRange };
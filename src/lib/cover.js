@@ -0,0 +1,110 @@
+/**
+ * Module for generating cover with book title, date range, rubrics and languages
+ * @module cover
+ *
+ * The cover is filled in from assets/cover.svg, where {{name}} placeholders
+ * are replaced by escaped values and the stock image is the background.
+ */
+
+import { getFile } from './assets.js';
+import * as Options from './options.js';
+
+// Constants
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const TITLE_LINE_LENGTH = 18;
+const TITLE_MAX_LINES = 3;
+const TITLE_CENTER_Y = 175;
+const TITLE_LINE_HEIGHT = 50;
+
+/**
+ * Escape text for XML
+ * @param {string} text - Text
+ * @returns {string} - Escaped text
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Break title into lines fitting the title panel
+ * @param {string} title - Book title
+ * @returns {string[]} - Lines, the last one shortened if there are too many
+ */
+function titleLines(title) {
+  const lines = [];
+  title.split(/\s+/).filter(w => w).forEach(word => {
+    const last = lines[lines.length - 1];
+    if (last !== undefined && `${last} ${word}`.length <= TITLE_LINE_LENGTH) {
+      lines[lines.length - 1] = `${last} ${word}`;
+    } else {
+      lines.push(word);
+    }
+  });
+
+  if (lines.length > TITLE_MAX_LINES) {
+    lines.length = TITLE_MAX_LINES;
+    lines[TITLE_MAX_LINES - 1] += '…';
+  }
+  return lines;
+}
+
+/**
+ * Format date range of the book
+ * @param {string[]} dates - Dates MM-DD-YYYY in order
+ * @returns {string} - Range ex. 'Jan 1 – Jan 31, 2025'
+ */
+function dateRange(dates) {
+  if (dates.length === 0) return '';
+
+  const parse = d => {
+    const [month, day, year] = d.split('-').map(Number);
+    return { month, day, year };
+  };
+  const from = parse(dates[0]);
+  const to = parse(dates[dates.length - 1]);
+  const format = d => `${MONTHS[d.month - 1]} ${d.day}`;
+
+  if (dates.length === 1) {
+    return `${format(from)}, ${from.year}`;
+  }
+  if (from.year === to.year) {
+    return `${format(from)} – ${format(to)}, ${to.year}`;
+  }
+  return `${format(from)}, ${from.year} – ${format(to)}, ${to.year}`;
+}
+
+/**
+ * Generate cover SVG
+ * @param {string[]} dates - Dates of the book MM-DD-YYYY in order
+ * @param {string} background - Reference to background image
+ * @returns {string} - SVG element
+ */
+function coverSvg(dates, background) {
+  const lines = titleLines(Options.getOpt('title'));
+  const title = lines
+    .map((line, i) => `<tspan x="300"${i > 0 ? ` dy="${TITLE_LINE_HEIGHT}"` : ''}>${escapeXml(line)}</tspan>`)
+    .join('');
+
+  const lang1 = Options.getOpt('lang1');
+  const lang2 = Options.getOpt('lang2').replace(/\/.*/, '');
+
+  const values = {
+    background: escapeXml(background),
+    title,
+    titleY: Math.round(TITLE_CENTER_Y - (lines.length - 1) * TITLE_LINE_HEIGHT / 2),
+    // No dates for votive offices, same as title page
+    dates: Options.getOpt('votive') !== 'Defunctorum' ? escapeXml(dateRange(dates)) : '',
+    rubrics: escapeXml(Options.getOpt('rubrics').replace(/\+/g, ' ')),
+    languages: escapeXml(lang1 !== lang2 ? `${lang1} / ${lang2}` : lang1)
+  };
+
+  return getFile('cover.svg').toString()
+    .replace(/\{\{(\w+)\}\}/g, (match, name) => name in values ? values[name] : match)
+    .trim();
+}
+
+export { coverSvg, dateRange };
@@ -0,0 +1,107 @@
+/**
+ * Module for sharing identical hours between days of a book
+ * @module dedup
+ *
+ * An hour is the h2 heading set by EnhancedDOM.addIdToHoras() with everything
+ * up to the next heading. With --dedup an hour identical to the same hour of
+ * an earlier day is kept only there, the later day gets the heading and a
+ * link to it, and the table of contents points to the earlier day.
+ */
+
+import crypto from 'crypto';
+
+// Day holding every distinct hour, by hash of its markup
+let firstDays = new Map();
+
+// Date keys of the pages holding shared hours of a day, by date key and hour
+let sharedHours = {};
+
+// Counters for the final report
+let hours = 0;
+let shared = 0;
+let savedBytes = 0;
+
+/**
+ * Forget hours of the previous book
+ */
+function reset() {
+  firstDays = new Map();
+  sharedHours = {};
+  hours = 0;
+  shared = 0;
+  savedBytes = 0;
+}
+
+/**
+ * Find hours in a day page
+ * @param {string} content - Page content
+ * @returns {Array<Object>} - Hours with id, start and end offsets and end of their heading
+ */
+function hourBlocks(content) {
+  const bodyEnd = content.lastIndexOf('</body>');
+  const starts = [...content.matchAll(/<h2 id="([^"]+)"/g)];
+
+  return starts.map((match, i) => ({
+    id: match[1],
+    start: match.index,
+    headingEnd: content.indexOf('</h2>', match.index) + '</h2>'.length,
+    end: i + 1 < starts.length ? starts[i + 1].index : bodyEnd
+  }));
+}
+
+/**
+ * Replace hours already in an earlier day by links to them
+ * @param {string} dateKey - Date key of the day, ex. 01-07-2025
+ * @param {string|Buffer} page - Page content
+ * @param {Function} label - Gives link text for date key of the earlier day
+ * @returns {string} - Page content with shared hours replaced
+ */
+function dedupDay(dateKey, page, label) {
+  const content = String(page);
+  let result = '';
+  let last = 0;
+
+  hourBlocks(content).forEach(block => {
+    const markup = content.substring(block.start, block.end);
+    const hash = crypto.createHash('sha1').update(markup).digest('hex');
+    hours++;
+
+    const first = firstDays.get(hash);
+    if (!first) {
+      firstDays.set(hash, dateKey);
+      return;
+    }
+
+    // Heading stays for the anchor of the day, text is read in the earlier day
+    const heading = content.substring(block.start, block.headingEnd);
+    const replacement = `${heading}\n<p class="center"><a href="${first}.html#${block.id}">${label(first)}</a></p>\n`;
+    result += content.substring(last, block.start) + replacement;
+    last = block.end;
+
+    sharedHours[dateKey] = { ...sharedHours[dateKey], [block.id]: first };
+    shared++;
+    savedBytes += Buffer.byteLength(markup) - Buffer.byteLength(replacement);
+  });
+
+  return result + content.substring(last);
+}
+
+/**
+ * Get page holding an hour of a day
+ * @param {string} dateKey - Date key of the day
+ * @param {string} hora - Hour, id of its heading
+ * @returns {string} - Date key of the day with the text of the hour
+ */
+function pageOf(dateKey, hora) {
+  return sharedHours[dateKey]?.[hora] || dateKey;
+}
+
+/**
+ * Get dedup statistics
+ * @returns {Object} - Object with hours and shared counts and saved bytes
+ */
+function stats() {
+  return { hours, shared, savedBytes };
+}
+
+export { reset, dedupDay, pageOf, stats };
@@ -1,53 +1,109 @@
-import fetch from 'node-fetch';
-import { exec } from 'child_process';
-import util from 'util';
 import * as Options from './options.js';
 import * as Horas from './horas.js';
 import * as Epub from './epub.js';
 import * as Reporter from './reporter.js';
 import * as Lexbor from './mylexbor.js';
+import * as Cache from './cache.js';
+import * as Scheduler from './scheduler.js';
+import * as Sources from './sources.js';
+import * as Manifest from './manifest.js';
 import fs from 'fs-extra';
 import path from 'path';
 import { JSDOM } from 'jsdom';
-import { TMP_DIR, createTmpDir, deleteTmpDir } from './epub.js';
+import { TMP_DIR, createTmpDir } from './epub.js';
 import { cleanHtml } from './horas.js';
 import { getOpt } from './options.js';
 import { clearExpands } from './mylexbor.js';
 
-// Convert exec to promise-based version for async/await
-const execPromise = util.promisify(exec);
+// Expands collected from all days of the range
+let collectedExpands = [];
+
+// Defaults for the fetch layer
+const DEFAULT_RETRIES = 3;
+const BACKOFF_BASE = 1000;
 
 /**
  * Get content from a source with options string
- * @param {string} source - Source URL or command
+ * @param {string} source - Source string ending with script name
  * @param {string} optstring - Options as a query string
+ * @param {Function} [validate] - Returns error message for unusable body
  * @returns {string} - Response body
  */
-async function get(source, optstring) {
-  try {
-    // Check if source is a URL
-    const regex = /^(?:(https?):\/\/)([^/]*)\/(.*)/;
-    const match = source.match(regex);
-    
-    if (match) {
-      // Handle URL case
-      const headers = {
-        'User-Agent': `divinumofficium.epub/${process.env.npm_package_version || '1.1.2'}`
-      };
+async function get(source, optstring, validate = () => null) {
+  const cacheable = Sources.cacheable(source);
+  let body = null;
+  
+  if (cacheable) {
+    body = await Cache.read(source, optstring, validate);
+  }
+
+  if (body === null) {
+    body = await fetchWithRetry(source, optstring, validate);
+    if (cacheable) {
+      await Cache.write(source, optstring, body);
+    }
+  }
+  
+  // Keep raw response for replaying with fixture:// source
+  if (getOpt("record")) {
+    await Sources.recordFixture(getOpt("record"), source, optstring, body);
+  }
+  return body;
+}
+
+/**
+ * Fetch content retrying transient failures with exponential backoff
+ * @param {string} source - Source string ending with script name
+ * @param {string} optstring - Options as a query string
+ * @param {Function} validate - Returns error message for unusable body
+ * @returns {string} - Response body
+ */
+async function fetchWithRetry(source, optstring, validate) {
+  const retries = getOpt("retries") !== undefined ? parseInt(getOpt("retries"), 10) : DEFAULT_RETRIES;
+  
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const body = await Scheduler.run(source, () => Sources.get(source, optstring));
+      const problem = validate(body);
+      if (problem) {
+        throw new Error(problem);
+      }
+      return body;
+    } catch (ex) {
+      if (ex.retryable === false || attempt >= retries) {
+        console.error(`\n${ex.message}`);
+        process.exit(1);
+      }
       
-      const response = await fetch(source + "?" + optstring.replace(/ /g, "&"), { headers });
-      return await response.text();
-    } else {
-      // Handle command case
-      const { stdout } = await execPromise(`${source} '${optstring}'`);
-      return stdout.replace(/^.*?</m, "<");
+      // Full jitter: random delay up to the exponential backoff
+      const delay = Math.round(Math.random() * BACKOFF_BASE * 2 ** attempt);
+      Reporter.report(`${ex.message}, retrying in ${delay}ms (${attempt + 1}/${retries})`);
+      await new Promise(resolve => setTimeout(resolve, delay));
     }
-  } catch (ex) {
-    console.error(ex.message);
-    process.exit(1);
   }
 }
 
+/**
+ * Join options into a query string with encoded values
+ * @param {string[]} o - Options as name=value strings
+ * @returns {string} - Query string
+ */
+function queryString(o) {
+  return o.map(x => x.replace(/=(.*)$/s, (_, v) => `=${encodeURIComponent(v)}`)).join("&");
+}
+
+/**
+ * Check that officium.pl returned a page with hour headings
+ * @param {string} html - Response body
+ * @returns {string|null} - Error message or null if page is usable
+ */
+function checkHoras(html) {
+  if (!/<h2[\s>]/i.test(html)) {
+    return "Response contains no hour headings";
+  }
+  return null;
+}
+
 /**
  * Generate options string for Horas
  * @param {string} date - Date string
@@ -82,7 +138,70 @@ function horasOpts(date) {
     o.push("expand=psalteria");
   }
   
-  return o.join("&");
+  return queryString(o);
+}
+
+/**
+ * Check that missa.pl returned a page with the text of the Mass
+ * @param {string} html - Response body
+ * @returns {string|null} - Error message or null if page is usable
+ */
+function checkMissa(html) {
+  if (!/<table[\s>]/i.test(html)) {
+    return "Response contains no Mass text";
+  }
+  return null;
+}
+
+/**
+ * Generate options string for Missa, mirroring horasOpts()
+ * @param {string} date - Date string
+ * @returns {string} - Options string
+ */
+function missaOpts(date) {
+  const o = [`date=${date}`];
+  
+  // Add language options
+  o.push(`lang1=${Options.getOpt("lang1")}`);
+  o.push(`lang2=${Options.getOpt("lang2").replace(/.*\//, "")}`);
+  o.push(`langfb=${Options.getOpt("langfb").replace(/.*\//, "")}`);
+  
+  // Add version and command
+  o.push(`version=${Options.getOpt("rubrics")}`);
+  o.push("command=praySanctaMissa");
+  
+  // Only the propers of the day unless the full Ordinary is asked for
+  if (!Options.getOpt("ordinarium")) {
+    o.push("Propers=1");
+  }
+  
+  return queryString(o);
+}
+
+/**
+ * Generate options string for the Martyrology, read at Prime
+ * @param {string} date - Date string
+ * @returns {string} - Options string of Prime of the day
+ */
+function martyrologyOpts(date) {
+  return horasOpts(date).replace(/command=[^&]*/, "command=prayPrima");
+}
+
+/**
+ * Generate options string identifying everything downloaded for a day
+ * @param {string} date - Date string
+ * @returns {string} - Options string of officium.pl, with those of the
+ *   Martyrology and missa.pl if included
+ */
+function dayOpts(date) {
+  let o = horasOpts(date);
+  if (Options.getOpt("martyrology")) {
+    o += `&martyrology?${martyrologyOpts(date)}`;
+  }
+  if (Options.getOpt("missa")) {
+    o += `&missa?${missaOpts(date)}`;
+  }
+  return o;
 }
 
 /**
@@ -91,8 +210,6 @@ function horasOpts(date) {
  * @returns {string} - Options string
  */
 function popupOpts(item) {
-  item = item.replace(/^&/, "\\&");
-  
   const o = [`popup=${item}`];
   
   // Format date as MM/DD/YYYY
@@ -108,7 +225,7 @@ function popupOpts(item) {
     o.push("priest=1");
   }
   
-  return o.join("&");
+  return queryString(o);
 }
 
 /**
@@ -117,7 +234,49 @@ function popupOpts(item) {
  * @returns {Promise<string>} - Horas content
  */
 async function getHoras(date) {
-  return await get(`${Options.getOpt("source")}officium.pl`, horasOpts(date));
+  return await get(`${Options.getOpt("source")}officium.pl`, horasOpts(date), checkHoras);
+}
+
+/**
+ * Get source of missa.pl, which lives next to the horas scripts
+ * @returns {string} - Source string ex. https://host/cgi-bin/missa/
+ */
+function missaSource() {
+  return Options.getOpt("source").replace(/\/horas\/$/, "/missa/");
+}
+
+/**
+ * Get Missa content for a date
+ * @param {string} date - Date string
+ * @returns {Promise<string>} - Missa content
+ */
+async function getMissa(date) {
+  return await get(`${missaSource()}missa.pl`, missaOpts(date), checkMissa);
+}
+
+/**
+ * Get Martyrology for a date
+ * @param {string} date - Date string
+ * @returns {Promise<string>} - Prime of the date, which reads the Martyrology
+ *   of the following day as the rubrics require
+ */
+async function getMartyrology(date) {
+  return await get(`${Options.getOpt("source")}officium.pl`, martyrologyOpts(date), checkHoras);
+}
+
+/**
+ * Get Horas and, if included, Martyrology and Missa content for a date
+ * @param {string} date - Date string
+ * @returns {Promise<Object>} - Object with horas, martyrology and missa
+ *   content, null if not included
+ */
+async function getDay(date) {
+  const [horas, martyrology, missa] = await Promise.all([
+    getHoras(date),
+    Options.getOpt("martyrology") ? getMartyrology(date) : null,
+    Options.getOpt("missa") ? getMissa(date) : null
+  ]);
+  return { horas, martyrology, missa };
 }
 
 /**
@@ -130,10 +289,28 @@ async function getPopup(item) {
 }
 
 /**
- * Download Horas for date range
+ * Start downloads of the next items, as many running ahead as parallel jobs
+ * @param {Array<Promise|null>} downloads - Started downloads by index, filled in place
+ * @param {number} index - Index of the item processed now
+ * @param {number} count - Number of items
+ * @param {Function} start - Starts download of an item by index
+ */
+function startAhead(downloads, index, count, start) {
+  for (let i = index; i < Math.min(index + Scheduler.jobs(), count); i++) {
+    if (downloads[i] === undefined) {
+      downloads[i] = start(i);
+    }
+  }
+}
+
+/**
+ * Download Horas for date range, one day processed after another
+ * @param {Function} [onDay] - Called with date, page content and headline with
+ *   rank and commemorations of every day in order, awaited before the next day
+ *   so the page can be released
  * @returns {Promise<Object>} - Map of dates to title strings (like Crystal version)
  */
-async function downloadHoras() {
+async function downloadHoras(onDay = async () => {}) {
   const datefrom = Options.getOpt("datefrom");
   const dateto = Options.getOpt("dateto");
   
@@ -142,26 +319,44 @@ async function downloadHoras() {
     process.exit(1);
   }
 
-  // Create temp directory (matching Crystal behavior)
+  // Create temp directory (matching Crystal behavior), removed on exit by make()
   await createTmpDir();
-  
-  // Setup cleanup on exit
-  process.on('exit', async () => {
-    try {
-      await deleteTmpDir();
-    } catch (e) {
-      console.error('Error cleaning up temp directory:', e.message);
-    }
-  });
 
-  const ordo = {};
-  
-  // Process each date independently (no global deduplication)
+  // Collect dates of the range
+  const dates = [];
   for (let current = new Date(datefrom); current <= dateto; current.setDate(current.getDate() + 1)) {
     const month = String(current.getMonth() + 1).padStart(2, '0');
     const day = String(current.getDate()).padStart(2, '0');
     const year = current.getFullYear();
-    const dateStr = `${month}-${day}-${year}`;
+    dates.push(`${month}-${day}-${year}`);
+    
+    // Only first day unless votive is "Hodie"
+    if (Options.getOpt("votive") !== "Hodie") {
+      break;
+    }
+  }
+  
+  // Days completed by a previous run with the same inputs are reused
+  await Manifest.load();
+  const completed = await Promise.all(dates.map(dateStr => Manifest.completedDay(dateStr, dayOpts(dateStr))));
+  
+  // Downloads run only a few days ahead, raw pages of the whole range are never held at once
+  const downloads = [];
+  
+  const ordo = {};
+  collectedExpands = [];
+  
+  // Process each date independently and in order (no global deduplication)
+  for (const [i, dateStr] of dates.entries()) {
+    startAhead(downloads, i, dates.length, j => completed[j] ? null : getDay(dates[j]));
+    
+    if (completed[i]) {
+      Reporter.report(`Reusing ${dateStr}`);
+      ordo[dateStr] = completed[i].title;
+      collectedExpands.push(...completed[i].expands);
+      await onDay(dateStr, await fs.readFile(path.join(Epub.workDir(), 'Text', `${dateStr}.html`)), completed[i].headline);
+      continue;
+    }
     
     Reporter.report(`Downloading ${dateStr}`);
     
@@ -169,34 +364,34 @@ async function downloadHoras() {
     clearExpands();
     
     // Get raw HTML for this date
-    const html = await getHoras(dateStr);
+    const { horas, martyrology, missa } = await downloads[i];
+    downloads[i] = null;
     
     // Process the HTML and get the title (matching Crystal's prepare_horas behavior)
-    const title = await Horas.prepareHoras(html, dateStr);
+    const { title, content, headline } = await Horas.prepareHoras(horas, dateStr, { martyrology, missa });
     
     // Store only the title in ordo (like Crystal version)
     ordo[dateStr] = title;
     
-    // Break after first iteration unless votive is "Hodie"
-    if (Options.getOpt("votive") !== "Hodie") {
-      break;
-    }
+    const expands = Lexbor.getExpands();
+    collectedExpands.push(...expands);
+    await Manifest.completeDay(dateStr, dayOpts(dateStr), title, expands, headline);
+    await onDay(dateStr, content, headline);
   }
   
   return ordo;
 }
 
 /**
- * Download expands for prayers
- * @returns {Promise<string>} - Joined expand content
+ * Download expands for prayers, one prepared after another
+ * @param {Function} [onExpand] - Called with prepared content of every expand in
+ *   order, awaited before the next one
+ * @returns {Promise<number>} - Number of expands
  */
-async function downloadExpands() {
+async function downloadExpands(onExpand = async () => {}) {
   Reporter.report("Downloading expands");
   
-  // Clear any existing expands first
-  clearExpands();
-  
-  const expands = await Lexbor.getExpands();
+  const expands = [...new Set(collectedExpands)];
   
   // Add $Ante and $Post for certain rubrics and ensure uniqueness
   if (Options.getOpt("rubrics").match(/Divino|1910/) || Options.getOpt("antepost")) {
@@ -207,20 +402,28 @@ async function downloadExpands() {
     expands.push(...uniqueExpands);
   }
   
-  // Download and prepare each expand in parallel
-  const expandContents = await Promise.all(
-    expands.map(async e => {
-      const content = await getPopup(e);
-      return await Horas.prepareExpand(content, e.substring(1));
-    })
-  );
+  // Download a few ahead (bounded by the scheduler) and prepare in order
+  const downloads = [];
+  for (const [i, e] of expands.entries()) {
+    startAhead(downloads, i, expands.length, j => getPopup(expands[j]));
+    const content = await downloads[i];
+    downloads[i] = null;
+    await onExpand(Horas.prepareExpand(content, e.substring(1)));
+  }
+  
+  const { hits, misses } = Cache.stats();
+  if (!Options.getOpt("nocache")) {
+    Reporter.report(`Cache: ${hits} hits, ${misses} misses`);
+  }
   
-  return expandContents.join("");
+  return expands.length;
 }
 
 export {
   get,
   getHoras,
+  getMartyrology,
+  getMissa,
   getPopup,
   downloadHoras,
   downloadExpands
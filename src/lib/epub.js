@@ -2,37 +2,65 @@ import fs from 'fs-extra';
 import path from 'path';
 import os from 'os';
 import archiver from 'archiver';
-import { v4 as uuidv4 } from 'uuid';
+import { v4 as uuidv4, v5 as uuidv5 } from 'uuid';
 import { create as xmlbuilder } from 'xmlbuilder2';
 import { getFile, getFilePath } from './assets.js';
 import * as Options from './options.js';
 import * as DivinumOfficium from './do.js';
-import JPEG from './jpeg.js';
+import { langCode } from './mylexbor.js';
+import { probe as probeImage } from './image.js';
+import * as Fonts from './fonts.js';
+import { subsetFont, collectChars } from './subset.js';
+import { coverSvg } from './cover.js';
+import { splitRange, volumeOutput } from './volumes.js';
+import * as Dedup from './dedup.js';
+import { ordoEntry } from './ordo.js';
 import * as Reporter from './reporter.js';
 import crc32 from 'crc-32';
 
 // Constants
 const TMP_DIR = path.join(os.tmpdir(), `${path.basename(process.argv[1])}-tmp-${Math.floor(Date.now() / 1000)}`);
 const EXPAND_PAGE = 'expands.html';
-const EPUB_IDENTIFIER = uuidv4();
+const IDENTIFIER_NAMESPACE = uuidv5('https://www.divinumofficium.com', uuidv5.URL);
+// Earliest date a ZIP entry can have, used when SOURCE_DATE_EPOCH is not set
+const REPRODUCIBLE_DATE = new Date('1980-01-01T00:00:00Z');
+
+// Random identifier of the book being made, every volume gets a new one
+let epubIdentifier = uuidv4();
+
+// Whether temporary directory is removed on exit
+let cleanupRegistered = false;
+
+// Peak resident set and heap sizes of the build
+const peakMemory = { rss: 0, heap: 0 };
+
+/**
+ * Get directory for processed pages
+ * @returns {string} - Work directory if given, temporary directory otherwise
+ */
+function workDir() {
+  return Options.getOpt('workdir') || TMP_DIR;
+}
 
 /**
  * Create temporary directory
  */
 async function createTmpDir() {
   try {
-    await fs.ensureDir(TMP_DIR);
-    await fs.ensureDir(path.join(TMP_DIR, 'Text'));
+    await fs.ensureDir(workDir());
+    await fs.ensureDir(path.join(workDir(), 'Text'));
   } catch (e) {
-    console.error(`Can't create temporary directory ${TMP_DIR}`);
+    console.error(`Can't create temporary directory ${workDir()}`);
     process.exit(1);
   }
 }
 
 /**
- * Delete temporary directory
+ * Delete temporary directory (work directory is kept for resuming)
  */
 async function deleteTmpDir() {
+  if (Options.getOpt('workdir')) return;
+  
   try {
     await fs.remove(TMP_DIR);
   } catch (e) {
@@ -40,6 +68,86 @@ async function deleteTmpDir() {
   }
 }
 
+/**
+ * Get identifier of the book
+ * @param {Object} ordo - Map of dates to titles
+ * @returns {string} - Random UUID, or in reproducible mode UUID derived from
+ *   title, rubrics, languages and date range
+ */
+function bookIdentifier(ordo) {
+  if (!Options.getOpt('reproducible')) {
+    return epubIdentifier;
+  }
+  
+  const dates = Object.keys(ordo);
+  const name = [
+    Options.getOpt('title'),
+    Options.getOpt('rubrics'),
+    Options.getOpt('lang1'),
+    Options.getOpt('lang2'),
+    dates[0],
+    dates[dates.length - 1]
+  ].join('\n');
+  return uuidv5(name, IDENTIFIER_NAMESPACE);
+}
+
+/**
+ * Get date of the build
+ * @returns {Date} - SOURCE_DATE_EPOCH if set, fixed date in reproducible mode, now otherwise
+ */
+function buildDate() {
+  if (process.env.SOURCE_DATE_EPOCH) {
+    return new Date(Number(process.env.SOURCE_DATE_EPOCH) * 1000);
+  }
+  return Options.getOpt('reproducible') ? REPRODUCIBLE_DATE : new Date();
+}
+
+/**
+ * Get archive entry data
+ * @param {string} name - Entry name
+ * @returns {Object} - Entry data, with build date in reproducible mode
+ */
+function entry(name) {
+  return Options.getOpt('reproducible') ? { name, date: buildDate() } : { name };
+}
+
+/**
+ * Add entry to archive and wait until it is written, so only one page is held at a time
+ * @param {archiver} archive - Archive instance
+ * @param {string|Buffer|Stream} data - Entry content
+ * @param {string} name - Entry name
+ * @returns {Promise<void>} - Resolved when the entry is processed
+ */
+function addEntry(archive, data, name) {
+  return new Promise(resolve => {
+    const onEntry = processed => {
+      if (processed.name === name) {
+        archive.off('entry', onEntry);
+        resolve();
+      }
+    };
+    archive.on('entry', onEntry);
+    archive.append(data, entry(name));
+  });
+}
+
+/**
+ * Remember peak memory use for the build summary
+ */
+function sampleMemory() {
+  const { rss, heapUsed } = process.memoryUsage();
+  peakMemory.rss = Math.max(peakMemory.rss, rss);
+  peakMemory.heap = Math.max(peakMemory.heap, heapUsed);
+}
+
+/**
+ * Get language codes of the book
+ * @returns {string[]} - Code of primary language followed by secondary one if different
+ */
+function languages() {
+  return [...new Set([langCode(Options.getOpt('lang1')), langCode(Options.getOpt('lang2'))])];
+}
+
 /**
  * Generate container.xml
  * @returns {string} - XML content
@@ -61,31 +169,89 @@ function containerXml() {
   return xml.end({ prettyPrint: true, indent: '  ' });
 }
 
+/**
+ * Generate encryption.xml listing obfuscated fonts
+ * @param {Array<Object>} fonts - Embedded fonts
+ * @returns {string} - XML content
+ */
+function encryptionXml(fonts) {
+  const xml = xmlbuilder({
+    encryption: {
+      '@xmlns': 'urn:oasis:names:tc:opendocument:xmlns:container',
+      '@xmlns:enc': 'http://www.w3.org/2001/04/xmlenc#',
+      'enc:EncryptedData': fonts.map(font => ({
+        'enc:EncryptionMethod': { '@Algorithm': 'http://www.idpf.org/2008/embedding' },
+        'enc:CipherData': {
+          'enc:CipherReference': { '@URI': `OEBPS/Fonts/${encodeURIComponent(font.file)}` }
+        }
+      }))
+    }
+  });
+  
+  return xml.end({ prettyPrint: true, indent: '  ' });
+}
+
 /**
  * Generate content.opf
  * @param {Object} ordo - Map of dates to content objects with title and content
- * @param {string} exps - Expands content
- * @param {string[]} fonts - Array of font filenames
+ * @param {number} expandCount - Number of expands on expands page
+ * @param {Array<Object>} fonts - Fonts from Fonts.loadFonts()
+ * @param {Object|null} cover - Cover image from coverImage() or null without cover
+ * @param {Object|null} volume - Series name and index of the volume or null for a single book
  * @returns {string} - XML content
  */
-function contentOpf(ordo, exps, fonts) {
+function contentOpf(ordo, expandCount, fonts, cover, volume) {
   const ordoKeys = Object.keys(ordo);
+  const epub3 = Options.getOpt('epub3');
   
   // Build metadata object
-  const metadata = {
-    '@xmlns:dc': 'http://purl.org/dc/elements/1.1/',
-    '@xmlns:opf': 'http://www.idpf.org/2007/opf',
-    'dc:identifier': { '@id': 'bookid', '#': EPUB_IDENTIFIER },
-    'dc:contributor': { '@opf:role': 'bkp' },
-    'dc:date': { '@opf:event': 'creation', '#': new Date().toISOString().split('T')[0] },
-    'dc:creator': { '@opf:role': 'aut', '#': 'www.divinumofficium.com' },
-    'dc:language': 'la',
-    'dc:title': Options.getOpt('title')
-  };
+  let metadata;
+  if (epub3) {
+    // EPUB 3 has no opf: attributes, roles are given by refining meta elements
+    metadata = {
+      '@xmlns:dc': 'http://purl.org/dc/elements/1.1/',
+      'dc:identifier': { '@id': 'bookid', '#': bookIdentifier(ordo) },
+      'dc:date': buildDate().toISOString().split('T')[0],
+      'dc:creator': { '@id': 'creator', '#': 'www.divinumofficium.com' },
+      'dc:language': languages(),
+      'dc:title': Options.getOpt('title'),
+      meta: [
+        { '@refines': '#creator', '@property': 'role', '@scheme': 'marc:relators', '#': 'aut' },
+        { '@property': 'dcterms:modified', '#': buildDate().toISOString().replace(/\.\d+Z$/, 'Z') }
+      ]
+    };
+  } else {
+    metadata = {
+      '@xmlns:dc': 'http://purl.org/dc/elements/1.1/',
+      '@xmlns:opf': 'http://www.idpf.org/2007/opf',
+      'dc:identifier': { '@id': 'bookid', '#': bookIdentifier(ordo) },
+      'dc:contributor': { '@opf:role': 'bkp' },
+      'dc:date': { '@opf:event': 'creation', '#': buildDate().toISOString().split('T')[0] },
+      'dc:creator': { '@opf:role': 'aut', '#': 'www.divinumofficium.com' },
+      'dc:language': languages(),
+      'dc:title': Options.getOpt('title'),
+      meta: []
+    };
+  }
   
-  // Add cover metadata if needed
-  if (!Options.getOpt('nocover')) {
-    metadata.meta = { '@name': 'cover', '@content': 'cover' };
+  // Add cover metadata if needed (kept in EPUB 3 for older readers)
+  if (cover) {
+    metadata.meta.push({ '@name': 'cover', '@content': 'cover' });
+  }
+  
+  // Add series metadata of volumes, calibre's for older readers
+  if (volume) {
+    metadata.meta.push(
+      { '@name': 'calibre:series', '@content': volume.series },
+      { '@name': 'calibre:series_index', '@content': String(volume.index) }
+    );
+    if (epub3) {
+      metadata.meta.push(
+        { '@property': 'belongs-to-collection', '@id': 'series', '#': volume.series },
+        { '@refines': '#series', '@property': 'collection-type', '#': 'series' },
+        { '@refines': '#series', '@property': 'group-position', '#': String(volume.index) }
+      );
+    }
   }
   
   // Build manifest items
@@ -93,14 +259,32 @@ function contentOpf(ordo, exps, fonts) {
     { '@id': 'ncx', '@href': 'toc.ncx', '@media-type': 'application/x-dtbncx+xml' }
   ];
   
+  // Add navigation document for EPUB 3
+  if (epub3) {
+    manifestItems.push({ '@id': 'nav', '@href': 'nav.xhtml', '@media-type': 'application/xhtml+xml', '@properties': 'nav' });
+  }
+  
   // Add cover if needed
-  if (!Options.getOpt('nocover')) {
-    manifestItems.push({ '@id': 'cover', '@href': 'images/cover.jpg', '@media-type': 'image/jpeg' });
+  if (cover) {
+    const item = { '@id': 'cover', '@href': cover.href, '@media-type': cover.mediaType };
+    if (epub3) {
+      item['@properties'] = 'cover-image';
+    }
+    manifestItems.push(item);
+  }
+  
+  // Add stock image under a generated cover
+  if (cover && cover.background) {
+    manifestItems.push({ '@id': 'coverbackground', '@href': cover.background.href, '@media-type': cover.background.mediaType });
   }
   
-  // Add cover page if needed
+  // Add cover page if needed, both stock and generated cover pages are inline SVG
   if (!Options.getOpt('nocoverpage')) {
-    manifestItems.push({ '@id': 'coverpage', '@href': 'Text/coverpage.html', '@media-type': 'application/xhtml+xml' });
+    const item = { '@id': 'coverpage', '@href': 'Text/coverpage.html', '@media-type': 'application/xhtml+xml' };
+    if (epub3) {
+      item['@properties'] = 'svg';
+    }
+    manifestItems.push(item);
   }
   
   // Add title page if needed
@@ -113,13 +297,17 @@ function contentOpf(ordo, exps, fonts) {
     manifestItems.push({ '@id': 'indexpage', '@href': 'Text/indexpage.html', '@media-type': 'application/xhtml+xml' });
   }
   
-  // Add fonts
-  fonts.forEach(font => {
-    const extension = path.extname(font).substring(1);
+  // Add Ordo page if needed
+  if (Options.getOpt('ordo')) {
+    manifestItems.push({ '@id': 'ordopage', '@href': 'Text/ordopage.html', '@media-type': 'application/xhtml+xml' });
+  }
+  
+  // Add fonts, file names are not always valid XML IDs
+  fonts.forEach((font, index) => {
     manifestItems.push({
-      '@id': font,
-      '@href': `Fonts/${font}`,
-      '@media-type': `font/${extension}`
+      '@id': `font${index + 1}`,
+      '@href': `Fonts/${encodeURIComponent(font.file)}`,
+      '@media-type': Fonts.mediaType(font, epub3)
     });
   });
   
@@ -136,7 +324,7 @@ function contentOpf(ordo, exps, fonts) {
   });
   
   // Add expands page if needed
-  if (exps && exps.length > 0) {
+  if (expandCount > 0) {
     manifestItems.push({
       '@id': 'expandspage',
       '@href': 'Text/expands.html',
@@ -162,13 +350,18 @@ function contentOpf(ordo, exps, fonts) {
     spineItems.push({ '@idref': 'indexpage' });
   }
   
+  // Add Ordo page to spine if needed
+  if (Options.getOpt('ordo')) {
+    spineItems.push({ '@idref': 'ordopage' });
+  }
+  
   // Add content pages to spine
   ordoKeys.forEach((_, index) => {
     spineItems.push({ '@idref': `B${index + 1}` });
   });
   
   // Add expands page to spine if needed
-  if (exps && exps.length > 0) {
+  if (expandCount > 0) {
     spineItems.push({ '@idref': 'expandspage' });
   }
   
@@ -189,7 +382,7 @@ function contentOpf(ordo, exps, fonts) {
     package: {
       '@xmlns': 'http://www.idpf.org/2007/opf',
       '@unique-identifier': 'bookid',
-      '@version': '2.0',
+      '@version': epub3 ? '3.0' : '2.0',
       metadata,
       manifest: { item: manifestItems },
       spine: { '@toc': 'ncx', itemref: spineItems }
@@ -225,6 +418,33 @@ function getHoras() {
   return horasArr;
 }
 
+/**
+ * Get sections of every day, the horas, Martyrology and Mass if included
+ * @returns {string[]} - IDs of the section headings
+ */
+function daySections() {
+  const sections = getHoras();
+  if (Options.getOpt('martyrology')) {
+    sections.push('Martyrologium');
+  }
+  if (Options.getOpt('missa')) {
+    sections.push('Missa');
+  }
+  return sections;
+}
+
+/**
+ * Format date key for entries and links
+ * @param {string} key - Date key in MM-DD-YYYY format
+ * @returns {string} - Date as "Mon D"
+ */
+function shortDate(key) {
+  const [month, day, year] = key.split('-').map(Number);
+  const date = new Date(year, month - 1, day);
+  const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+  return `${monthNames[date.getMonth()]} ${date.getDate()}`;
+}
+
 /**
  * Format index entry
  * @param {string} key - Date key  
@@ -235,118 +455,89 @@ function indexEntry(key, value) {
   let text = value;
   
   if (Options.getOpt('votive') === 'Hodie') {
-    // Parse date from MM-DD-YYYY format
-    const [month, day, year] = key.split('-').map(Number);
-    const date = new Date(year, month - 1, day);
-    
     // Format as "Mon D [content]"
-    const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-    text = `${monthNames[date.getMonth()]} ${date.getDate()} ${text}`;
+    text = `${shortDate(key)} ${text}`;
   }
   
   return text;
 }
 
 /**
- * Generate toc.ncx
+ * Build table of contents shared by toc.ncx and nav.xhtml
  * @param {Object} ordo - Map of dates to title strings (not objects)
  * @param {boolean} hasExpands - Whether expands exist
- * @returns {string} - XML content
+ * @returns {Array<Object>} - Entries with label, src and optional children
  */
-function tocNcx(ordo, hasExpands) {
-  const ordoEntries = Object.entries(ordo);
-  const horas = getHoras();
-  
-  // Build navPoints array
-  const navPoints = [];
-  let playOrder = 1;
+function tocEntries(ordo, hasExpands) {
+  const horas = daySections();
+  const entries = [];
   
-  // Add cover page navPoint if needed
+  // Add cover page entry if needed
   if (!Options.getOpt('nocoverpage')) {
-    navPoints.push({
-      '@id': `navPoint-${playOrder}`,
-      '@playOrder': playOrder++,
-      navLabel: {
-        text: 'Cover page'
-      },
-      content: {
-        '@src': 'Text/coverpage.html'
-      }
-    });
+    entries.push({ label: 'Cover page', src: 'Text/coverpage.html' });
   }
   
-  // Add title page navPoint if needed
+  // Add title page entry if needed
   if (!Options.getOpt('notitlepage')) {
-    navPoints.push({
-      '@id': `navPoint-${playOrder}`,
-      '@playOrder': playOrder++,
-      navLabel: {
-        text: 'Title page'
-      },
-      content: {
-        '@src': 'Text/titlepage.html'
-      }
-    });
+    entries.push({ label: 'Title page', src: 'Text/titlepage.html' });
   }
   
-  // Add index page navPoint if needed
+  // Add index page entry if needed
   if (Options.getOpt('index')) {
-    navPoints.push({
-      '@id': `navPoint-${playOrder}`,
-      '@playOrder': playOrder++,
-      navLabel: {
-        text: 'Table of contents'
-      },
-      content: {
-        '@src': 'Text/indexpage.html'
-      }
-    });
+    entries.push({ label: 'Table of contents', src: 'Text/indexpage.html' });
   }
   
-  // Add content navPoints - value is now just the title string
-  ordoEntries.forEach(([key, value]) => {
-    const dayNavPoint = {
-      '@id': `navPoint-${playOrder}`,
-      '@playOrder': playOrder++,
-      navLabel: {
-        text: indexEntry(key, value) // value is now just the title string
-      },
-      content: {
-        '@src': `Text/${key}.html`
-      },
-      navPoint: []
-    };
-    
-    // Add hora navPoints
-    horas.forEach(hora => {
-      dayNavPoint.navPoint.push({
-        '@id': `navPoint-${playOrder}`,
-        '@playOrder': playOrder++,
-        navLabel: {
-          text: hora
-        },
-        content: {
-          '@src': `Text/${key}.html#${hora}`
-        }
-      });
+  // Add Ordo page entry if needed
+  if (Options.getOpt('ordo')) {
+    entries.push({ label: 'Ordo', src: 'Text/ordopage.html' });
+  }
+  
+  // Add days with their horas - value is now just the title string, shared
+  // horas point to the day holding their text
+  Object.entries(ordo).forEach(([key, value]) => {
+    entries.push({
+      label: indexEntry(key, value),
+      src: `Text/${key}.html`,
+      children: horas.map(hora => ({ label: hora, src: `Text/${Dedup.pageOf(key, hora)}.html#${hora}` }))
     });
-    
-    navPoints.push(dayNavPoint);
   });
   
-  // Add expands navPoint if needed
+  // Add expands entry if needed
   if (hasExpands) {
-    navPoints.push({
+    entries.push({ label: 'Orationes', src: `Text/${EXPAND_PAGE}` });
+  }
+  
+  return entries;
+}
+
+/**
+ * Generate toc.ncx
+ * @param {Object} ordo - Map of dates to title strings (not objects)
+ * @param {boolean} hasExpands - Whether expands exist
+ * @returns {string} - XML content
+ */
+function tocNcx(ordo, hasExpands) {
+  let playOrder = 1;
+  
+  // Convert entries to navPoints numbered in reading order
+  const navPoint = entry => {
+    const point = {
       '@id': `navPoint-${playOrder}`,
       '@playOrder': playOrder++,
       navLabel: {
-        text: 'Orationes'
+        text: entry.label
       },
       content: {
-        '@src': 'Text/expands.html'
+        '@src': entry.src
       }
-    });
-  }
+    };
+    if (entry.children) {
+      point.navPoint = entry.children.map(navPoint);
+    }
+    return point;
+  };
+  
+  const navPoints = tocEntries(ordo, hasExpands).map(navPoint);
   
   // Build complete toc.ncx object
   const tocObj = {
@@ -355,7 +546,7 @@ function tocNcx(ordo, hasExpands) {
       '@version': '2005-1',
       head: {
         meta: [
-          { '@name': 'dtb:uid', '@content': EPUB_IDENTIFIER },
+          { '@name': 'dtb:uid', '@content': bookIdentifier(ordo) },
           { '@name': 'dtb:depth', '@content': '2' },
           { '@name': 'dtb:totalPageCount', '@content': '-1' },
           { '@name': 'dtb:maxPageNumber', '@content': '-1' }
@@ -374,6 +565,88 @@ function tocNcx(ordo, hasExpands) {
   return xml.end({ prettyPrint: true, indent: '  ' });
 }
 
+/**
+ * Generate nav.xhtml for EPUB 3
+ * @param {Object} ordo - Map of dates to title strings (not objects)
+ * @param {boolean} hasExpands - Whether expands exist
+ * @returns {string} - XHTML content
+ */
+function navXhtml(ordo, hasExpands) {
+  // Convert entries to nested ordered lists
+  const li = entry => {
+    const item = {
+      'a': {
+        '@href': entry.src,
+        '#': entry.label
+      }
+    };
+    if (entry.children) {
+      item.ol = { li: entry.children.map(li) };
+    }
+    return item;
+  };
+  
+  // Landmarks for reading systems jumping to cover, contents and text
+  const landmarks = [];
+  if (!Options.getOpt('nocoverpage')) {
+    landmarks.push({ '@epub:type': 'cover', '@href': 'Text/coverpage.html', '#': 'Cover page' });
+  }
+  landmarks.push({
+    '@epub:type': 'toc',
+    '@href': Options.getOpt('index') ? 'Text/indexpage.html' : 'nav.xhtml',
+    '#': 'Table of contents'
+  });
+  const firstDay = Object.keys(ordo)[0];
+  if (firstDay) {
+    landmarks.push({ '@epub:type': 'bodymatter', '@href': `Text/${firstDay}.html`, '#': 'Start of content' });
+  }
+  
+  const nav = {
+    html: {
+      '@xmlns': 'http://www.w3.org/1999/xhtml',
+      '@xmlns:epub': 'http://www.idpf.org/2007/ops',
+      '@xml:lang': languages()[0],
+      '@lang': languages()[0],
+      head: {
+        title: Options.getOpt('title')
+      },
+      body: {
+        nav: [
+          {
+            '@epub:type': 'toc',
+            '@id': 'toc',
+            h1: 'Table of contents',
+            ol: { li: tocEntries(ordo, hasExpands).map(li) }
+          },
+          {
+            '@epub:type': 'landmarks',
+            '@id': 'landmarks',
+            '@hidden': 'hidden',
+            h2: 'Landmarks',
+            ol: { li: landmarks.map(a => ({ a })) }
+          }
+        ]
+      }
+    }
+  };
+  
+  const xml = xmlbuilder({ version: '1.0', encoding: 'UTF-8' })
+    .dtd({ name: 'html' })
+    .ele(nav);
+  return xml.end({ prettyPrint: true, indent: '  ' });
+}
+
+/**
+ * Get document type declaration of XHTML pages
+ * @returns {string} - HTML5 doctype for EPUB 3, XHTML 1.1 otherwise
+ */
+function doctype() {
+  if (Options.getOpt('epub3')) {
+    return '<!DOCTYPE html>';
+  }
+  return '<!DOCTYPE html PUBLIC "-//W3C//DTD XHTML 1.1//EN" "http://www.w3.org/TR/xhtml11/DTD/xhtml11.dtd">';
+}
+
 /**
  * Create HTML page template
  * @param {string} title - Page title
@@ -384,6 +657,7 @@ function htmlPage(title, bodyContent = '') {
   const html = {
     'html': {
       '@xmlns': 'http://www.w3.org/1999/xhtml',
+      '@xml:lang': languages()[0],
       'head': {
         'title': title,
         'link': {
@@ -395,11 +669,14 @@ function htmlPage(title, bodyContent = '') {
       'body': typeof bodyContent === 'function' ? bodyContent() : bodyContent
     }
   };
+  if (Options.getOpt('epub3')) {
+    // XHTML 1.1 of EPUB 2 allows xml:lang only
+    html.html['@lang'] = languages()[0];
+  }
 
-  const xml = xmlbuilder(html).end({ prettyPrint: true, indent: '  ' });
+  const xml = xmlbuilder(html).end({ prettyPrint: true, indent: '  ', headless: true });
   const xmlDecl = '<?xml version="1.0" encoding="UTF-8"?>';
-  const doctype = '<!DOCTYPE html PUBLIC "-//W3C//DTD XHTML 1.1//EN" "http://www.w3.org/TR/xhtml11/DTD/xhtml11.dtd">';
-  return `${xmlDecl}\n${doctype}\n${xml}`;
+  return `${xmlDecl}\n${doctype()}\n${xml}`;
 }
 
 /**
@@ -408,7 +685,7 @@ function htmlPage(title, bodyContent = '') {
  * @returns {string} - HTML content
  */
 function indexPage(ordo) {
-  const horas = getHoras();
+  const horas = daySections();
   
   const bodyContent = () => {
     return {
@@ -426,7 +703,7 @@ function indexPage(ordo) {
                 return {
                   '@class': 'toc-hora',
                   'a': {
-                    '@href': `${key}.html#${hora}`,
+                    '@href': `${Dedup.pageOf(key, hora)}.html#${hora}`,
                     '#': `[ ${hora.substring(0, 3)} ]`
                   }
                 };
@@ -442,13 +719,58 @@ function indexPage(ordo) {
 }
 
 /**
- * Generate expands page
- * @param {string} exps - Expands content
+ * Generate Ordo page, the calendar of the days with rank, colour and week
+ * @param {Object} ordo - Map of dates to title strings (not objects)
+ * @param {Object} headlines - Map of dates to rank and commemorations
  * @returns {string} - HTML content
  */
-function expandsPage(exps) {
-  const page = htmlPage('Orationes');
-  return page.replace(/<body><\/body>/, `<body>${exps}</body>`);
+function ordoPage(ordo, headlines) {
+  const bodyContent = () => {
+    return {
+      'h2': 'Ordo',
+      'table': {
+        '@class': 'ordo text-sm',
+        'tr': [
+          { 'th': ['Date', 'Office', 'Rank', 'Colour', 'Week'] },
+          ...Object.entries(ordo).map(([key, value]) => {
+            const { title, rank, colour, commemorations, week } = ordoEntry(key, value, headlines[key]);
+            return {
+              'td': [
+                { 'a': { '@href': `${key}.html`, '#': shortDate(key) } },
+                {
+                  '#': title,
+                  'div': commemorations.map(c => ({ '@class': 'ordo-com', '#': `Com. ${c}` }))
+                },
+                rank.class ? `${rank.name} (${rank.class})` : rank.name,
+                colour,
+                week
+              ]
+            };
+          })
+        ]
+      }
+    };
+  };
+  
+  return htmlPage('Ordo', bodyContent);
+}
+
+/**
+ * Generate expands page around its content, which is written in between piece by piece
+ * @returns {string[]} - Markup before and after the content
+ */
+function expandsPage() {
+  return fillBody(htmlPage('Orationes'), '\0').split('\0');
+}
+
+/**
+ * Insert markup into empty body of a page
+ * @param {string} page - Page made by htmlPage without body content
+ * @param {string} content - Body markup
+ * @returns {string} - HTML content
+ */
+function fillBody(page, content) {
+  return page.replace(/<body\s*\/>|<body><\/body>/, `<body>${content}</body>`);
 }
 
 /**
@@ -494,44 +816,78 @@ function titlePage(ordo) {
 }
 
 /**
- * Generate cover page
- * @returns {string} - HTML content
+ * Read cover image and detect its format
+ * @returns {Promise<Object>} - Object with data, href, mediaType, width and height
  */
-async function coverPage() {
+async function coverImage() {
   try {
-    const coverFile = await resolveFilePath('cover');
-    const coverBuffer = await fs.readFile(coverFile);
-    const [width, height] = await JPEG.getWidthAndHeight(coverBuffer);
-    
-    const bodyContent = () => {
-      return {
-        'div': {
-          '@style': 'text-align: center; padding: 0pt; margin: 0pt;',
-          'svg': {
-            '@xmlns': 'http://www.w3.org/2000/svg',
-            '@height': '100%',
-            '@preserveAspectRatio': 'xMidYMid meet',
-            '@version': '1.1',
-            '@viewBox': `0 0 ${width} ${height}`,
-            '@width': '100%',
-            '@xmlns:xlink': 'http://www.w3.org/1999/xlink',
-            'image': {
-              '@width': width.toString(),
-              '@height': height.toString(),
-              '@xlink:href': '../images/cover.jpg'
-            }
-          }
-        }
-      };
-    };
-    
-    return htmlPage('Cover page', bodyContent);
+    const data = await fs.readFile(await resolveFilePath('cover'));
+    const { extension, mediaType, width, height } = probeImage(data);
+    return { data, href: `images/cover.${extension}`, mediaType, width, height };
   } catch (e) {
     console.error(`Cover error: ${e.message}`);
     process.exit(1);
   }
 }
 
+/**
+ * Generate cover image showing title and dates over the stock image
+ * @param {Object} ordo - Map of dates to content
+ * @param {Object} background - Stock image from coverImage()
+ * @returns {Object} - Cover image like coverImage() with its background
+ */
+function generatedCover(ordo, background) {
+  // Background is next to the cover image
+  const svg = coverSvg(Object.keys(ordo), path.posix.basename(background.href));
+  return {
+    data: Buffer.from(`<?xml version="1.0" encoding="UTF-8"?>\n${svg}\n`),
+    href: 'images/cover.svg',
+    mediaType: 'image/svg+xml',
+    width: background.width,
+    height: background.height,
+    background
+  };
+}
+
+/**
+ * Generate cover page
+ * @param {Object} ordo - Map of dates to content
+ * @param {Object} cover - Cover image from coverImage() or generatedCover()
+ * @returns {string} - HTML content
+ */
+function coverPage(ordo, cover) {
+  // Generated cover over the stock image, inline for the text to be searchable
+  if (cover.background) {
+    const svg = coverSvg(Object.keys(ordo), `../${cover.background.href}`);
+    return fillBody(htmlPage('Cover page'), `<div style="text-align: center; padding: 0pt; margin: 0pt;">${svg}</div>`);
+  }
+  
+  const { width, height } = cover;
+  const bodyContent = () => {
+    return {
+      'div': {
+        '@style': 'text-align: center; padding: 0pt; margin: 0pt;',
+        'svg': {
+          '@xmlns': 'http://www.w3.org/2000/svg',
+          '@height': '100%',
+          '@preserveAspectRatio': 'xMidYMid meet',
+          '@version': '1.1',
+          '@viewBox': `0 0 ${width} ${height}`,
+          '@width': '100%',
+          '@xmlns:xlink': 'http://www.w3.org/1999/xlink',
+          'image': {
+            '@width': width.toString(),
+            '@height': height.toString(),
+            '@xlink:href': `../${cover.href}`
+          }
+        }
+      }
+    };
+  };
+  
+  return htmlPage('Cover page', bodyContent);
+}
+
 /**
  * Get file content
  * @param {string} name - File name
@@ -550,7 +906,8 @@ async function readFile(name) {
 async function resolveFilePath(name) {
   const file = Options.getOpt(name);
   
-  if (file) {
+  // Generated cover has the stock image as background
+  if (file && !(name === 'cover' && file === 'auto')) {
     try {
       await fs.access(file, fs.constants.R_OK);
       return file;
@@ -569,6 +926,90 @@ async function resolveFilePath(name) {
   }
 }
 
+/**
+ * Load fonts from font directory
+ * @returns {Promise<Array<Object>>} - Fonts from Fonts.loadFonts()
+ */
+async function embeddedFonts() {
+  const fonts = await Fonts.loadFonts(Options.getOpt('fontdir'), (file, reason) => {
+    if (!Options.getOpt('quiet')) {
+      console.error(`Skipping ${file} in font directory: ${reason}`);
+    }
+  });
+  
+  if (fonts.length === 0) {
+    console.error(`No TTF, OTF, WOFF or WOFF2 fonts in ${Options.getOpt('fontdir')}`);
+    process.exit(1);
+  }
+  return fonts;
+}
+
+/**
+ * Get font families chosen for columns and red text
+ * @param {Array<Object>} fonts - Embedded fonts
+ * @returns {Object} - Family names by CSS selector
+ */
+function fontFamilies(fonts) {
+  const selectors = {
+    fontlang1: '.lang0, .lang1',
+    fontlang2: '.lang2',
+    fontred: '.red'
+  };
+  
+  const families = {};
+  Object.entries(selectors).forEach(([option, selector]) => {
+    const family = Options.getOpt(option);
+    if (!family) return;
+    
+    const font = fonts.find(f => f.family.toLowerCase() === family.toLowerCase());
+    if (!font) {
+      const available = [...new Set(fonts.map(f => f.family))].join(' | ');
+      console.error(`Font family ${family} of --${option} is not in font directory: ${available || 'no fonts'}`);
+      process.exit(1);
+    }
+    families[selector] = font.family;
+  });
+  return families;
+}
+
+/**
+ * Format size in bytes for reports
+ * @param {number} bytes - Size
+ * @returns {string} - Size in KB or MB
+ */
+function formatSize(bytes) {
+  return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`;
+}
+
+/**
+ * Subset embedded fonts to characters used in the book and report savings
+ * @param {Array<Object>} fonts - Embedded fonts
+ * @param {Set<string>} chars - Characters used in the book
+ * @returns {Array<Buffer>} - Font data, whole fonts where subsetting is not possible
+ */
+function subsetFonts(fonts, chars) {
+  let before = 0;
+  let after = 0;
+  
+  const data = fonts.map(font => {
+    before += font.data.length;
+    try {
+      const subset = subsetFont(font.data, chars);
+      after += subset.data.length;
+      Reporter.log(`${font.file}: ${formatSize(font.data.length)} -> ${formatSize(subset.data.length)}, ${subset.glyphs} of ${subset.total} glyphs`);
+      return subset.data;
+    } catch (e) {
+      after += font.data.length;
+      console.error(`Can't subset ${font.file}, embedding whole ${formatSize(font.data.length)}: ${e.message}`);
+      return font.data;
+    }
+  });
+  
+  const saved = before > 0 ? Math.round((before - after) / before * 100) : 0;
+  Reporter.log(`Fonts subset to ${chars.size} characters: ${formatSize(before)} -> ${formatSize(after)}, ${saved}% smaller`);
+  return data;
+}
+
 /**
  * Add mimetype file to archive
  * @param {archiver} archive - Archive instance
@@ -576,7 +1017,7 @@ async function resolveFilePath(name) {
 function addMimetype(archive) {
   const mimetypeText = 'application/epub+zip';
   const mimetypeEntry = {
-    name: 'mimetype',
+    ...entry('mimetype'),
     store: true, // No compression
     // Calculate CRC32 for mimetype using imported crc32
     crc32: crc32.buf(new TextEncoder().encode(mimetypeText)) >>> 0
@@ -585,10 +1026,18 @@ function addMimetype(archive) {
 }
 
 /**
- * Build EPUB file
+ * Build EPUB file for dates, title and output in options
+ * @param {Object|null} volume - Series name and index of the volume or null for a single book
+ * @returns {Promise<number>} - Number of days in the book
  */
-async function make() {
+async function makeBook(volume) {
   const fonts = [];
+  const chars = new Set();
+  if (volume) {
+    epubIdentifier = uuidv4();
+  }
+  Dedup.reset();
+  const headlines = {};
   
   try {
     Reporter.report('Building epub');
@@ -596,11 +1045,6 @@ async function make() {
     // Create temporary directory first
     await createTmpDir();
     
-    // Set up cleanup on exit
-    process.on('exit', () => {
-      deleteTmpDir().catch(console.error);
-    });
-    
     const output = fs.createWriteStream(Options.getOpt('output'));
     const archive = archiver('zip', { 
       zlib: { level: 9 },
@@ -628,84 +1072,130 @@ async function make() {
       }
     });
     
+    // Resolved when the whole file is written
+    const closed = new Promise((resolve, reject) => {
+      output.on('close', resolve);
+      output.on('error', reject);
+    });
+    
     // Pipe archive to output
     archive.pipe(output);
     
     // Add mimetype file (must be first and uncompressed)
     addMimetype(archive);
     
+    // Load fonts if specified, they are added after pages to be subset
+    if (Options.getOpt('fontdir')) {
+      fonts.push(...await embeddedFonts());
+    }
+    
     // Add container.xml
-    archive.append(containerXml(), { name: 'META-INF/container.xml' });
+    archive.append(containerXml(), entry('META-INF/container.xml'));
+    
+    // Add encryption.xml for obfuscated fonts
+    if (Options.getOpt('obfuscateFonts')) {
+      archive.append(encryptionXml(fonts), entry('META-INF/encryption.xml'));
+    }
     
-    // Add CSS
+    // Add CSS with rules for embedded fonts
     const styleContent = await fs.readFile(await resolveFilePath('style'));
-    archive.append(styleContent, { name: 'OEBPS/css/style.css' });
+    archive.append(styleContent + Fonts.fontFaceCss(fonts, fontFamilies(fonts)), entry('OEBPS/css/style.css'));
     
-    // Add cover image if needed
-    if (!Options.getOpt('nocover')) {
-      const coverContent = await fs.readFile(await resolveFilePath('cover'));
-      archive.append(coverContent, { name: 'OEBPS/images/cover.jpg' });
+    // Add cover image if needed, a generated one follows when the dates are known
+    let cover = Options.getOpt('nocover') ? null : await coverImage();
+    if (cover) {
+      archive.append(cover.data, entry(`OEBPS/${cover.href}`));
     }
     
-    // Add cover page if needed
-    if (!Options.getOpt('nocoverpage')) {
-      const coverPageContent = await coverPage();
-      archive.append(coverPageContent, { name: 'OEBPS/Text/coverpage.html' });
+    // Add every day as soon as it is processed, the page is released before the next day
+    const ordo = await DivinumOfficium.downloadHoras(async (dateKey, content, headline) => {
+      headlines[dateKey] = headline;
+      const page = Options.getOpt('dedup') ? Dedup.dedupDay(dateKey, content, shortDate) : content;
+      collectChars(chars, page);
+      await addEntry(archive, page, `OEBPS/Text/${dateKey}.html`);
+      sampleMemory();
+    });
+    if (Options.getOpt('dedup')) {
+      const { hours, shared, savedBytes } = Dedup.stats();
+      Reporter.log(`Shared ${shared} of ${hours} horas with earlier days, ${formatSize(savedBytes)} saved`);
     }
     
-    // Add fonts if specified
-    if (Options.getOpt('fontdir')) {
-      const fontDir = Options.getOpt('fontdir');
-      const fontFiles = await fs.readdir(fontDir);
-      
-      for (const font of fontFiles) {
-        fonts.push(font);
-        const fontPath = path.join(fontDir, font);
-        const fontContent = await fs.readFile(fontPath);
-        archive.append(fontContent, { name: `OEBPS/Fonts/${font}` });
-      }
+    // Write expands page piece by piece to work directory and add it as a stream
+    const expandsPath = path.join(workDir(), EXPAND_PAGE);
+    const [expandsStart, expandsEnd] = expandsPage();
+    await fs.writeFile(expandsPath, expandsStart);
+    const expandCount = await DivinumOfficium.downloadExpands(async content => {
+      collectChars(chars, content);
+      await fs.appendFile(expandsPath, content);
+    });
+    if (expandCount > 0) {
+      await fs.appendFile(expandsPath, expandsEnd);
+      await addEntry(archive, fs.createReadStream(expandsPath), `OEBPS/Text/${EXPAND_PAGE}`);
     }
+    sampleMemory();
     
-    // Download content
-    const ordo = await DivinumOfficium.downloadHoras();
-    const exps = await DivinumOfficium.downloadExpands();
+    // Add generated cover showing the dates, used by readers for thumbnails
+    if (cover && Options.getOpt('cover') === 'auto') {
+      cover = generatedCover(ordo, cover);
+      archive.append(cover.data, entry(`OEBPS/${cover.href}`));
+    }
+    
+    // Add cover page if needed
+    if (!Options.getOpt('nocoverpage')) {
+      const coverPageContent = coverPage(ordo, cover);
+      collectChars(chars, coverPageContent);
+      archive.append(coverPageContent, entry('OEBPS/Text/coverpage.html'));
+    }
     
     // Add content.opf
-    archive.append(contentOpf(ordo, exps, fonts), { name: 'OEBPS/content.opf' });
+    archive.append(contentOpf(ordo, expandCount, fonts, cover, volume), entry('OEBPS/content.opf'));
     
-    // Add toc.ncx
-    archive.append(tocNcx(ordo, exps.length > 0), { name: 'OEBPS/toc.ncx' });
+    // Add toc.ncx (also in EPUB 3 for older devices)
+    archive.append(tocNcx(ordo, expandCount > 0), entry('OEBPS/toc.ncx'));
+    
+    // Add nav.xhtml for EPUB 3
+    if (Options.getOpt('epub3')) {
+      const navContent = navXhtml(ordo, expandCount > 0);
+      collectChars(chars, navContent);
+      archive.append(navContent, entry('OEBPS/nav.xhtml'));
+    }
     
     // Add index page if needed
     if (Options.getOpt('index')) {
-      archive.append(indexPage(ordo), { name: 'OEBPS/Text/indexpage.html' });
+      const indexContent = indexPage(ordo);
+      collectChars(chars, indexContent);
+      archive.append(indexContent, entry('OEBPS/Text/indexpage.html'));
     }
     
-    // Add title page if needed
-    if (!Options.getOpt('notitlepage')) {
-      archive.append(titlePage(ordo), { name: 'OEBPS/Text/titlepage.html' });
+    // Add Ordo page if needed
+    if (Options.getOpt('ordo')) {
+      const ordoContent = ordoPage(ordo, headlines);
+      collectChars(chars, ordoContent);
+      archive.append(ordoContent, entry('OEBPS/Text/ordopage.html'));
     }
     
-    // Add content pages - read from files written by prepareHoras (matching Crystal)
-    for (const dateKey of Object.keys(ordo)) {
-      const contentPath = path.join(TMP_DIR, 'Text', `${dateKey}.html`);
-      try {
-        const content = await fs.readFile(contentPath);
-        archive.append(content, { name: `OEBPS/Text/${dateKey}.html` });
-      } catch (e) {
-        console.error(`Error reading content file for ${dateKey}: ${e.message}`);
-        throw e;
-      }
+    // Add title page if needed
+    if (!Options.getOpt('notitlepage')) {
+      const titleContent = titlePage(ordo);
+      collectChars(chars, titleContent);
+      archive.append(titleContent, entry('OEBPS/Text/titlepage.html'));
     }
     
-    // Add expands page if needed
-    if (exps.length > 0) {
-      const expandsContent = expandsPage(exps);
-      archive.append(expandsContent, { name: 'OEBPS/Text/expands.html' });
+    // Add fonts, subset to characters of all pages
+    if (fonts.length > 0) {
+      const fontData = Options.getOpt('nosubset') ? fonts.map(f => f.data) : subsetFonts(fonts, chars);
+      fonts.forEach((font, i) => {
+        // Obfuscated after subsetting, keyed on the unique identifier of content.opf
+        const data = Options.getOpt('obfuscateFonts') ? Fonts.obfuscate(fontData[i], bookIdentifier(ordo)) : fontData[i];
+        archive.append(data, entry(`OEBPS/Fonts/${font.file}`));
+      });
     }
     
     // Finalize archive
     await archive.finalize();
+    await closed;
+    sampleMemory();
+    return Object.keys(ordo).length;
   } catch (e) {
     console.error(`Can't write output to ${Options.getOpt('output')}: ${e.message}`);
     process.exit(1);
@@ -715,4 +1205,50 @@ async function make() {
   }
 }
 
-export { make, TMP_DIR, createTmpDir, deleteTmpDir };
+/**
+ * Build EPUB file, or a series of volumes with --split-by
+ */
+async function make() {
+  // Set up cleanup on exit, once for all books made by the process
+  if (!cleanupRegistered) {
+    process.on('exit', () => {
+      deleteTmpDir().catch(console.error);
+    });
+    cleanupRegistered = true;
+  }
+  
+  const started = Date.now();
+  peakMemory.rss = 0;
+  peakMemory.heap = 0;
+  let days = 0;
+  let books = 1;
+  
+  if (!Options.getOpt('splitBy')) {
+    days = await makeBook(null);
+  } else {
+    // Volumes are built one after another with their own dates, title and output
+    const saved = ['datefrom', 'dateto', 'title', 'output'].map(opt => [opt, Options.getOpt(opt)]);
+    const [, , series, output] = saved.map(([, value]) => value);
+    const volumes = splitRange(Options.getOpt('datefrom'), Options.getOpt('dateto'), Options.getOpt('splitBy'));
+    books = volumes.length;
+    
+    try {
+      for (const [i, volume] of volumes.entries()) {
+        Options.setOpt('datefrom', volume.from);
+        Options.setOpt('dateto', volume.to);
+        Options.setOpt('title', `${series} – ${volume.name}`);
+        Options.setOpt('output', volumeOutput(output, volume.label));
+        days += await makeBook({ series, index: i + 1 });
+        global.gc && global.gc();
+      }
+    } finally {
+      saved.forEach(([opt, value]) => Options.setOpt(opt, value));
+    }
+  }
+  
+  const seconds = ((Date.now() - started) / 1000).toFixed(1);
+  Reporter.log(`${days} days${books > 1 ? ` in ${books} volumes` : ''} built in ${seconds} s, ` +
+    `peak memory ${formatSize(peakMemory.rss)} (heap ${formatSize(peakMemory.heap)})`);
+}
+
+export { make, TMP_DIR, workDir, doctype, createTmpDir, deleteTmpDir };
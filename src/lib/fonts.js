@@ -0,0 +1,629 @@
+/**
+ * Module for embedding fonts
+ * @module fonts
+ *
+ * Reads TrueType, OpenType, WOFF and WOFF2 fonts, restoring transformed
+ * WOFF2 tables, detects family, weight and style from their name and OS/2
+ * tables and generates @font-face rules.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+import zlib from 'zlib';
+
+// Font formats by signature with extensions and media types for EPUB 3 and EPUB 2 readers
+const FORMATS = {
+  ttf: { extensions: ['.ttf'], mediaType: 'font/ttf', legacyMediaType: 'application/x-font-ttf' },
+  otf: { extensions: ['.otf'], mediaType: 'font/otf', legacyMediaType: 'application/vnd.ms-opentype' },
+  woff: { extensions: ['.woff'], mediaType: 'font/woff', legacyMediaType: 'application/font-woff' },
+  woff2: { extensions: ['.woff2'], mediaType: 'font/woff2', legacyMediaType: 'font/woff2' }
+};
+
+// Bytes at the start of a font changed by IDPF obfuscation
+const OBFUSCATED_LENGTH = 1040;
+
+// Tags of tables known to WOFF2, in order of their index
+const WOFF2_TAGS = [
+  'cmap', 'head', 'hhea', 'hmtx', 'maxp', 'name', 'OS/2', 'post', 'cvt ', 'fpgm', 'glyf', 'loca', 'prep',
+  'CFF ', 'VORG', 'EBDT', 'EBLC', 'gasp', 'hdmx', 'kern', 'LTSH', 'PCLT', 'VDMX', 'vhea', 'vmtx', 'BASE',
+  'GDEF', 'GPOS', 'GSUB', 'EBSC', 'JSTF', 'MATH', 'CBDT', 'CBLC', 'COLR', 'CPAL', 'SVG ', 'sbix', 'acnt',
+  'avar', 'bdat', 'bloc', 'bsln', 'cvar', 'fdsc', 'feat', 'fmtx', 'fvar', 'gvar', 'hsty', 'just', 'lcar',
+  'mort', 'morx', 'opbd', 'prop', 'trak', 'Zapf', 'Silf', 'Glat', 'Gloc', 'Feat', 'Sill'
+];
+
+// Flags of composite glyph components
+const ARG_1_AND_2_ARE_WORDS = 0x0001;
+const WE_HAVE_A_SCALE = 0x0008;
+const MORE_COMPONENTS = 0x0020;
+const WE_HAVE_AN_X_AND_Y_SCALE = 0x0040;
+const WE_HAVE_A_TWO_BY_TWO = 0x0080;
+const WE_HAVE_INSTRUCTIONS = 0x0100;
+
+// Flags of simple glyph points
+const ON_CURVE_POINT = 0x01;
+const X_SHORT_VECTOR = 0x02;
+const Y_SHORT_VECTOR = 0x04;
+const REPEAT_FLAG = 0x08;
+const X_IS_SAME_OR_POSITIVE = 0x10;
+const Y_IS_SAME_OR_POSITIVE = 0x20;
+const OVERLAP_SIMPLE = 0x40;
+
+// Streams of transformed WOFF2 glyf table in order of their sizes in its header
+const GLYF_STREAMS = ['nContour', 'nPoints', 'flag', 'glyph', 'composite', 'bbox', 'instruction'];
+
+// Weights of subfamily names for fonts without OS/2 table
+const WEIGHT_NAMES = [
+  [/thin|hairline/i, 100], [/extra ?light|ultra ?light/i, 200], [/light/i, 300],
+  [/medium/i, 500], [/semi ?bold|demi ?bold/i, 600], [/extra ?bold|ultra ?bold/i, 800],
+  [/black|heavy/i, 900], [/bold/i, 700]
+];
+
+/**
+ * Detect font format from signature
+ * @param {Buffer} buffer - Font data
+ * @returns {string|null} - Format name or null if not a font
+ */
+function detectFormat(buffer) {
+  if (buffer.length < 12) return null;
+
+  const signature = buffer.toString('latin1', 0, 4);
+  if (signature === 'wOFF') return 'woff';
+  if (signature === 'wOF2') return 'woff2';
+  if (signature === 'OTTO') return 'otf';
+  if (buffer.readUInt32BE(0) === 0x00010000 || signature === 'true') return 'ttf';
+  return null;
+}
+
+/**
+ * Read tables of a font
+ * @param {Buffer} buffer - Font data
+ * @returns {Map<string, Buffer>} - Table data by tag, transformed WOFF2 tables are restored
+ * @throws {Error} - If the font is malformed
+ */
+function readTables(buffer) {
+  const format = detectFormat(buffer);
+  const tables = new Map();
+
+  if (format === 'ttf' || format === 'otf') {
+    const numTables = buffer.readUInt16BE(4);
+    for (let i = 0; i < numTables; i++) {
+      const entry = 12 + i * 16;
+      const tag = buffer.toString('latin1', entry, entry + 4);
+      const offset = buffer.readUInt32BE(entry + 8);
+      const length = buffer.readUInt32BE(entry + 12);
+      tables.set(tag, buffer.subarray(offset, offset + length));
+    }
+  } else if (format === 'woff') {
+    const numTables = buffer.readUInt16BE(12);
+    for (let i = 0; i < numTables; i++) {
+      const entry = 44 + i * 20;
+      const tag = buffer.toString('latin1', entry, entry + 4);
+      const offset = buffer.readUInt32BE(entry + 4);
+      const compLength = buffer.readUInt32BE(entry + 8);
+      const origLength = buffer.readUInt32BE(entry + 12);
+      const data = buffer.subarray(offset, offset + compLength);
+      tables.set(tag, compLength < origLength ? zlib.inflateSync(data) : data);
+    }
+  } else if (format === 'woff2') {
+    readWoff2Tables(buffer, tables);
+  } else {
+    throw new Error('Not a TrueType, OpenType, WOFF or WOFF2 font');
+  }
+
+  return tables;
+}
+
+/**
+ * Read tables of a WOFF2 font
+ * @param {Buffer} buffer - Font data
+ * @param {Map<string, Buffer>} tables - Map to fill with table data by tag
+ */
+function readWoff2Tables(buffer, tables) {
+  if (buffer.toString('latin1', 4, 8) === 'ttcf') {
+    throw new Error('WOFF2 font collections are not supported');
+  }
+
+  const numTables = buffer.readUInt16BE(12);
+  const compressedSize = buffer.readUInt32BE(20);
+  let offset = 48;
+
+  // Variable length number, 7 bits per byte
+  const base128 = () => {
+    let value = 0;
+    for (let i = 0; i < 5; i++) {
+      const byte = buffer[offset++];
+      value = value * 128 + (byte & 0x7F);
+      if (!(byte & 0x80)) return value;
+    }
+    throw new Error('Malformed WOFF2 table directory');
+  };
+
+  const directory = [];
+  for (let i = 0; i < numTables; i++) {
+    const flags = buffer[offset++];
+    let tag = WOFF2_TAGS[flags & 0x3F];
+    if ((flags & 0x3F) === 0x3F) {
+      tag = buffer.toString('latin1', offset, offset + 4);
+      offset += 4;
+    }
+    const version = flags >> 6;
+    const length = base128();
+
+    // glyf and loca are transformed by default, other tables only on request
+    const transformed = (tag === 'glyf' || tag === 'loca') ? version === 0 : version !== 0;
+    directory.push({ tag, length: transformed ? base128() : length, transformed });
+  }
+
+  const data = zlib.brotliDecompressSync(buffer.subarray(offset, offset + compressedSize));
+  let position = 0;
+  directory.forEach(({ tag, length }) => {
+    tables.set(tag, data.subarray(position, position + length));
+    position += length;
+  });
+
+  const transforms = new Set(directory.filter(t => t.transformed).map(t => t.tag));
+  transforms.forEach(tag => {
+    if (!['glyf', 'loca', 'hmtx'].includes(tag)) {
+      throw new Error(`Unknown transform of WOFF2 table ${tag}`);
+    }
+  });
+
+  // Transformed loca is empty, it is rebuilt with glyf
+  if (transforms.has('glyf')) {
+    const { glyf, loca } = reconstructGlyf(tables.get('glyf'));
+    tables.set('glyf', glyf);
+    tables.set('loca', loca);
+  }
+  if (transforms.has('hmtx')) {
+    tables.set('hmtx', reconstructHmtx(tables));
+  }
+}
+
+/**
+ * Create reader of a WOFF2 stream
+ * @param {Buffer} data - Stream data
+ * @returns {Object} - Functions reading values and advancing the position
+ */
+function streamReader(data) {
+  let offset = 0;
+  const check = size => {
+    if (offset + size > data.length) {
+      throw new Error('Malformed WOFF2 glyf table');
+    }
+    offset += size;
+    return offset - size;
+  };
+
+  return {
+    uint8: () => data[check(1)],
+    uint16: () => data.readUInt16BE(check(2)),
+    int16: () => data.readInt16BE(check(2)),
+    bytes: length => data.subarray(check(length), offset),
+    // 255UInt16, small values in one byte
+    uint255: () => {
+      const code = data[check(1)];
+      if (code === 253) return data.readUInt16BE(check(2));
+      if (code === 254) return 253 * 2 + data[check(1)];
+      if (code === 255) return 253 + data[check(1)];
+      return code;
+    },
+    skip: size => check(size),
+    position: () => offset,
+    since: start => data.subarray(start, offset)
+  };
+}
+
+/**
+ * Decode point coordinates of WOFF2 triplet encoding
+ * @param {number} flag - Flag of the point without on curve bit
+ * @param {Object} glyphStream - Reader of stream with coordinate bytes
+ * @returns {number[]} - Relative x and y
+ */
+function decodeTriplet(flag, glyphStream) {
+  // Low bits of flag are signs, set for positive
+  const withSign = (bit, value) => (bit & 1) ? value : -value;
+
+  if (flag < 10) {
+    return [0, withSign(flag, ((flag & 14) << 7) + glyphStream.uint8())];
+  }
+  if (flag < 20) {
+    return [withSign(flag, (((flag - 10) & 14) << 7) + glyphStream.uint8()), 0];
+  }
+  if (flag < 84) {
+    const b0 = flag - 20;
+    const b1 = glyphStream.uint8();
+    return [withSign(flag, 1 + (b0 & 0x30) + (b1 >> 4)), withSign(flag >> 1, 1 + ((b0 & 0x0C) << 2) + (b1 & 0x0F))];
+  }
+  if (flag < 120) {
+    const b0 = flag - 84;
+    const x = 1 + (Math.floor(b0 / 12) << 8) + glyphStream.uint8();
+    return [withSign(flag, x), withSign(flag >> 1, 1 + (((b0 % 12) >> 2) << 8) + glyphStream.uint8())];
+  }
+  if (flag < 124) {
+    const b1 = glyphStream.uint8();
+    const b2 = glyphStream.uint8();
+    return [withSign(flag, (b1 << 4) + (b2 >> 4)), withSign(flag >> 1, ((b2 & 0x0F) << 8) + glyphStream.uint8())];
+  }
+  const x = glyphStream.uint16();
+  return [withSign(flag, x), withSign(flag >> 1, glyphStream.uint16())];
+}
+
+/**
+ * Encode simple glyph in TrueType format
+ * @param {number[]} endPoints - Index of last point of every contour
+ * @param {Array<Object>} points - Points with relative x and y and onCurve
+ * @param {number[]} bbox - xMin, yMin, xMax and yMax
+ * @param {Buffer} instructions - Hinting instructions
+ * @param {boolean} overlap - Whether contours overlap
+ * @returns {Buffer} - Glyph data
+ */
+function encodeSimpleGlyph(endPoints, points, bbox, instructions, overlap) {
+  const flags = [];
+  const xs = [];
+  const ys = [];
+
+  // Short vectors use one byte and a sign flag, zero is left out
+  const coordinate = (delta, short, same, bytes) => {
+    if (delta === 0) return same;
+    if (Math.abs(delta) < 256) {
+      bytes.push(Math.abs(delta));
+      return short | (delta > 0 ? same : 0);
+    }
+    bytes.push((delta >> 8) & 0xFF, delta & 0xFF);
+    return 0;
+  };
+
+  points.forEach((point, i) => {
+    let flag = point.onCurve ? ON_CURVE_POINT : 0;
+    if (i === 0 && overlap) flag |= OVERLAP_SIMPLE;
+    flag |= coordinate(point.x, X_SHORT_VECTOR, X_IS_SAME_OR_POSITIVE, xs);
+    flag |= coordinate(point.y, Y_SHORT_VECTOR, Y_IS_SAME_OR_POSITIVE, ys);
+
+    // Runs of the same flag are stored once with a count
+    const last = flags.length - 1;
+    if (last >= 0 && flags[last].flag === flag && flags[last].count < 255) {
+      flags[last].count++;
+    } else {
+      flags.push({ flag, count: 0 });
+    }
+  });
+
+  const header = Buffer.alloc(10 + endPoints.length * 2 + 2);
+  header.writeInt16BE(endPoints.length, 0);
+  bbox.forEach((value, i) => header.writeInt16BE(value, 2 + i * 2));
+  endPoints.forEach((end, i) => header.writeUInt16BE(end, 10 + i * 2));
+  header.writeUInt16BE(instructions.length, 10 + endPoints.length * 2);
+
+  const flagBytes = flags.flatMap(({ flag, count }) => {
+    if (count === 0) return [flag];
+    if (count === 1) return [flag, flag];
+    return [flag | REPEAT_FLAG, count];
+  });
+  return Buffer.concat([header, instructions, Buffer.from(flagBytes), Buffer.from(xs), Buffer.from(ys)]);
+}
+
+/**
+ * Restore glyf and loca tables from WOFF2 transformed glyf table
+ * @param {Buffer} data - Transformed glyf table
+ * @returns {Object} - Object with glyf and loca tables
+ * @throws {Error} - If the table is malformed
+ */
+function reconstructGlyf(data) {
+  const optionFlags = data.readUInt16BE(2);
+  const numGlyphs = data.readUInt16BE(4);
+  const longLoca = data.readUInt16BE(6) === 1;
+
+  const streams = {};
+  let offset = 8 + GLYF_STREAMS.length * 4;
+  GLYF_STREAMS.forEach((name, i) => {
+    const size = data.readUInt32BE(8 + i * 4);
+    streams[name] = streamReader(data.subarray(offset, offset + size));
+    offset += size;
+  });
+  // Optional bitmap of glyphs with overlapping contours follows the streams
+  const overlaps = optionFlags & 1 ? data.subarray(offset, offset + ((numGlyphs + 7) >> 3)) : null;
+  const bboxBitmap = streams.bbox.bytes(((numGlyphs + 31) >> 5) << 2);
+  const hasBit = (bitmap, id) => (bitmap[id >> 3] & (0x80 >> (id & 7))) !== 0;
+  const explicitBbox = () => [0, 1, 2, 3].map(() => streams.bbox.int16());
+
+  const glyphs = [];
+  for (let id = 0; id < numGlyphs; id++) {
+    const nContours = streams.nContour.int16();
+
+    if (nContours === 0) {
+      glyphs.push(Buffer.alloc(0));
+    } else if (nContours === -1) {
+      // Composite glyph is stored as is, only its length has to be found
+      const start = streams.composite.position();
+      let flags;
+      let instructions = false;
+      do {
+        flags = streams.composite.uint16();
+        streams.composite.skip(2 + (flags & ARG_1_AND_2_ARE_WORDS ? 4 : 2));
+        if (flags & WE_HAVE_A_SCALE) streams.composite.skip(2);
+        else if (flags & WE_HAVE_AN_X_AND_Y_SCALE) streams.composite.skip(4);
+        else if (flags & WE_HAVE_A_TWO_BY_TWO) streams.composite.skip(8);
+        instructions = instructions || (flags & WE_HAVE_INSTRUCTIONS) !== 0;
+      } while (flags & MORE_COMPONENTS);
+
+      // Bounding box of composite glyphs is always stored
+      if (!hasBit(bboxBitmap, id)) {
+        throw new Error('Malformed WOFF2 glyf table');
+      }
+      const header = Buffer.alloc(10);
+      header.writeInt16BE(-1, 0);
+      explicitBbox().forEach((value, i) => header.writeInt16BE(value, 2 + i * 2));
+      const parts = [header, streams.composite.since(start)];
+      if (instructions) {
+        const length = streams.glyph.uint255();
+        const lengthBytes = Buffer.alloc(2);
+        lengthBytes.writeUInt16BE(length, 0);
+        parts.push(lengthBytes, streams.instruction.bytes(length));
+      }
+      glyphs.push(Buffer.concat(parts));
+    } else {
+      const endPoints = [];
+      let total = 0;
+      for (let c = 0; c < nContours; c++) {
+        total += streams.nPoints.uint255();
+        endPoints.push(total - 1);
+      }
+
+      const points = [];
+      let x = 0;
+      let y = 0;
+      const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+      for (let p = 0; p < total; p++) {
+        const flag = streams.flag.uint8();
+        const [dx, dy] = decodeTriplet(flag & 0x7F, streams.glyph);
+        x += dx;
+        y += dy;
+        bbox[0] = Math.min(bbox[0], x);
+        bbox[1] = Math.min(bbox[1], y);
+        bbox[2] = Math.max(bbox[2], x);
+        bbox[3] = Math.max(bbox[3], y);
+        // High bit is set for off curve points
+        points.push({ x: dx, y: dy, onCurve: !(flag & 0x80) });
+      }
+
+      const instructions = streams.instruction.bytes(streams.glyph.uint255());
+      glyphs.push(encodeSimpleGlyph(
+        endPoints,
+        points,
+        hasBit(bboxBitmap, id) ? explicitBbox() : bbox.map(v => (Number.isFinite(v) ? v : 0)),
+        instructions,
+        overlaps !== null && hasBit(overlaps, id)
+      ));
+    }
+  }
+
+  // Glyphs are padded so offsets stay even for short loca
+  const loca = Buffer.alloc((numGlyphs + 1) * (longLoca ? 4 : 2));
+  const padded = [];
+  let position = 0;
+  glyphs.forEach((glyph, id) => {
+    if (longLoca) loca.writeUInt32BE(position, id * 4);
+    else loca.writeUInt16BE(position / 2, id * 2);
+    const aligned = Buffer.concat([glyph, Buffer.alloc((4 - glyph.length % 4) % 4)]);
+    padded.push(aligned);
+    position += aligned.length;
+  });
+  if (longLoca) loca.writeUInt32BE(position, numGlyphs * 4);
+  else loca.writeUInt16BE(position / 2, numGlyphs * 2);
+
+  return { glyf: Buffer.concat(padded), loca };
+}
+
+
+/**
+ * Restore hmtx table from WOFF2 transformed hmtx table
+ * @param {Map<string, Buffer>} tables - Tables with restored glyf and loca
+ * @returns {Buffer} - hmtx table
+ * @throws {Error} - If the font has no tables the transform depends on
+ */
+function reconstructHmtx(tables) {
+  ['head', 'hhea', 'maxp', 'glyf', 'loca'].forEach(tag => {
+    if (!tables.has(tag)) {
+      throw new Error(`Transformed hmtx table without ${tag} table`);
+    }
+  });
+  const data = tables.get('hmtx');
+  const numGlyphs = tables.get('maxp').readUInt16BE(4);
+  const numberOfHMetrics = tables.get('hhea').readUInt16BE(34);
+  const longLoca = tables.get('head').readInt16BE(50) === 1;
+  const loca = tables.get('loca');
+  const glyf = tables.get('glyf');
+
+  // Left side bearings left out are xMin of the glyph
+  const xMin = id => {
+    const offset = longLoca ? loca.readUInt32BE(id * 4) : loca.readUInt16BE(id * 2) * 2;
+    const next = longLoca ? loca.readUInt32BE(id * 4 + 4) : loca.readUInt16BE(id * 2 + 2) * 2;
+    return next > offset ? glyf.readInt16BE(offset + 2) : 0;
+  };
+
+  const flags = data[0];
+  const stream = streamReader(data.subarray(1));
+  const advances = [];
+  for (let id = 0; id < numberOfHMetrics; id++) {
+    advances.push(stream.uint16());
+  }
+  const hmtx = Buffer.alloc(numberOfHMetrics * 4 + (numGlyphs - numberOfHMetrics) * 2);
+  for (let id = 0; id < numberOfHMetrics; id++) {
+    hmtx.writeUInt16BE(advances[id], id * 4);
+    hmtx.writeInt16BE(flags & 1 ? xMin(id) : stream.int16(), id * 4 + 2);
+  }
+  for (let id = numberOfHMetrics; id < numGlyphs; id++) {
+    hmtx.writeInt16BE(flags & 2 ? xMin(id) : stream.int16(), numberOfHMetrics * 4 + (id - numberOfHMetrics) * 2);
+  }
+  return hmtx;
+}
+
+/**
+ * Read a string from name table
+ * @param {Buffer} name - Name table
+ * @param {number} nameId - Name ID
+ * @returns {string|null} - Name, preferring Windows Unicode records
+ */
+function readName(name, nameId) {
+  const count = name.readUInt16BE(2);
+  const storage = name.readUInt16BE(4);
+  let fallback = null;
+
+  for (let i = 0; i < count; i++) {
+    const record = 6 + i * 12;
+    const platform = name.readUInt16BE(record);
+    const encoding = name.readUInt16BE(record + 2);
+    const id = name.readUInt16BE(record + 6);
+    const length = name.readUInt16BE(record + 8);
+    const offset = storage + name.readUInt16BE(record + 10);
+    if (id !== nameId) continue;
+
+    const bytes = name.subarray(offset, offset + length);
+    if ((platform === 3 && (encoding === 1 || encoding === 10)) || platform === 0) {
+      // UTF-16BE
+      return Buffer.from(bytes).swap16().toString('utf16le');
+    }
+    if (platform === 1 && encoding === 0 && fallback === null) {
+      fallback = bytes.toString('latin1');
+    }
+  }
+  return fallback;
+}
+
+/**
+ * Get family, weight and style of a font
+ * @param {Buffer} buffer - Font data
+ * @returns {Object} - Object with format, family, subfamily, weight and style
+ * @throws {Error} - If the font is malformed or has no family name
+ */
+function fontInfo(buffer) {
+  const format = detectFormat(buffer);
+  const tables = readTables(buffer);
+
+  const name = tables.get('name');
+  if (!name) {
+    throw new Error('Font has no name table');
+  }
+
+  // Typographic names group more than four styles in one family
+  const family = readName(name, 16) || readName(name, 1);
+  const subfamily = readName(name, 17) || readName(name, 2) || 'Regular';
+  if (!family) {
+    throw new Error('Font has no family name');
+  }
+
+  let weight = 400;
+  let italic = /italic|oblique/i.test(subfamily);
+  const os2 = tables.get('OS/2');
+  if (os2 && os2.length >= 64) {
+    weight = os2.readUInt16BE(4) || 400;
+    italic = italic || (os2.readUInt16BE(62) & 1) === 1;
+  } else {
+    const named = WEIGHT_NAMES.find(([pattern]) => pattern.test(subfamily));
+    weight = named ? named[1] : 400;
+  }
+
+  return { format, family, subfamily, weight, style: italic ? 'italic' : 'normal' };
+}
+
+/**
+ * Load fonts from a directory, skipping other files
+ * @param {string} dir - Font directory
+ * @param {Function} [onSkip] - Called with file name and reason for every skipped file
+ * @returns {Promise<Array<Object>>} - Fonts with file, data, format, family, weight and style, sorted by file name
+ */
+async function loadFonts(dir, onSkip = () => {}) {
+  const fonts = [];
+
+  // Sorted, directory order differs between file systems
+  const files = (await fs.readdir(dir)).sort();
+
+  for (const file of files) {
+    const fontPath = path.join(dir, file);
+    if (!(await fs.stat(fontPath)).isFile()) continue;
+
+    const extension = path.extname(file).toLowerCase();
+    if (!Object.values(FORMATS).some(f => f.extensions.includes(extension))) {
+      onSkip(file, 'not a font file');
+      continue;
+    }
+
+    const data = await fs.readFile(fontPath);
+    try {
+      const info = fontInfo(data);
+      if (!FORMATS[info.format].extensions.includes(extension)) {
+        onSkip(file, `${info.format.toUpperCase()} font with ${extension} extension`);
+        continue;
+      }
+      fonts.push({ file, data, ...info });
+    } catch (e) {
+      onSkip(file, e.message);
+    }
+  }
+
+  return fonts;
+}
+
+/**
+ * Get media type of a font
+ * @param {Object} font - Font from loadFonts()
+ * @param {boolean} epub3 - Whether media type is for EPUB 3
+ * @returns {string} - Media type
+ */
+function mediaType(font, epub3) {
+  return epub3 ? FORMATS[font.format].mediaType : FORMATS[font.format].legacyMediaType;
+}
+
+/**
+ * Obfuscate font with the IDPF algorithm, the same call restores it
+ * @param {Buffer} data - Font data
+ * @param {string} identifier - Unique identifier of the package
+ * @returns {Buffer} - Font data with start XORed with SHA-1 of the identifier
+ */
+function obfuscate(data, identifier) {
+  // Whitespace is not part of the key
+  const key = crypto.createHash('sha1').update(identifier.replace(/[\u0020\u0009\u000D\u000A]/g, '')).digest();
+  const result = Buffer.from(data);
+  for (let i = 0; i < Math.min(OBFUSCATED_LENGTH, result.length); i++) {
+    result[i] ^= key[i % key.length];
+  }
+  return result;
+}
+
+/**
+ * Quote a font family for CSS
+ * @param {string} family - Family name
+ * @returns {string} - Quoted family
+ */
+function cssFamily(family) {
+  return `"${family.replace(/["\\]/g, '\\$&')}"`;
+}
+
+/**
+ * Generate CSS for embedded fonts
+ * @param {Array<Object>} fonts - Fonts from loadFonts()
+ * @param {Object} [families] - Family names by CSS selector using them
+ * @returns {string} - @font-face rules followed by rules for the selectors
+ */
+function fontFaceCss(fonts, families = {}) {
+  const rules = fonts.map(font => [
+    '@font-face {',
+    `  font-family: ${cssFamily(font.family)};`,
+    `  font-weight: ${font.weight};`,
+    `  font-style: ${font.style};`,
+    `  src: url("../Fonts/${encodeURIComponent(font.file)}");`,
+    '}'
+  ].join('\n'));
+
+  Object.entries(families).forEach(([selector, family]) => {
+    rules.push(`${selector} { font-family: ${cssFamily(family)}, serif; }`);
+  });
+
+  return rules.length > 0 ? `\n/* Embedded fonts */\n${rules.join('\n')}\n` : '';
+}
+
+export {
+  loadFonts, fontInfo, readTables, mediaType, fontFaceCss, detectFormat, obfuscate, WOFF2_TAGS,
+  ARG_1_AND_2_ARE_WORDS, WE_HAVE_A_SCALE, MORE_COMPONENTS, WE_HAVE_AN_X_AND_Y_SCALE, WE_HAVE_A_TWO_BY_TWO
+};
@@ -3,12 +3,12 @@
  * @module horas
  */
 
-import { EnhancedDOM, getExpands as getLexborExpands } from './mylexbor.js';
+import { EnhancedDOM, getExpands as getLexborExpands, filterExpands } from './mylexbor.js';
 import { getOpt } from './options.js';
-import { TMP_DIR } from './epub.js';
+import { parseHeadline } from './ordo.js';
+import { workDir, doctype } from './epub.js';
 import fs from 'fs-extra';
 import path from 'path';
-import { JSDOM } from 'jsdom';
 
 /**
  * Clean a string by removing/replacing unwanted HTML elements and formatting
@@ -26,36 +26,63 @@ function cleanString(html) {
 }
 
 /**
- * Clean HTML using various transformations
+ * Transforms applied by cleanHtml, in order (same as Crystal version)
+ * @type {Array<[string, Function]>}
+ */
+export const CLEAN_STEPS = [
+  ['removeTags', dom => dom.removeTags(['style', 'script', 'label', 'select', 'a'])],
+  ['divs', (dom, lang1, lang2) => dom.divs(lang1, lang2)],
+  ['collectExpands', dom => dom.collectExpands()],
+  ['cleanBodyTag', dom => dom.cleanBodyTag()],
+  ['fontSpans', dom => dom.fontSpans()],
+  ['addStyle', dom => dom.addStyle()],
+  ['centerStyle', dom => dom.centerStyle()],
+  ['removeH1', dom => dom.removeH1()],
+  ['addIdToHoras', dom => dom.addIdToHoras()],
+  ['fixWrongInitials', dom => dom.fixWrongInitials()],
+  ['verseNumbers', dom => dom.verseNumbers()],
+  ['addHtmlns', (dom, lang1) => dom.addHtmlns(lang1, getOpt('epub3'))],
+  ['omitOmitted', dom => dom.omitOmitted()],
+  ['omitComments', dom => dom.omitComments()]
+];
+
+/**
+ * Apply clean steps to a new DOM
  * @param {string} html - HTML content to clean
  * @param {string} lang1 - Primary language
  * @param {string} lang2 - Secondary language
- * @returns {string} - Cleaned and transformed HTML
+ * @param {Function} [onStep] - Called with step name and DOM after each transform
+ * @returns {EnhancedDOM} - Transformed DOM
  */
-export function cleanHtml(html, lang1, lang2) {
+function cleanDom(html, lang1, lang2, onStep) {
   // Create a fresh DOM instance to avoid any reference issues
   const dom = new EnhancedDOM(html);
   
-  // Process in the same order as Crystal version
-  dom.removeTags(['style', 'script', 'label', 'select', 'a']);
-  dom.divs(lang1, lang2);
-  dom.collectExpands();
-  dom.cleanBodyTag();
-  dom.fontSpans();
-  dom.addStyle();
-  dom.centerStyle();
-  dom.removeH1();
-  dom.addIdToHoras();
-  dom.fixWrongInitials();
-  dom.verseNumbers();
-  dom.addHtmlns();
-  dom.omitOmitted();
-  dom.omitComments();
+  CLEAN_STEPS.forEach(([name, step]) => {
+    step(dom, lang1, lang2);
+    if (onStep) {
+      onStep(name, dom);
+    }
+  });
   
+  return dom;
+}
+
+/**
+ * Clean HTML using various transformations
+ * @param {string} html - HTML content to clean
+ * @param {string} lang1 - Primary language
+ * @param {string} lang2 - Secondary language
+ * @param {Function} [onStep] - Called with step name and DOM after each transform
+ * @returns {string} - Cleaned and transformed HTML
+ */
+export function cleanHtml(html, lang1, lang2, onStep) {
+  const dom = cleanDom(html, lang1, lang2, onStep);
   const cleanedHtml = dom.html();
+  dom.close();
   
   // Add DOCTYPE declaration
-  return `<!DOCTYPE html PUBLIC "-//W3C//DTD XHTML 1.1//EN" "http://www.w3.org/TR/xhtml11/DTD/xhtml11.dtd">\n${cleanedHtml}`;
+  return `${doctype()}\n${cleanedHtml}`;
 }
 
 /**
@@ -66,50 +93,142 @@ function getExpands() {
   return getLexborExpands();
 }
 
+/**
+ * Get title of a day from its first paragraph (matching Crystal behavior)
+ * @param {EnhancedDOM} dom - Cleaned DOM of the day
+ * @param {string} date - Date used when there is no paragraph
+ * @returns {string} - Title
+ */
+function dayTitle(dom, date) {
+  const firstP = dom.document.querySelector('p');
+  
+  if (firstP && firstP.firstChild) {
+    // Get inner HTML of first child, remove <br> and everything after it
+    const title = firstP.firstChild.innerHTML || firstP.textContent;
+    return title.replace(/<br>.*/, "").trim();
+  }
+  
+  // Fallback if no paragraph found
+  return date;
+}
+
+/**
+ * Get rank and commemorations of a day from its first paragraph
+ * @param {EnhancedDOM} dom - Cleaned DOM of the day
+ * @returns {Object} - Object with rank and commemorations, empty without paragraph
+ */
+function dayHeadline(dom) {
+  const firstP = dom.document.querySelector('p');
+  return firstP ? parseHeadline(firstP) : { rank: '', commemorations: [] };
+}
+
+/**
+ * Append a section after the hours
+ * @param {EnhancedDOM} dom - Cleaned DOM of the day
+ * @param {string} id - ID of the heading used by the table of contents
+ * @param {string} title - Heading text
+ * @param {Array<Node>} nodes - Content nodes from another DOM
+ */
+function appendSection(dom, id, title, nodes) {
+  const body = dom.body();
+  
+  // Heading like those of the hours
+  const h2 = dom.createNode("h2");
+  h2.setAttribute("id", id);
+  h2.innerHTML = `<span class="maroon text-lg"><b><i>${title}</i></b></span>`;
+  body.appendChild(h2);
+  
+  nodes.forEach(node => {
+    body.appendChild(dom.document.importNode(node, true));
+  });
+}
+
+/**
+ * Append Mass of the day as a section after the hours
+ * @param {EnhancedDOM} dom - Cleaned DOM of the day
+ * @param {string} html - Source HTML of missa.pl
+ */
+function appendMissa(dom, html) {
+  const missa = cleanDom(cleanString(html), getOpt("lang1"), getOpt("lang2"));
+  appendSection(dom, "Missa", "Sancta Missa", Array.from(missa.body().childNodes));
+  missa.close();
+}
+
+/**
+ * Append Martyrology read at Prime as a section after the hours
+ * @param {EnhancedDOM} dom - Cleaned DOM of the day
+ * @param {string} html - Source HTML of Prime of the day, which reads the
+ *   entry of the following day
+ */
+function appendMartyrology(dom, html) {
+  const before = new Set(getLexborExpands());
+  const prima = cleanDom(cleanString(html), getOpt("lang1"), getOpt("lang2"));
+  
+  // Every part of Prime is one table, the Martyrology is headed by its name
+  const table = prima.css("div.table").find(t => {
+    const cell = t.querySelector(".table-cell");
+    return cell && /^\s*Martyrolog/i.test(cell.textContent);
+  });
+  
+  const nodes = [];
+  if (table) {
+    const container = prima.createNode("div");
+    container.className = "table-container";
+    container.appendChild(table);
+    nodes.push(container);
+  }
+  
+  // Expands of the rest of Prime are not in the book
+  const markup = table ? table.innerHTML : "";
+  filterExpands(e => before.has(e) || markup.includes(`expands.html#${e.substring(1).replace(/ /g, "_")}"`));
+  
+  appendSection(dom, "Martyrologium", "Martyrologium", nodes);
+  prima.close();
+}
+
 /**
  * Prepare hours content for processing
  * @param {string} html - Source HTML
  * @param {string} date - Date string for the file
- * @returns {Promise<string>} - Title extracted from first paragraph (matching Crystal behavior)
+ * @param {Object} [extra] - Source HTML of sections after the hours
+ * @param {string|null} [extra.martyrology] - Prime of the day with the Martyrology to append
+ * @param {string|null} [extra.missa] - Mass of the day to append
+ * @returns {Promise<Object>} - Object with title extracted from first paragraph,
+ *   page content and headline with rank and commemorations
  */
-async function prepareHoras(html, date) {
+async function prepareHoras(html, date, { martyrology = null, missa = null } = {}) {
   const lang1 = getOpt("lang1");
   const lang2 = getOpt("lang2");
 
   // Clean the HTML string first (matching Crystal's clean_string)
   html = cleanString(html);
   
-  // Clean and process HTML (matching Crystal's clean_html)
-  html = cleanHtml(html, lang1, lang2);
+  // Clean and process HTML (matching Crystal's clean_html), title is taken
+  // from the same DOM, which is released before the next day
+  const dom = cleanDom(html, lang1, lang2);
+  if (martyrology) {
+    appendMartyrology(dom, martyrology);
+  }
+  if (missa) {
+    appendMissa(dom, missa);
+  }
+  const content = `${doctype()}\n${dom.html()}`;
+  const title = dayTitle(dom, date);
+  const headline = dayHeadline(dom);
+  dom.close();
 
-  // Write the processed HTML to temporary file (matching Crystal behavior)
-  const filename = path.join(TMP_DIR, 'Text', `${date}.html`);
+  // Write the processed HTML to work directory, reused by later runs
+  const filename = path.join(workDir(), 'Text', `${date}.html`);
   
   try {
     await fs.ensureDir(path.dirname(filename));
-    await fs.writeFile(filename, html);
+    await fs.writeFile(filename, content);
   } catch (e) {
     console.error(`Can't write horas to temporary dir: ${e.message}`);
     process.exit(1);
   }
 
-  // Extract and return title from first paragraph (matching Crystal behavior)
-  try {
-    const dom = new JSDOM(html);
-    const firstP = dom.window.document.querySelector('p');
-    
-    if (firstP && firstP.firstChild) {
-      // Get inner HTML of first child, remove <br> and everything after it
-      let title = firstP.firstChild.innerHTML || firstP.textContent;
-      return title.replace(/<br>.*/, "").trim();
-    }
-    
-    // Fallback if no paragraph found
-    return date;
-  } catch (e) {
-    console.warn(`Could not extract title for ${date}, using date as title`);
-    return date;
-  }
+  return { title, content, headline };
 }
 
 /**
@@ -120,10 +239,11 @@ async function prepareHoras(html, date) {
  */
 function prepareExpand(html, item) {
   html = cleanString(html);
-  html = cleanHtml(html, getOpt("lang1"), getOpt("lang2"));
+  const dom = cleanDom(html, getOpt("lang1"), getOpt("lang2"));
+  dom.convertToAscii();
   
-  const dom = new JSDOM(html);
-  const body = dom.window.document.querySelector("body");
+  const body = dom.body();
+  let content = "";
   
   if (body) {
     const h3 = body.querySelector("h3");
@@ -131,13 +251,15 @@ function prepareExpand(html, item) {
       h3.id = item.replace(/ /g, "_");
     }
     
-    return body.innerHTML
-      .replace(/<br>/g, "<br/>")
+    // Serialize as XML like the day pages, without the body element itself
+    content = new dom.dom.window.XMLSerializer().serializeToString(body)
+      .replace(/^<body[^>]*>|<\/body>$/g, "")
       .trim()
-      .replace(/<br\/>$/, "");
+      .replace(/<br \/>$/, "");
   }
   
-  return "";
+  dom.close();
+  return content;
 }
 
-export { prepareHoras, prepareExpand, getExpands };
+export { cleanString, prepareHoras, prepareExpand, getExpands };
@@ -0,0 +1,159 @@
+/**
+ * Module for detecting format and dimensions of images
+ * @module image
+ *
+ * Supports JPEG, PNG, GIF, WebP and SVG, the image types allowed in EPUB.
+ */
+
+import JPEG from './jpeg.js';
+
+// Formats by name with file extension and media type
+const FORMATS = {
+  jpeg: { extension: 'jpg', mediaType: 'image/jpeg' },
+  png: { extension: 'png', mediaType: 'image/png' },
+  gif: { extension: 'gif', mediaType: 'image/gif' },
+  webp: { extension: 'webp', mediaType: 'image/webp' },
+  svg: { extension: 'svg', mediaType: 'image/svg+xml' }
+};
+
+// Size of SVG without width, height and viewBox (CSS default of replaced elements)
+const SVG_DEFAULT_SIZE = [300, 150];
+
+/**
+ * Get dimensions of a PNG image from IHDR chunk
+ * @param {Buffer} buffer - PNG data
+ * @returns {number[]} - Width and height
+ */
+function pngSize(buffer) {
+  if (buffer.toString('latin1', 12, 16) !== 'IHDR') {
+    throw new Error('Malformed PNG');
+  }
+  return [buffer.readUInt32BE(16), buffer.readUInt32BE(20)];
+}
+
+/**
+ * Get dimensions of a GIF image from logical screen descriptor
+ * @param {Buffer} buffer - GIF data
+ * @returns {number[]} - Width and height
+ */
+function gifSize(buffer) {
+  return [buffer.readUInt16LE(6), buffer.readUInt16LE(8)];
+}
+
+/**
+ * Get dimensions of a WebP image from its first chunk
+ * @param {Buffer} buffer - WebP data
+ * @returns {number[]} - Width and height
+ */
+function webpSize(buffer) {
+  const chunk = buffer.toString('latin1', 12, 16);
+
+  if (chunk === 'VP8 ') {
+    // Lossy, 14 bit sizes after frame tag and start code
+    return [buffer.readUInt16LE(26) & 0x3FFF, buffer.readUInt16LE(28) & 0x3FFF];
+  }
+  if (chunk === 'VP8L') {
+    // Lossless, 14 bit sizes minus one after signature byte
+    const bits = buffer.readUInt32LE(21);
+    return [(bits & 0x3FFF) + 1, ((bits >> 14) & 0x3FFF) + 1];
+  }
+  if (chunk === 'VP8X') {
+    // Extended, 24 bit canvas sizes minus one
+    return [buffer.readUIntLE(24, 3) + 1, buffer.readUIntLE(27, 3) + 1];
+  }
+  throw new Error('Malformed WebP');
+}
+
+/**
+ * Get dimensions of an SVG image from its root element
+ * @param {string} text - SVG source
+ * @returns {number[]} - Width and height
+ */
+function svgSize(text) {
+  const root = text.match(/<svg\b[^>]*>/)[0];
+  const attr = name => {
+    const match = root.match(new RegExp(`\\s${name}\\s*=\\s*["']([^"']*)["']`));
+    return match ? match[1].trim() : null;
+  };
+
+  // Lengths in percents can't give intrinsic size
+  const length = name => {
+    const value = attr(name);
+    return value && /^[\d.]+(px)?$/.test(value) ? Math.round(parseFloat(value)) : null;
+  };
+
+  const viewBox = attr('viewBox');
+  if (viewBox) {
+    const [, , width, height] = viewBox.split(/[\s,]+/).map(Number);
+    if (width > 0 && height > 0) {
+      return [length('width') || width, length('height') || height];
+    }
+  }
+  return [length('width') || SVG_DEFAULT_SIZE[0], length('height') || SVG_DEFAULT_SIZE[1]];
+}
+
+/**
+ * Detect image format
+ * @param {Buffer} buffer - Image data
+ * @returns {string|null} - Format name or null if not supported
+ */
+function detectFormat(buffer) {
+  if (buffer.length >= 4 && buffer[0] === 0xFF && buffer[1] === 0xD8) {
+    return 'jpeg';
+  }
+  if (buffer.length >= 24 && buffer.readUInt32BE(0) === 0x89504E47 && buffer.readUInt32BE(4) === 0x0D0A1A0A) {
+    return 'png';
+  }
+  if (buffer.length >= 10 && /^GIF8[79]a$/.test(buffer.toString('latin1', 0, 6))) {
+    return 'gif';
+  }
+  if (buffer.length >= 30 && buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') {
+    return 'webp';
+  }
+  // Text starting with optional BOM, XML declaration, comments or doctype
+  if (/^(﻿)?\s*(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*|<!DOCTYPE[^>]*>\s*)*<svg\b/.test(buffer.toString('utf8', 0, 4096))) {
+    return 'svg';
+  }
+  return null;
+}
+
+/**
+ * Probe image format and dimensions
+ * @param {Buffer} buffer - Image data
+ * @returns {Object} - Object with format, extension, mediaType, width and height
+ * @throws {Error} - If the format is not supported or the image is malformed
+ */
+function probe(buffer) {
+  const format = detectFormat(buffer);
+  if (!format) {
+    throw new Error('Unsupported image format, use JPEG, PNG, GIF, WebP or SVG');
+  }
+
+  let size;
+  switch (format) {
+    case 'jpeg':
+      size = JPEG.getWidthAndHeight(buffer);
+      break;
+    case 'png':
+      size = pngSize(buffer);
+      break;
+    case 'gif':
+      size = gifSize(buffer);
+      break;
+    case 'webp':
+      size = webpSize(buffer);
+      break;
+    case 'svg':
+      size = svgSize(buffer.toString('utf8'));
+      break;
+  }
+
+  const [width, height] = size;
+  if (!(width > 0 && height > 0)) {
+    throw new Error(`Can't read size of ${format.toUpperCase()} image`);
+  }
+
+  return { format, ...FORMATS[format], width, height };
+}
+
+export { probe, FORMATS };
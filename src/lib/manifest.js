@@ -0,0 +1,116 @@
+/**
+ * Module for tracking completed days in a persistent work directory
+ * @module manifest
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import crypto from 'crypto';
+import { getOpt } from './options.js';
+import { workDir } from './epub.js';
+
+// Constants
+const MANIFEST_FILE = 'manifest.json';
+
+// Options which change the processed pages apart from the query string, epub3
+// gives the doctype of saved pages
+const PROCESSING_OPTS = ['source', 'lang1', 'lang2', 'nosplit', 'ascii', 'nocomments', 'noomitted', 'epub3'];
+
+let manifest = null;
+
+/**
+ * Compute hash of a string
+ * @param {string} data - Data to hash
+ * @returns {string} - Hex digest
+ */
+function hash(data) {
+  return crypto.createHash('sha1').update(data).digest('hex');
+}
+
+/**
+ * Compute hash of the options used for processing pages
+ * @returns {string} - Options hash
+ */
+function optionsHash() {
+  return hash(JSON.stringify(PROCESSING_OPTS.map(o => getOpt(o))));
+}
+
+/**
+ * Load manifest from the work directory
+ * @returns {Promise<Object>} - Manifest object
+ */
+async function load() {
+  manifest = { optionsHash: optionsHash(), days: {} };
+
+  if (!getOpt('workdir')) return manifest;
+
+  try {
+    const data = await fs.readJson(path.join(workDir(), MANIFEST_FILE));
+    // Pages processed with other options can not be reused
+    if (data.optionsHash === manifest.optionsHash && data.days) {
+      manifest.days = data.days;
+    }
+  } catch (e) {
+    // No manifest yet, start from scratch
+  }
+
+  return manifest;
+}
+
+/**
+ * Save manifest to the work directory
+ */
+async function save() {
+  if (!getOpt('workdir')) return;
+
+  const file = path.join(workDir(), MANIFEST_FILE);
+  try {
+    // Write and rename so an interrupted run never leaves a broken manifest
+    await fs.writeJson(`${file}.tmp`, manifest, { spaces: 2 });
+    await fs.rename(`${file}.tmp`, file);
+  } catch (e) {
+    console.error(`Can't write build manifest ${file}: ${e.message}`);
+  }
+}
+
+/**
+ * Compute input hash of a day
+ * @param {string} optstring - Options string used to download the day
+ * @returns {string} - Input hash
+ */
+function dayHash(optstring) {
+  return hash(`${manifest.optionsHash}?${optstring}`);
+}
+
+/**
+ * Get completed day with unchanged inputs
+ * @param {string} date - Date string
+ * @param {string} optstring - Options string used to download the day
+ * @returns {Promise<Object|null>} - Day entry with title, expands and headline or null
+ */
+async function completedDay(date, optstring) {
+  if (!getOpt('workdir')) return null;
+
+  const day = manifest.days[date];
+  if (!day || day.hash !== dayHash(optstring)) return null;
+
+  // Page must still be there
+  if (!await fs.pathExists(path.join(workDir(), 'Text', `${date}.html`))) return null;
+
+  return day;
+}
+
+/**
+ * Record completed day and save manifest
+ * @param {string} date - Date string
+ * @param {string} optstring - Options string used to download the day
+ * @param {string} title - Title of the day
+ * @param {string[]} expands - Expands collected from the day
+ * @param {Object} headline - Rank and commemorations of the day
+ */
+async function completeDay(date, optstring, title, expands, headline) {
+  manifest.days[date] = { hash: dayHash(optstring), title, expands, headline };
+  await save();
+}
+
+export { load, completedDay, completeDay };
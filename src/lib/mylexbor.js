@@ -9,6 +9,28 @@ import { getOpt, getDoOpt } from './options.js';
 // Track expands for later use
 let expands = [];
 
+/**
+ * Get language code of a divinumofficium language
+ * @param {string} lang - Language name ex. 'Polski' or 'Español/Espanol'
+ * @returns {string} - Language code ex. 'pl'
+ */
+function langCode(lang) {
+  const langMap = {};
+  const languages = getDoOpt("LANGUAGES");
+  
+  languages.forEach(l => {
+    langMap[l] = l.substring(0, 2).toLowerCase();
+  });
+  
+  // Additional language mappings
+  langMap["Polski"] = langMap["Polski-New"] = langMap["Polski-Newer"] = "pl";
+  langMap["Magyar"] = "hu";
+  langMap["Čeština/Bohemice"] = "cs";
+  langMap["Português/Portugues"] = "pt";
+  
+  return langMap[lang] || lang.substring(0, 2).toLowerCase();
+}
+
 /**
  * Extended DOM Node functionality for HTML parsing
  * Similar to Lexbor::Node in Crystal
@@ -489,17 +511,8 @@ class EnhancedDOM {
    * @returns {EnhancedDOM} - The current instance
    */
   divs(lang1, lang2) {
-    const langMap = {};
-    const languages = getDoOpt("LANGUAGES");
-    
-    languages.forEach(l => {
-      langMap[l] = l.substring(0, 2).toLowerCase();
-    });
-    
-    // Additional language mappings
-    langMap["Polski"] = langMap["Polski-New"] = "pl";
-    langMap["Magyar"] = "hu";
-    langMap["Čeština/Bohemice"] = "cs";
+    const code1 = langCode(lang1);
+    const code2 = langCode(lang2);
     
     // Remove right-aligned divs
     this.css("div[align=right]").forEach(div => div.parentNode.removeChild(div));
@@ -545,7 +558,7 @@ class EnhancedDOM {
             // Create cell for first language
             const cell1 = this.createNode("div");
             cell1.className = lang1 === lang2 ? "table-cell lang0" : "table-cell lang1";
-            cell1.setAttribute("lang", langMap[lang1] || lang1.substring(0, 2).toLowerCase());
+            cell1.setAttribute("lang", code1);
             cell1.innerHTML = line1;
             newRow.appendChild(cell1);
      
@@ -553,7 +566,7 @@ class EnhancedDOM {
             if (lang1 !== lang2) {
               const cell2 = this.createNode("div");
               cell2.className = "table-cell lang2";
-              cell2.setAttribute("lang", langMap[lang2] || lang2.substring(0, 2).toLowerCase());
+              cell2.setAttribute("lang", code2);
               cell2.innerHTML = line2;
               newRow.appendChild(cell2);
             }
@@ -569,7 +582,7 @@ class EnhancedDOM {
               // Create cell for first language
               const cell1 = this.createNode("div");
               cell1.className = lang1 === lang2 ? "table-cell lang0" : "table-cell lang1";
-              cell1.setAttribute("lang", langMap[lang1] || lang1.substring(0, 2).toLowerCase());
+              cell1.setAttribute("lang", code1);
               cell1.innerHTML = line1;
               newRow.appendChild(cell1);
        
@@ -577,7 +590,7 @@ class EnhancedDOM {
               if (lang1 !== lang2) {
                 const cell2 = this.createNode("div");
                 cell2.className = "table-cell lang2";
-                cell2.setAttribute("lang", langMap[lang2] || lang2.substring(0, 2).toLowerCase());
+                cell2.setAttribute("lang", code2);
                 cell2.innerHTML = line2;
                 newRow.appendChild(cell2);
               }
@@ -589,10 +602,10 @@ class EnhancedDOM {
               
               if (lang1 !== lang2) {
                 // Split English first (usually more natural sentence breaks)
-                const englishLine = langMap[lang2] === 'en' ? line2 : line1;
-                const latinLine = langMap[lang2] === 'en' ? line1 : line2;
+                const englishLine = code2 === 'en' ? line2 : line1;
+                const latinLine = code2 === 'en' ? line1 : line2;
                 
-                if (langMap[lang2] === 'en') {
+                if (code2 === 'en') {
                   // English is second language, split it first
                   sentences2 = this.splitSentences(englishLine);
                   sentences1 = this.splitSentencesFuzzy(latinLine, sentences2);
@@ -616,7 +629,7 @@ class EnhancedDOM {
                 // Always create cell for first language (even if empty)
                 const cell1 = this.createNode("div");
                 cell1.className = lang1 === lang2 ? "table-cell lang0" : "table-cell lang1";
-                cell1.setAttribute("lang", langMap[lang1] || lang1.substring(0, 2).toLowerCase());
+                cell1.setAttribute("lang", code1);
                 cell1.innerHTML = sentIdx < sentences1.length ? sentences1[sentIdx] : "";
                 newRow.appendChild(cell1);
          
@@ -624,7 +637,7 @@ class EnhancedDOM {
                 if (lang1 !== lang2) {
                   const cell2 = this.createNode("div");
                   cell2.className = "table-cell lang2";
-                  cell2.setAttribute("lang", langMap[lang2] || lang2.substring(0, 2).toLowerCase());
+                  cell2.setAttribute("lang", code2);
                   cell2.innerHTML = sentIdx < sentences2.length ? sentences2[sentIdx] : "";
                   newRow.appendChild(cell2);
                 }
@@ -716,13 +729,21 @@ class EnhancedDOM {
   }
 
   /**
-   * Add XHTML namespace
+   * Add XHTML namespace and language of the document
+   * @param {string} [lang] - Primary language
+   * @param {boolean} [epub3] - Also add lang, which XHTML 1.1 of EPUB 2 does not allow
    * @returns {EnhancedDOM} - The current instance
    */
-  addHtmlns() {
+  addHtmlns(lang, epub3 = false) {
     const html = this.css("html")[0];
     if (html) {
       html.setAttribute("xmlns", "http://www.w3.org/1999/xhtml");
+      if (lang) {
+        html.setAttributeNS("http://www.w3.org/XML/1998/namespace", "xml:lang", langCode(lang));
+        if (epub3) {
+          html.setAttribute("lang", langCode(lang));
+        }
+      }
     }
     return this;
   }
@@ -957,7 +978,19 @@ class EnhancedDOM {
   html() {
     // Convert to ASCII if option is enabled, but do it last
     this.convertToAscii();
-    return this.dom.serialize();
+    
+    // Serialize as XML so pages are well-formed XHTML (self-closed void
+    // elements, no HTML entities), the serializer adds the namespace itself
+    const root = this.dom.window.document.documentElement;
+    root.removeAttribute("xmlns");
+    return new this.dom.window.XMLSerializer().serializeToString(root);
+  }
+
+  /**
+   * Release the window of the DOM, it can't be used afterwards
+   */
+  close() {
+    this.dom.window.close();
   }
 }
 
@@ -976,4 +1009,12 @@ function clearExpands() {
   expands = [];
 }
 
-export { EnhancedDOM, getExpands, clearExpands };
+/**
+ * Keep only expand sections accepted by a filter
+ * @param {Function} filter - Called with every expand section, returns true to keep it
+ */
+function filterExpands(filter) {
+  expands = expands.filter(filter);
+}
+
+export { EnhancedDOM, langCode, getExpands, clearExpands, filterExpands };
@@ -4,18 +4,25 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import { getFile } from './assets.js';
 import YAML from 'yaml';
+import * as Sources from './sources.js';
+import { isSplitBy, splitRange, volumeOutput } from './volumes.js';
+import { PERIODS, liturgicalRange } from './calendar.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 // Constants
 const DO_DATEFORMAT = '%m-%d-%Y';
+const PERIOD_EXPRESSIONS = `${Object.keys(PERIODS).join(' | ')} with optional +/-days and year ex. 'advent 2025', 'easter+49'`;
 const DO_WPATH = '/cgi-bin/horas/';
 const DO_LPATH = '/web' + DO_WPATH;
 
 let opts = {};
 let doOpts = {};
 
+// Options given on the command line or in a config file, not defaults
+let given = new Set();
+
 /**
  * Abort with error message
  * @param {string} message - Error message to display
@@ -29,12 +36,23 @@ function abort(message) {
  * Check if a date string is valid
  * @param {string} name - Name of the option
  * @param {Date} today - Today's date
- * @returns {Date} - Parsed date
+ * @param {Date} [after] - Liturgical expressions without a year are taken on or after this date
+ * @returns {Date} - Parsed date, the first day of a liturgical period for
+ *   datefrom and its last day for dateto
  */
-function checkDate(name, today) {
+function checkDate(name, today, after = today) {
   try {
     let value = opts[name].trim();
     
+    // Handle liturgical expressions like 'lent 2026' or 'easter+49'
+    const range = liturgicalRange(value, after);
+    if (range) {
+      return name === 'dateto' ? range.last : range.first;
+    }
+    
+    // Handle YYYY-MM-DD format by moving the year to the end
+    value = value.replace(/^(\d{4})-(\d\d?)-(\d\d?)$/, '$2-$3-$1');
+    
     // Handle MM-DD format by adding current year
     if (/^\d\d?[-/]\d\d?$/.test(value)) {
       value += '/' + today.getFullYear();
@@ -57,37 +75,68 @@ function checkDate(name, today) {
     // Ensure we return a proper Date object
     return new Date(date.getTime());
   } catch (e) {
-    abort(`Wrong ${name} date: ${opts[name]} (expected format: ${DO_DATEFORMAT})`);
+    abort(`Wrong ${name} date: ${opts[name]} (expected format: ${DO_DATEFORMAT}, YYYY-MM-DD or ${PERIOD_EXPRESSIONS})`);
   }
 }
 
+/**
+ * Check local Divinum Officium checkout
+ * @param {string} dir - Path to the checkout
+ * @returns {string} - Path to the cgi-bin/horas directory
+ */
+function checkCheckout(dir) {
+  const horas = path.resolve(dir) + DO_LPATH;
+  try {
+    fs.accessSync(horas + 'officium.pl', fs.constants.R_OK);
+    fs.accessSync(horas + 'popup.pl', fs.constants.R_OK);
+  } catch (e) {
+    abort(`Can't locate ${DO_LPATH} in ${dir}`);
+  }
+  
+  // Missal scripts are in their own directory next to the horas
+  if (opts.missa) {
+    try {
+      fs.accessSync(horas + '../missa/missa.pl', fs.constants.R_OK);
+    } catch (e) {
+      abort(`Can't locate /web/cgi-bin/missa/missa.pl in ${dir}`);
+    }
+  }
+  return horas;
+}
+
 /**
  * Check source URL/path
  * @param {string} source - Source URL/path
  * @returns {string} - Updated source
  */
 function checkSource(source) {
-  try {
-    const url = new URL(source);
-    if (url.protocol) {
-      if (url.pathname) {
-        return source + DO_WPATH;
+  const scheme = Sources.schemeOf(source);
+  
+  // Not a URL, treat as a filesystem path to a Divinum Officium checkout
+  if (!scheme) {
+    return `file://${checkCheckout(source)}`;
+  }
+  
+  switch (scheme) {
+    case 'http':
+    case 'https':
+      return source.replace(/\/+$/, '') + DO_WPATH;
+    case 'file':
+      return `file://${checkCheckout(Sources.sourcePath(source))}`;
+    case 'cache':
+    case 'fixture': {
+      const dir = Sources.sourcePath(source);
+      if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+        abort(`Can't read ${scheme} directory ${dir}`);
       }
-      return source;
+      return source.replace(/\/*$/, '/');
     }
-  } catch (e) {
-    // Not a URL, treat as a filesystem path
-    try {
-      if (fs.existsSync(source + DO_LPATH) && 
-          fs.statSync(source + DO_LPATH).isReadable()) {
-        return source + DO_LPATH;
+    default:
+      if (!Sources.has(scheme)) {
+        abort(`Unknown source scheme ${scheme}://`);
       }
-      abort(`Can't locate ${DO_LPATH} in ${source}`);
-    } catch (e) {
-      abort(`Source path error: ${e.message}`);
-    }
+      return source.replace(/\/*$/, '/');
   }
-  return source;
 }
 
 /**
@@ -149,9 +198,18 @@ function checkOptions() {
         const configData = YAML.parse(fs.readFileSync(opts.config, 'utf8'));
         // Validate config data types
         for (const [k, v] of Object.entries(configData)) {
-          if (['title', 'output', 'lang2', 'langfb', 'source', 'config', 'cover', 
+          if (['cachettl', 'timeout', 'retries', 'jobs', 'delay'].includes(k)) {
+            // Numbers are natural in YAML, command line gives strings
+            if (typeof v !== 'string' && typeof v !== 'number') {
+              abort(`Invalid type for config option ${k}: expected number`);
+            }
+            configData[k] = String(v);
+          } else if (['title', 'output', 'lang2', 'langfb', 'source', 'config', 'cover', 
                'style', 'lang1', 'votive', 'horas', 'rubrics', 'datefrom', 
-               'dateto', 'numofdays', 'fontdir'].includes(k)) {
+               'dateto', 'numofdays', 'fontdir', 'cachedir', 'workdir',
+               'perl', 'cgienv',
+               'fontlang1', 'fontlang2', 'fontred', 'splitBy', 'season',
+               'record', 'replay'].includes(k)) {
             if (typeof v !== 'string') {
               abort(`Invalid type for config option ${k}: expected string`);
             }
@@ -162,12 +220,26 @@ function checkOptions() {
           }
         }
         opts = { ...opts, ...configData };
+        Object.keys(configData).forEach(k => given.add(k));
       } catch (e) {
         abort(`Error reading config file: ${e.message}`);
       }
     }
   }
   
+  // Check fixture options, replaying is a shortcut for fixture:// source
+  if (opts.record && opts.replay) {
+    abort('Options --record and --replay can not be used together');
+  }
+  if (opts.replay) {
+    opts.source = `fixture://${path.resolve(opts.replay)}`;
+  }
+  
+  // Check Mass options
+  if (opts.ordinarium && !opts.missa) {
+    abort('Option --ordinarium needs --missa');
+  }
+  
   // Check source
   opts.source = checkSource(opts.source);
   
@@ -180,7 +252,7 @@ function checkOptions() {
   }
   
   // Check cover file
-  if (opts.cover && (!fs.existsSync(opts.cover) || !fs.statSync(opts.cover).isFile())) {
+  if (opts.cover && opts.cover !== 'auto' && (!fs.existsSync(opts.cover) || !fs.statSync(opts.cover).isFile())) {
     abort(`Can't read cover file ${opts.cover}`);
   }
   
@@ -188,9 +260,51 @@ function checkOptions() {
   if (opts.fontdir && (!fs.existsSync(opts.fontdir) || !fs.statSync(opts.fontdir).isDirectory())) {
     abort(`Can't read font directory ${opts.fontdir}`);
   }
+  if (!opts.fontdir && (opts.fontlang1 || opts.fontlang2 || opts.fontred)) {
+    abort('Options --fontlang1, --fontlang2 and --fontred need --fontdir');
+  }
+  if (!opts.fontdir && opts.obfuscateFonts) {
+    abort('Option --obfuscate-fonts needs --fontdir');
+  }
+  
+  // Check cache TTL
+  if (opts.cachettl !== undefined && !(Number(opts.cachettl) >= 0)) {
+    abort(`Cache TTL must be a non-negative number of hours: ${opts.cachettl}`);
+  }
+  
+  // Check fetch timeout and retries
+  if (opts.timeout !== undefined && !(Number(opts.timeout) > 0)) {
+    abort(`Timeout must be a positive number of seconds: ${opts.timeout}`);
+  }
+  if (opts.retries !== undefined && !/^\d+$/.test(opts.retries)) {
+    abort(`Retries must be a non-negative integer: ${opts.retries}`);
+  }
+  
+  // Check download concurrency
+  if (opts.jobs !== undefined && !/^[1-9]\d*$/.test(opts.jobs)) {
+    abort(`Jobs must be a positive integer: ${opts.jobs}`);
+  }
+  if (opts.delay !== undefined && !(Number(opts.delay) >= 0)) {
+    abort(`Delay must be a non-negative number of milliseconds: ${opts.delay}`);
+  }
+  
+  // Check work directory
+  if (opts.workdir && fs.existsSync(opts.workdir) && !fs.statSync(opts.workdir).isDirectory()) {
+    abort(`Work directory ${opts.workdir} is not a directory`);
+  }
   
-  // Check output file
-  if (!opts.overwrite && fs.existsSync(opts.output)) {
+  // Check build date used for reproducible builds
+  if (process.env.SOURCE_DATE_EPOCH && !/^\d+$/.test(process.env.SOURCE_DATE_EPOCH)) {
+    abort(`SOURCE_DATE_EPOCH must be a non-negative integer number of seconds: ${process.env.SOURCE_DATE_EPOCH}`);
+  }
+  
+  // Check split period
+  if (opts.splitBy && !isSplitBy(opts.splitBy)) {
+    abort('Split by must be one of: month | week | season | N-days (ex. 10-days)');
+  }
+  
+  // Check output file, volumes are checked when dates are known
+  if (!opts.splitBy && !opts.overwrite && fs.existsSync(opts.output)) {
     abort(`Output file ${opts.output} already exists. Change --output or use --overwrite`);
   }
   
@@ -228,6 +342,16 @@ function checkOptions() {
     opts.title = `Officium ${opts.votive.replace(/\/.*/, '')}`;
   }
   
+  // Votive offices are one day, there is nothing to split
+  if (opts.splitBy && opts.votive !== 'Hodie') {
+    abort('Option --split-by needs votive Hodie');
+  }
+  
+  // Martyrology is read at Prime of the office of the day
+  if (opts.martyrology && opts.votive !== 'Hodie') {
+    abort('Option --martyrology needs votive Hodie');
+  }
+  
   // Check horas
   opts.horas = checkHoras();
   
@@ -239,6 +363,22 @@ function checkOptions() {
     today: today
   });
   
+  // Season gives both dates
+  if (opts.season) {
+    if (given.has('datefrom') || given.has('dateto') || opts.numofdays) {
+      abort('Option --season can not be used with --datefrom, --dateto or --numofdays');
+    }
+    if (!liturgicalRange(opts.season, today)) {
+      abort(`Wrong season: ${opts.season} (expected ${PERIOD_EXPRESSIONS})`);
+    }
+    opts.datefrom = opts.season;
+  }
+  
+  // Liturgical period given as start date ends the range unless an end date is given
+  if (opts.datefrom && !given.has('dateto') && liturgicalRange(String(opts.datefrom), today)) {
+    opts.dateto = opts.datefrom;
+  }
+  
   if (opts.datefrom) {
     console.log('Converting datefrom:', opts.datefrom);
     opts.datefrom = checkDate('datefrom', today);
@@ -252,7 +392,7 @@ function checkOptions() {
   
   if (opts.dateto) {
     console.log('Converting dateto:', opts.dateto);
-    opts.dateto = checkDate('dateto', today);
+    opts.dateto = checkDate('dateto', today, opts.datefrom);
     console.log('Converted dateto:', opts.dateto);
   } else {
     const lastDay = new Date(opts.datefrom.getFullYear(), opts.datefrom.getMonth() + 1, 0);
@@ -282,6 +422,16 @@ function checkOptions() {
       constructor: opts.dateto?.constructor?.name
     }
   });
+  
+  // Check output files of volumes
+  if (opts.splitBy && !opts.overwrite) {
+    splitRange(opts.datefrom, opts.dateto, opts.splitBy).forEach(volume => {
+      const output = volumeOutput(opts.output, volume.label);
+      if (fs.existsSync(output)) {
+        abort(`Output file ${output} already exists. Change --output or use --overwrite`);
+      }
+    });
+  }
 }
 
 /**
@@ -291,11 +441,11 @@ function loadDoOptions() {
   let data;
   const src = opts.source;
   
-  if (/^https?:\/\//.test(src)) {
+  if (Sources.schemeOf(src) !== 'file') {
     data = getFile('horas.dialog');
   } else {
     try {
-      data = fs.readFileSync(src + '../../www/horas/horas.dialog', 'utf8');
+      data = fs.readFileSync(Sources.sourcePath(src) + '../../www/horas/horas.dialog', 'utf8');
     } catch (e) {
       abort(`Can't locate horas.dialog in ${opts.source}`);
     }
@@ -317,6 +467,12 @@ function loadDoOptions() {
     }
   });
   
+  // Rank tables, one number=name line per rank
+  ['Sancti', 'Tempora'].forEach(t => {
+    const match = data.match(new RegExp(`\\[Rank ${t}\\]\\r?\\n(.*?)(?:\\r?\\n\\r?\\n|\\s*$)`, 's'));
+    doOpts[`RANK_${t.toUpperCase()}`] = match ? match[1].split(/\r?\n/).filter(line => line.includes('=')) : [];
+  });
+  
   // Create RUBRICS from VERSIONS
   doOpts.RUBRICS = doOpts.VERSIONS.map(x => x.replace(/\/.*/, ''));
   delete doOpts.VERSIONS;
@@ -353,8 +509,9 @@ export function init() {
   
   program
     .option('-r, --rubrics <RUBRICS>', `rubrics ${doOpts.RUBRICS.join(' | ')} [${opts.rubrics}]`)
-    .option('-f, --datefrom <DATE>', 'start date MM-DD-YYYY [\'tomorrow\']')
-    .option('-t, --dateto <DATE>', 'end date MM-DD-YYYY [\'end of month of start date\']')
+    .option('-f, --datefrom <DATE>', 'start date MM-DD-YYYY, YYYY-MM-DD or liturgical ex. \'lent 2026\' [\'tomorrow\']')
+    .option('-t, --dateto <DATE>', 'end date MM-DD-YYYY, YYYY-MM-DD or liturgical ex. \'easter+49\' [\'end of month of start date\']')
+    .option('--season <SEASON>', `dates of a liturgical period in place of above (${Object.keys(PERIODS).join(' | ')}) ex. 'advent 2025'`)
     .option('-n, --numofdays <NUMBER>', 'give number of days instead of above - no defaults')
     .option('-H, --horas <HORAS>', 'string consist horas ex. \'VesperaeCompletorium\' [' + opts.horas + ']')
     .option('-l, --lang2 <LANGUAGE>', `language for right side ${doOpts.LANGUAGES.join(' | ')} [${opts.lang2}]`)
@@ -366,7 +523,10 @@ export function init() {
     .option('--noexpand', 'do not expand common prayes')
     .option('--nofancychars', 'use + for crosses, VR for ℣℟')
     .option('--nosplit', 'do not split sentences into separate rows')
-    .option('--ascii', 'convert accented characters to ASCII equivalents for better compatibility');
+    .option('--ascii', 'convert accented characters to ASCII equivalents for better compatibility')
+    .option('--martyrology', 'add Roman Martyrology read at Prime (entry of the following day) after the horas')
+    .option('--missa', 'add Mass propers of the day from missa.pl after the horas')
+    .option('--ordinarium', 'with --missa, add the whole Mass with the Ordinary');
   
   // Program options
   program.addHelpText('before', '\nProgram options:');
@@ -374,19 +534,42 @@ export function init() {
   program
     .option('-o, --output <FILE>', 'epub file name [' + opts.output + ']')
     .option('--overwrite', 'overwrite output file')
+    .option('--split-by <PERIOD>', 'split into volumes (month | week | season | N-days) named ex. do-2025-01.epub')
     .option('-i, --title <TITLE>', 'book title [' + opts.title + ']')
     .option('--nocover', 'do not include cover')
     .option('--nocoverpage', 'do not insert cover page')
-    .option('-k, --cover <COVERFILE>', 'cover image file')
+    .option('-k, --cover <COVERFILE>', 'cover image file or \'auto\' to generate one with title, dates and rubrics')
     .option('--notitlepage', 'do not insert title page')
+    .option('--epub3', 'create EPUB 3 with nav.xhtml (toc.ncx kept for older devices)')
+    .option('--reproducible', 'same options give byte-identical epub (dates from SOURCE_DATE_EPOCH)')
     .option('--index', 'insert index page')
+    .option('--ordo', 'insert Ordo page with rank, colour, commemorations and week of every day')
+    .option('--dedup', 'keep identical horas once and link to them from later days')
     .option('--antepost', 'insert page with Apéri & Sacrosánctæ')
     .option('--nocomments', 'omit comments')
     .option('--noomitted', 'omit omitted')
     .option('-s, --style <CSSFILE>', 'style sheet file')
     .option('-S, --dumpcss', 'show internal css style')
-    .option('-d, --fontdir <DIR>', 'include fonts from directory')
-    .option('-p, --source <SOURCE>', `path/url to divinum officium in place of ${opts.source}`)
+    .option('-d, --fontdir <DIR>', 'include fonts (TTF, OTF, WOFF, WOFF2) from directory')
+    .option('--fontlang1 <FAMILY>', 'font family from font directory for left column')
+    .option('--fontlang2 <FAMILY>', 'font family from font directory for right column')
+    .option('--fontred <FAMILY>', 'font family from font directory for red rubrics')
+    .option('--nosubset', 'embed whole fonts instead of glyphs used in the book')
+    .option('--obfuscate-fonts', 'obfuscate embedded fonts (IDPF algorithm) for fonts licensed only that way')
+    .option('--perl <INTERPRETER>', 'perl interpreter for local source [perl]')
+    .option('--cgienv <VARS>', 'additional CGI variables for local source ex. \'NAME=VALUE,NAME=VALUE\'')
+    .option('--record <DIR>', 'save every downloaded response as fixture in directory')
+    .option('--replay <DIR>', 'use fixtures saved with --record instead of downloading')
+    .option('-w, --workdir <DIR>', 'keep processed days in directory and resume from it')
+    .option('-p, --source <SOURCE>', `path/url to divinum officium (https:// file:// cache:// fixture://) in place of ${opts.source}`)
+    .option('--cachedir <DIR>', 'directory for cached responses [~/.cache/divinumofficium-epub]')
+    .option('--cachettl <HOURS>', 'hours before cached response expires [168]')
+    .option('-j, --jobs <NUMBER>', 'number of parallel downloads [4]')
+    .option('--delay <MS>', 'minimal delay between requests to the same host [0]')
+    .option('--timeout <SECONDS>', 'seconds to wait for a single response [60]')
+    .option('--retries <NUMBER>', 'retries of a failed download [3]')
+    .option('--nocache', 'do not read or write cached responses')
+    .option('--refresh', 'download again and replace cached responses')
     .option('-c, --config <CFGFILE>', 'read options from file')
     .option('-C, --dumpconfig', 'show default configuration')
     .option('-q, --quiet', 'do not report progress');
@@ -409,6 +592,7 @@ export function init() {
   
   // Merge options
   opts = { ...opts, ...options };
+  given = new Set(Object.keys(options));
   
   // Check options
   checkOptions();
@@ -423,6 +607,15 @@ export function getOpt(opt) {
   return opts[opt];
 }
 
+/**
+ * Set option value, used to build volumes one after another
+ * @param {string} opt - Option name
+ * @param {any} value - Option value
+ */
+export function setOpt(opt, value) {
+  opts[opt] = value;
+}
+
 /**
  * Get DO option value
  * @param {string} opt - DO option name
@@ -0,0 +1,129 @@
+/**
+ * Module for the Ordo, the liturgical calendar of the days of a book
+ * @module ordo
+ *
+ * Rank and commemorations are read from the headline of the office as
+ * divinumofficium prints it. Ranks are classed with the [Rank Sancti] and
+ * [Rank Tempora] tables of horas.dialog. The colour follows the 1960 rules
+ * from the title and season, without the proper of every feast, so it is
+ * a guide like the colour column of a printed Ordo.
+ */
+
+import { getDoOpt } from './options.js';
+import { season, temporalWeek } from './calendar.js';
+
+// Offices of the Proper of Time, their rank is looked up in [Rank Tempora] first
+const TEMPORAL = /Dominica|Feria|Hebdomad|Vigilia|Quattuor|Octava|infra|Cineribus|Sabbato|Parasceve|Cena Domini/i;
+
+// Colours by title, the first matching rule wins
+const COLOUR_RULES = [
+  [/Defunctorum|Parasceve/i, 'black'],
+  [/Conversione|Cathedra/i, 'white'],
+  [/(?<!post )Pentecost|Martyr|Apostol|Evangelist|Cruc|Sanguinis|Innocentium|Decollatione/i, 'red'],
+  [/Vigilia|Quattuor|Rogation/i, 'violet'],
+  [/Domini\b|Nativitat|Pasch|Ascensio|Trinitat|Corporis|Cordis|Christi|Mariæ|Mariae|Virgin|Confessor|Angel|Omnium|Joseph|Dedicatione|Transfiguratione/i, 'white']
+];
+
+// Colours of ferias and Sundays by season
+const SEASON_COLOURS = {
+  advent: 'violet',
+  christmas: 'white',
+  epiphany: 'green',
+  septuagesima: 'violet',
+  lent: 'violet',
+  easter: 'white',
+  pentecost: 'green'
+};
+
+/**
+ * Normalize rank name for comparison
+ * @param {string} name - Rank name ex. "Duplex II. classis" or "II class (Dominica Feast)"
+ * @returns {string} - Lower case name without dots and explanation
+ */
+function normalizeRank(name) {
+  return name.replace(/\(.*\)/, '')
+    .replace(/\./g, '')
+    .replace(/classis/i, 'class')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase();
+}
+
+/**
+ * Read rank table of horas.dialog
+ * @param {string} table - SANCTI or TEMPORA
+ * @returns {Array<Object>} - Ranks with class number and name
+ */
+function rankTable(table) {
+  return getDoOpt(`RANK_${table}`).map(line => {
+    const [number, name] = line.split('=');
+    return { class: Number(number), name: name.trim() };
+  });
+}
+
+/**
+ * Class rank of an office
+ * @param {string} rank - Rank as printed in the headline ex. "Duplex majus"
+ * @param {string} title - Title of the office
+ * @returns {Object} - Object with class number (null if not in the tables) and name
+ */
+function rankOf(rank, title) {
+  const tables = TEMPORAL.test(title) ? ['TEMPORA', 'SANCTI'] : ['SANCTI', 'TEMPORA'];
+  const wanted = normalizeRank(rank);
+
+  for (const table of tables) {
+    const found = rankTable(table).find(r => normalizeRank(r.name) === wanted);
+    if (found) return found;
+  }
+  return { class: null, name: rank };
+}
+
+/**
+ * Get liturgical colour of a day
+ * @param {Date} date - Date
+ * @param {string} title - Title of the office
+ * @returns {string} - white | red | green | violet | black
+ */
+function colourOf(date, title) {
+  const rule = COLOUR_RULES.find(([pattern]) => pattern.test(title));
+  return rule ? rule[1] : SEASON_COLOURS[season(date).name];
+}
+
+/**
+ * Read rank and commemorations from the headline paragraph of a cleaned page
+ * @param {Element} p - First paragraph, title and rank separated by a line break
+ * @returns {Object} - Object with rank and commemorations
+ */
+function parseHeadline(p) {
+  const lines = p.innerHTML.split(/<br\s*\/?>/i)
+    .map(line => line.replace(/<[^>]*>/g, '').replace(/\s+/g, ' ').trim())
+    .filter(line => line);
+
+  return {
+    rank: lines[1] && !/^Commemoratio/i.test(lines[1]) ? lines[1] : '',
+    commemorations: lines.filter(line => /^Commemoratio/i.test(line))
+      .map(line => line.replace(/^Commemoratio\s*:?\s*/i, ''))
+  };
+}
+
+/**
+ * Make Ordo entry of a day
+ * @param {string} key - Date key in MM-DD-YYYY format
+ * @param {string} title - Title of the office
+ * @param {Object} [headline] - Rank and commemorations from parseHeadline()
+ * @returns {Object} - Entry with title, rank, colour, commemorations and week
+ */
+function ordoEntry(key, title, headline = {}) {
+  const [month, day, year] = key.split('-').map(Number);
+  const date = new Date(year, month - 1, day);
+
+  return {
+    title,
+    rank: headline.rank ? rankOf(headline.rank, title) : { class: null, name: '' },
+    colour: colourOf(date, title),
+    commemorations: headline.commemorations || [],
+    week: temporalWeek(date).name
+  };
+}
+
+export { rankOf, colourOf, parseHeadline, ordoEntry };
@@ -25,4 +25,15 @@ function report(message) {
   lastLength = message.length;
 }
 
-export { report };
+/**
+ * Print a message that stays on the console, replacing the status message
+ * @param {string} message - Message to print
+ */
+function log(message) {
+  if (getOpt("quiet")) return;
+  
+  process.stdout.write(`\r${' '.repeat(lastLength)}\r${message}\n`);
+  lastLength = 0;
+}
+
+export { report, log };
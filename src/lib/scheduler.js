@@ -0,0 +1,90 @@
+/**
+ * Module for limiting concurrent requests to divinumofficium
+ * @module scheduler
+ */
+
+import { getOpt } from './options.js';
+
+// Defaults
+const DEFAULT_JOBS = 4;
+const DEFAULT_DELAY = 0;
+
+// Queue of waiting tasks and count of running ones
+const queue = [];
+let active = 0;
+
+// Time of the next allowed request start for each host
+const nextStart = new Map();
+
+/**
+ * Get maximum number of concurrent requests
+ * @returns {number} - Number of jobs
+ */
+function jobs() {
+  return getOpt('jobs') !== undefined ? parseInt(getOpt('jobs'), 10) : DEFAULT_JOBS;
+}
+
+/**
+ * Get politeness delay between requests to the same host
+ * @returns {number} - Delay in milliseconds
+ */
+function delay() {
+  return getOpt('delay') !== undefined ? Number(getOpt('delay')) : DEFAULT_DELAY;
+}
+
+/**
+ * Get host part of a source used for politeness delay
+ * @param {string} source - Source string
+ * @returns {string} - Host name or 'local' for other sources
+ */
+function hostOf(source) {
+  const match = source.match(/^https?:\/\/([^/]*)/);
+  return match ? match[1] : 'local';
+}
+
+/**
+ * Run a task when a slot is free
+ * @param {string} source - Source string the task requests
+ * @param {Function} task - Async function to run
+ * @returns {Promise<any>} - Result of the task
+ */
+function run(source, task) {
+  return new Promise((resolve, reject) => {
+    queue.push({ host: hostOf(source), task, resolve, reject });
+    next();
+  });
+}
+
+/**
+ * Start queued tasks while slots are free
+ */
+function next() {
+  while (active < jobs() && queue.length > 0) {
+    active++;
+    start(queue.shift());
+  }
+}
+
+/**
+ * Start a single task honouring the politeness delay
+ * @param {Object} job - Queued job
+ */
+async function start(job) {
+  const now = Date.now();
+  const at = Math.max(now, nextStart.get(job.host) || 0);
+  nextStart.set(job.host, at + delay());
+
+  try {
+    if (at > now) {
+      await new Promise(resolve => setTimeout(resolve, at - now));
+    }
+    job.resolve(await job.task());
+  } catch (e) {
+    job.reject(e);
+  } finally {
+    active--;
+    next();
+  }
+}
+
+export { run, jobs };
@@ -0,0 +1,264 @@
+/**
+ * Module for source backends delivering divinumofficium pages
+ * @module sources
+ *
+ * A backend is an object with an async `fetch(source, optstring, options)`
+ * method returning the page body, where `source` is the full source string
+ * ending with the script name (ex. `https://host/cgi-bin/horas/officium.pl`).
+ * Backends are selected by the scheme of the source.
+ */
+
+import fetch from 'node-fetch';
+import { execFile } from 'child_process';
+import util from 'util';
+import path from 'path';
+import fs from 'fs-extra';
+import crypto from 'crypto';
+import { getOpt } from './options.js';
+import * as Cache from './cache.js';
+
+// Convert execFile to promise-based version for async/await
+const execFilePromise = util.promisify(execFile);
+
+// Defaults
+const DEFAULT_TIMEOUT = 60;
+const DEFAULT_PERL = 'perl';
+
+// Registered backends by scheme
+const backends = {};
+
+/**
+ * Create error which should not be retried
+ * @param {string} message - Error message
+ * @returns {Error} - Error object
+ */
+function permanentError(message) {
+  const error = new Error(message);
+  error.retryable = false;
+  return error;
+}
+
+/**
+ * Get scheme of a source
+ * @param {string} source - Source string
+ * @returns {string|null} - Scheme without colon or null
+ */
+function schemeOf(source) {
+  const match = source.match(/^([a-z][a-z0-9+.-]*):\/\//i);
+  return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * Get filesystem path of a source with path based scheme
+ * @param {string} source - Source string ex. fixture:///dir/officium.pl
+ * @returns {string} - Path ex. /dir/officium.pl
+ */
+function sourcePath(source) {
+  return decodeURIComponent(source.replace(/^[a-z][a-z0-9+.-]*:\/\//i, ''));
+}
+
+/**
+ * Register a backend for a scheme
+ * @param {string} scheme - Scheme without colon ex. 'https'
+ * @param {Object} backend - Backend with fetch method
+ */
+function register(scheme, backend) {
+  backends[scheme.toLowerCase()] = backend;
+}
+
+/**
+ * Check if a backend is registered for a scheme
+ * @param {string} scheme - Scheme without colon
+ * @returns {boolean} - True if registered
+ */
+function has(scheme) {
+  return scheme.toLowerCase() in backends;
+}
+
+/**
+ * Get backend for a source
+ * @param {string} source - Source string
+ * @returns {Object} - Backend
+ */
+function backendFor(source) {
+  const backend = backends[schemeOf(source)];
+  if (!backend) {
+    throw permanentError(`No source backend for ${source}`);
+  }
+  return backend;
+}
+
+/**
+ * Check if responses of a source should go to the disk cache
+ * @param {string} source - Source string
+ * @returns {boolean} - True unless the backend is already offline storage
+ */
+function cacheable(source) {
+  return backendFor(source).cacheable !== false;
+}
+
+/**
+ * Fetch content from a source
+ * @param {string} source - Source string ending with script name
+ * @param {string} optstring - Options as a query string
+ * @returns {Promise<string>} - Response body
+ */
+async function get(source, optstring) {
+  const timeout = (getOpt('timeout') !== undefined ? Number(getOpt('timeout')) : DEFAULT_TIMEOUT) * 1000;
+  return await backendFor(source).fetch(source, optstring, { timeout });
+}
+
+/**
+ * Backend fetching pages from a web server
+ */
+const HttpBackend = {
+  async fetch(source, optstring, { timeout }) {
+    const headers = {
+      'User-Agent': `divinumofficium.epub/${process.env.npm_package_version || '1.1.2'}`
+    };
+    const url = source + '?' + optstring;
+
+    let response;
+    try {
+      response = await fetch(url, { headers, signal: AbortSignal.timeout(timeout) });
+    } catch (ex) {
+      if (ex.name === 'TimeoutError' || ex.name === 'AbortError') {
+        throw new Error(`Timeout after ${timeout / 1000}s fetching ${url}`);
+      }
+      throw ex;
+    }
+
+    if (!response.ok) {
+      const error = new Error(`HTTP ${response.status} ${response.statusText} fetching ${url}`);
+      // Client errors will not go away by asking again
+      error.retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+      throw error;
+    }
+
+    return await response.text();
+  }
+};
+
+/**
+ * Backend running scripts of a local Divinum Officium checkout as CGI programs
+ */
+const CgiBackend = {
+  async fetch(source, optstring, { timeout }) {
+    const script = sourcePath(source);
+
+    // Clean environment, only what a web server would pass to the script
+    const env = {
+      PATH: process.env.PATH,
+      GATEWAY_INTERFACE: 'CGI/1.1',
+      REQUEST_METHOD: 'GET',
+      QUERY_STRING: optstring,
+      SCRIPT_NAME: `/cgi-bin/${path.basename(path.dirname(script))}/${path.basename(script)}`,
+      SERVER_NAME: 'localhost',
+      SERVER_PROTOCOL: 'HTTP/1.1'
+    };
+
+    // Additional variables given as NAME=VALUE,NAME=VALUE
+    if (getOpt('cgienv')) {
+      getOpt('cgienv').split(',').forEach(v => {
+        const [name, ...value] = v.split('=');
+        env[name.trim()] = value.join('=');
+      });
+    }
+
+    let stdout;
+    try {
+      ({ stdout } = await execFilePromise(getOpt('perl') || DEFAULT_PERL, [script], {
+        cwd: path.dirname(script),
+        env,
+        timeout,
+        maxBuffer: 64 * 1024 * 1024
+      }));
+    } catch (ex) {
+      if (ex.killed) {
+        throw new Error(`Timeout after ${timeout / 1000}s running ${script}`);
+      }
+      // Missing interpreter or script will not appear by running again
+      ex.retryable = ex.code !== 'ENOENT';
+      throw ex;
+    }
+
+    // Strip CGI headers
+    const headerEnd = stdout.search(/\r?\n\r?\n/);
+    if (/^[\w-]+:/.test(stdout) && headerEnd >= 0) {
+      stdout = stdout.substring(headerEnd).trimStart();
+    }
+    return stdout.replace(/^[^<]*</, '<');
+  }
+};
+
+/**
+ * Backend serving pages only from a cache directory, ignoring its TTL
+ */
+const CacheBackend = {
+  cacheable: false,
+
+  async fetch(source, optstring) {
+    const dir = path.dirname(sourcePath(source));
+    const body = await Cache.lookup(dir, path.basename(source), optstring);
+    if (body === null) {
+      throw permanentError(`No cached response for ${path.basename(source)}?${optstring} in ${dir}`);
+    }
+    return body;
+  }
+};
+
+/**
+ * Get file name of a recorded fixture
+ * @param {string} dir - Fixture directory
+ * @param {string} script - Script name ex. officium.pl
+ * @param {string} optstring - Options as a query string
+ * @returns {string} - Fixture file path
+ */
+function fixturePath(dir, script, optstring) {
+  const key = crypto.createHash('sha1').update(optstring).digest('hex').substring(0, 16);
+  return path.join(dir, `${path.basename(script, '.pl')}-${key}.json`);
+}
+
+/**
+ * Backend serving recorded fixtures, one JSON file per response
+ * with script, query and body fields
+ */
+const FixtureBackend = {
+  cacheable: false,
+
+  async fetch(source, optstring) {
+    const file = fixturePath(path.dirname(sourcePath(source)), path.basename(source), optstring);
+    try {
+      const fixture = await fs.readJson(file);
+      return fixture.body;
+    } catch (e) {
+      throw permanentError(`No fixture for ${path.basename(source)}?${optstring} (${file})`);
+    }
+  }
+};
+
+/**
+ * Record a response as fixture for the fixture backend
+ * @param {string} dir - Fixture directory
+ * @param {string} source - Source string ending with script name
+ * @param {string} optstring - Options as a query string
+ * @param {string} body - Response body
+ */
+async function recordFixture(dir, source, optstring, body) {
+  const script = path.basename(source);
+  const file = fixturePath(dir, script, optstring);
+  try {
+    await fs.outputJson(file, { script, query: optstring, body }, { spaces: 2 });
+  } catch (e) {
+    console.error(`Can't record fixture ${file}: ${e.message}`);
+    process.exit(1);
+  }
+}
+
+register('http', HttpBackend);
+register('https', HttpBackend);
+register('file', CgiBackend);
+register('cache', CacheBackend);
+register('fixture', FixtureBackend);
+
+export { get, register, has, cacheable, schemeOf, sourcePath, fixturePath, recordFixture };
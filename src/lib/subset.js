@@ -0,0 +1,810 @@
+/**
+ * Module for subsetting fonts to the characters used in the book
+ * @module subset
+ *
+ * Glyphs outside the subset are emptied while glyph IDs stay the same, so
+ * hmtx, kern, GPOS and GSUB remain valid without rewriting. Glyphs reached
+ * through GSUB substitutions and composite glyphs are kept. TrueType and CFF
+ * outlines are supported in TTF, OTF, WOFF and WOFF2 fonts, CFF2 outlines of
+ * variable fonts are not.
+ */
+
+import zlib from 'zlib';
+import {
+  detectFormat, readTables, WOFF2_TAGS,
+  ARG_1_AND_2_ARE_WORDS, WE_HAVE_A_SCALE, MORE_COMPONENTS, WE_HAVE_AN_X_AND_Y_SCALE, WE_HAVE_A_TWO_BY_TWO
+} from './fonts.js';
+
+// Tables invalidated by changing glyph data
+const DROPPED_TABLES = ['DSIG'];
+
+// CFF operators, escaped ones as 1200 + second byte
+const CFF_CHARSET = 15;
+const CFF_ENCODING = 16;
+const CFF_CHARSTRINGS = 17;
+const CFF_PRIVATE = 18;
+const CFF_SUBRS = 19;
+const CFF_ENDCHAR = 14;
+const CFF_FDARRAY = 1236;
+const CFF_FDSELECT = 1237;
+
+// GSUB lookup types
+const GSUB_SINGLE = 1;
+const GSUB_MULTIPLE = 2;
+const GSUB_ALTERNATE = 3;
+const GSUB_LIGATURE = 4;
+const GSUB_EXTENSION = 7;
+
+/**
+ * Sum of big endian 32 bit words
+ * @param {Buffer} data - Table data
+ * @returns {number} - Checksum
+ */
+function checksum(data) {
+  let sum = 0;
+  for (let i = 0; i < data.length; i += 4) {
+    const word = data.length - i >= 4 ? data.readUInt32BE(i) : Buffer.concat([data.subarray(i), Buffer.alloc(4)]).readUInt32BE(0);
+    sum = (sum + word) >>> 0;
+  }
+  return sum;
+}
+
+/**
+ * Pad data to 4 bytes
+ * @param {Buffer} data - Data
+ * @returns {Buffer} - Padded data
+ */
+function pad(data) {
+  return data.length % 4 ? Buffer.concat([data, Buffer.alloc(4 - data.length % 4)]) : data;
+}
+
+/**
+ * Read character to glyph mapping from cmap
+ * @param {Buffer} cmap - cmap table
+ * @returns {Map<number, number>} - Glyph IDs by code point
+ */
+function readCmap(cmap) {
+  const mapping = new Map();
+  const records = [];
+  for (let i = 0; i < cmap.readUInt16BE(2); i++) {
+    const record = 4 + i * 8;
+    const platform = cmap.readUInt16BE(record);
+    const encoding = cmap.readUInt16BE(record + 2);
+    // Unicode subtables only, symbol fonts map to private use area
+    if (platform === 0 || (platform === 3 && (encoding === 1 || encoding === 10))) {
+      records.push(cmap.readUInt32BE(record + 4));
+    }
+  }
+
+  // Full repertoire subtables first, so they win over BMP ones
+  const subtables = [...new Set(records)].sort((a, b) => cmap.readUInt16BE(b) - cmap.readUInt16BE(a));
+  subtables.forEach(offset => {
+    const format = cmap.readUInt16BE(offset);
+    const set = (code, glyph) => {
+      if (glyph !== 0 && !mapping.has(code)) mapping.set(code, glyph);
+    };
+
+    if (format === 4) {
+      const segX2 = cmap.readUInt16BE(offset + 6);
+      const ends = offset + 14;
+      const starts = ends + segX2 + 2;
+      const deltas = starts + segX2;
+      const rangeOffsets = deltas + segX2;
+      for (let s = 0; s < segX2; s += 2) {
+        const start = cmap.readUInt16BE(starts + s);
+        const end = cmap.readUInt16BE(ends + s);
+        const delta = cmap.readUInt16BE(deltas + s);
+        const rangeOffset = cmap.readUInt16BE(rangeOffsets + s);
+        for (let code = start; code <= end && code !== 0xFFFF; code++) {
+          if (rangeOffset === 0) {
+            set(code, (code + delta) & 0xFFFF);
+          } else {
+            const glyph = cmap.readUInt16BE(rangeOffsets + s + rangeOffset + 2 * (code - start));
+            set(code, glyph && (glyph + delta) & 0xFFFF);
+          }
+        }
+      }
+    } else if (format === 12) {
+      const groups = cmap.readUInt32BE(offset + 12);
+      for (let g = 0; g < groups; g++) {
+        const group = offset + 16 + g * 12;
+        const start = cmap.readUInt32BE(group);
+        const end = cmap.readUInt32BE(group + 4);
+        const glyph = cmap.readUInt32BE(group + 8);
+        for (let code = start; code <= end; code++) {
+          set(code, glyph + code - start);
+        }
+      }
+    }
+  });
+
+  return mapping;
+}
+
+/**
+ * Write cmap with format 4 subtable and format 12 subtable for characters outside BMP
+ * @param {Map<number, number>} mapping - Glyph IDs by code point
+ * @returns {Buffer} - cmap table
+ */
+function writeCmap(mapping) {
+  const codes = [...mapping.keys()].sort((a, b) => a - b);
+  const bmp = codes.filter(code => code < 0xFFFF);
+
+  // Runs of consecutive codes with consecutive glyphs
+  const runs = list => {
+    const result = [];
+    list.forEach(code => {
+      const last = result[result.length - 1];
+      if (last && code === last.end + 1 && mapping.get(code) === last.glyph + code - last.start) {
+        last.end = code;
+      } else {
+        result.push({ start: code, end: code, glyph: mapping.get(code) });
+      }
+    });
+    return result;
+  };
+
+  const segments = runs(bmp);
+  segments.push({ start: 0xFFFF, end: 0xFFFF, glyph: 0 });
+  const segCount = segments.length;
+  const format4 = Buffer.alloc(16 + segCount * 8);
+  format4.writeUInt16BE(4, 0);
+  format4.writeUInt16BE(format4.length, 2);
+  format4.writeUInt16BE(segCount * 2, 6);
+  const searchRange = 2 * 2 ** Math.floor(Math.log2(segCount));
+  format4.writeUInt16BE(searchRange, 8);
+  format4.writeUInt16BE(Math.log2(searchRange / 2), 10);
+  format4.writeUInt16BE(segCount * 2 - searchRange, 12);
+  segments.forEach((s, i) => {
+    format4.writeUInt16BE(s.end, 14 + i * 2);
+    format4.writeUInt16BE(s.start, 16 + segCount * 2 + i * 2);
+    // Last segment maps 0xFFFF to glyph 0
+    format4.writeUInt16BE(s.start === 0xFFFF ? 1 : (s.glyph - s.start) & 0xFFFF, 16 + segCount * 4 + i * 2);
+  });
+
+  const subtables = [{ records: [[0, 3], [3, 1]], data: format4 }];
+  if (bmp.length < codes.length) {
+    const groups = runs(codes);
+    const format12 = Buffer.alloc(16 + groups.length * 12);
+    format12.writeUInt16BE(12, 0);
+    format12.writeUInt32BE(format12.length, 4);
+    format12.writeUInt32BE(groups.length, 12);
+    groups.forEach((g, i) => {
+      format12.writeUInt32BE(g.start, 16 + i * 12);
+      format12.writeUInt32BE(g.end, 20 + i * 12);
+      format12.writeUInt32BE(g.glyph, 24 + i * 12);
+    });
+    subtables.push({ records: [[0, 4], [3, 10]], data: format12 });
+  }
+
+  // Encoding records sorted by platform and encoding
+  const records = subtables.flatMap(({ records }, index) => records.map(([platform, encoding]) => ({ platform, encoding, index })))
+    .sort((a, b) => a.platform - b.platform || a.encoding - b.encoding);
+  const header = Buffer.alloc(4 + records.length * 8);
+  header.writeUInt16BE(records.length, 2);
+  let offset = header.length;
+  const offsets = subtables.map(s => {
+    const current = offset;
+    offset += s.data.length;
+    return current;
+  });
+  records.forEach((r, i) => {
+    header.writeUInt16BE(r.platform, 4 + i * 8);
+    header.writeUInt16BE(r.encoding, 6 + i * 8);
+    header.writeUInt32BE(offsets[r.index], 8 + i * 8);
+  });
+
+  return Buffer.concat([header, ...subtables.map(s => s.data)]);
+}
+
+/**
+ * Read glyphs of a coverage table in coverage index order
+ * @param {Buffer} table - Table data
+ * @param {number} offset - Offset of coverage table
+ * @returns {number[]} - Glyph IDs
+ */
+function readCoverage(table, offset) {
+  const format = table.readUInt16BE(offset);
+  const count = table.readUInt16BE(offset + 2);
+  const glyphs = [];
+
+  if (format === 1) {
+    for (let i = 0; i < count; i++) {
+      glyphs.push(table.readUInt16BE(offset + 4 + i * 2));
+    }
+  } else if (format === 2) {
+    for (let i = 0; i < count; i++) {
+      const range = offset + 4 + i * 6;
+      for (let glyph = table.readUInt16BE(range); glyph <= table.readUInt16BE(range + 2); glyph++) {
+        glyphs.push(glyph);
+      }
+    }
+  } else {
+    throw new Error(`Unknown coverage format ${format}`);
+  }
+  return glyphs;
+}
+
+/**
+ * Read glyph arrays at offsets, as in sequences and alternate sets
+ * @param {Buffer} gsub - GSUB table
+ * @param {number} subtable - Offset of subtable
+ * @param {number} index - Index of the offset in subtable
+ * @returns {number[]} - Glyph IDs
+ */
+function readGlyphArray(gsub, subtable, index) {
+  const array = subtable + gsub.readUInt16BE(subtable + 6 + index * 2);
+  const glyphs = [];
+  for (let i = 0; i < gsub.readUInt16BE(array); i++) {
+    glyphs.push(gsub.readUInt16BE(array + 2 + i * 2));
+  }
+  return glyphs;
+}
+
+/**
+ * Add glyphs produced by a GSUB subtable from kept glyphs
+ * @param {Buffer} gsub - GSUB table
+ * @param {number} type - Lookup type
+ * @param {number} subtable - Offset of subtable
+ * @param {Set<number>} glyphs - Kept glyph IDs, extended in place
+ */
+function closeSubtable(gsub, type, subtable, glyphs) {
+  if (type === GSUB_EXTENSION) {
+    closeSubtable(gsub, gsub.readUInt16BE(subtable + 2), subtable + gsub.readUInt32BE(subtable + 4), glyphs);
+    return;
+  }
+  if (![GSUB_SINGLE, GSUB_MULTIPLE, GSUB_ALTERNATE, GSUB_LIGATURE].includes(type)) {
+    // Contextual lookups only call other lookups, which are closed on their own
+    return;
+  }
+
+  const format = gsub.readUInt16BE(subtable);
+  const coverage = readCoverage(gsub, subtable + gsub.readUInt16BE(subtable + 2));
+
+  coverage.forEach((glyph, index) => {
+    if (!glyphs.has(glyph)) return;
+
+    if (type === GSUB_SINGLE && format === 1) {
+      glyphs.add((glyph + gsub.readInt16BE(subtable + 4)) & 0xFFFF);
+    } else if (type === GSUB_SINGLE) {
+      glyphs.add(gsub.readUInt16BE(subtable + 6 + index * 2));
+    } else if (type === GSUB_MULTIPLE || type === GSUB_ALTERNATE) {
+      readGlyphArray(gsub, subtable, index).forEach(g => glyphs.add(g));
+    } else {
+      // Ligature is kept when all its components are
+      const set = subtable + gsub.readUInt16BE(subtable + 6 + index * 2);
+      for (let l = 0; l < gsub.readUInt16BE(set); l++) {
+        const ligature = set + gsub.readUInt16BE(set + 2 + l * 2);
+        const components = [];
+        for (let c = 1; c < gsub.readUInt16BE(ligature + 2); c++) {
+          components.push(gsub.readUInt16BE(ligature + 2 + c * 2));
+        }
+        if (components.every(c => glyphs.has(c))) {
+          glyphs.add(gsub.readUInt16BE(ligature));
+        }
+      }
+    }
+  });
+}
+
+/**
+ * Add glyphs reachable through GSUB substitutions
+ * @param {Buffer} gsub - GSUB table
+ * @param {Set<number>} glyphs - Kept glyph IDs, extended in place
+ */
+function closeGsub(gsub, glyphs) {
+  const lookupList = gsub.readUInt16BE(8);
+  const lookupCount = gsub.readUInt16BE(lookupList);
+
+  // Substitutions can feed each other, repeat until nothing is added
+  let size;
+  do {
+    size = glyphs.size;
+    for (let i = 0; i < lookupCount; i++) {
+      const lookup = lookupList + gsub.readUInt16BE(lookupList + 2 + i * 2);
+      const type = gsub.readUInt16BE(lookup);
+      for (let s = 0; s < gsub.readUInt16BE(lookup + 4); s++) {
+        closeSubtable(gsub, type, lookup + gsub.readUInt16BE(lookup + 6 + s * 2), glyphs);
+      }
+    }
+  } while (glyphs.size > size);
+}
+
+/**
+ * Get components of a composite glyph
+ * @param {Buffer} glyph - Glyph data
+ * @returns {number[]} - Glyph IDs of components, empty for simple glyphs
+ */
+function components(glyph) {
+  if (glyph.length === 0 || glyph.readInt16BE(0) >= 0) return [];
+
+  const result = [];
+  let offset = 10;
+  let flags;
+  do {
+    flags = glyph.readUInt16BE(offset);
+    result.push(glyph.readUInt16BE(offset + 2));
+    offset += 4 + (flags & ARG_1_AND_2_ARE_WORDS ? 4 : 2);
+    if (flags & WE_HAVE_A_SCALE) offset += 2;
+    else if (flags & WE_HAVE_AN_X_AND_Y_SCALE) offset += 4;
+    else if (flags & WE_HAVE_A_TWO_BY_TWO) offset += 8;
+  } while (flags & MORE_COMPONENTS);
+  return result;
+}
+
+/**
+ * Read INDEX of CFF table
+ * @param {Buffer} cff - CFF table
+ * @param {number} offset - Offset of INDEX
+ * @returns {Object} - Object with start and end offsets and items
+ */
+function readIndex(cff, offset) {
+  const count = cff.readUInt16BE(offset);
+  if (count === 0) return { start: offset, end: offset + 2, items: [] };
+
+  // Item offsets count from the byte before item data
+  const offSize = cff[offset + 2];
+  const base = offset + 2 + (count + 1) * offSize;
+  const itemOffset = i => base + cff.readUIntBE(offset + 3 + i * offSize, offSize);
+  const items = [];
+  for (let i = 0; i < count; i++) {
+    items.push(cff.subarray(itemOffset(i), itemOffset(i + 1)));
+  }
+  return { start: offset, end: itemOffset(count), items };
+}
+
+/**
+ * Write INDEX of CFF table
+ * @param {Buffer[]} items - Items
+ * @returns {Buffer} - INDEX data
+ */
+function writeIndex(items) {
+  if (items.length === 0) return Buffer.alloc(2);
+
+  const last = items.reduce((sum, item) => sum + item.length, 1);
+  const offSize = last < 0x100 ? 1 : last < 0x10000 ? 2 : last < 0x1000000 ? 3 : 4;
+  const header = Buffer.alloc(3 + (items.length + 1) * offSize);
+  header.writeUInt16BE(items.length, 0);
+  header[2] = offSize;
+  let offset = 1;
+  items.forEach((item, i) => {
+    header.writeUIntBE(offset, 3 + i * offSize, offSize);
+    offset += item.length;
+  });
+  header.writeUIntBE(offset, 3 + items.length * offSize, offSize);
+  return Buffer.concat([header, ...items]);
+}
+
+/**
+ * Read DICT of CFF table
+ * @param {Buffer} dict - DICT data
+ * @returns {Array<Object>} - Entries with operator, operands and raw bytes
+ * @throws {Error} - If the DICT is malformed
+ */
+function readDict(dict) {
+  const entries = [];
+  let operands = [];
+  let start = 0;
+  let i = 0;
+
+  while (i < dict.length) {
+    const b0 = dict[i];
+    if (b0 <= 21) {
+      const op = b0 === 12 ? 1200 + dict[i + 1] : b0;
+      i += b0 === 12 ? 2 : 1;
+      entries.push({ op, operands, raw: dict.subarray(start, i) });
+      operands = [];
+      start = i;
+    } else if (b0 === 28) {
+      operands.push(dict.readInt16BE(i + 1));
+      i += 3;
+    } else if (b0 === 29) {
+      operands.push(dict.readInt32BE(i + 1));
+      i += 5;
+    } else if (b0 === 30) {
+      // Real number in nibbles, never an offset
+      let byte;
+      do {
+        byte = dict[++i];
+      } while (i < dict.length && (byte & 0x0F) !== 0x0F && (byte >> 4) !== 0x0F);
+      operands.push(NaN);
+      i++;
+    } else if (b0 >= 32 && b0 <= 246) {
+      operands.push(b0 - 139);
+      i++;
+    } else if (b0 >= 247 && b0 <= 250) {
+      operands.push((b0 - 247) * 256 + dict[i + 1] + 108);
+      i += 2;
+    } else if (b0 >= 251 && b0 <= 254) {
+      operands.push(-(b0 - 251) * 256 - dict[i + 1] - 108);
+      i += 2;
+    } else {
+      throw new Error('Malformed CFF DICT');
+    }
+  }
+  return entries;
+}
+
+/**
+ * Write DICT of CFF table
+ * @param {Array<Object>} entries - Entries from readDict()
+ * @param {Map<number, number[]>} values - New operands by operator, written as 32 bit integers
+ * @returns {Buffer} - DICT data
+ */
+function writeDict(entries, values) {
+  return Buffer.concat(entries.map(({ op, raw }) => {
+    if (!values.has(op)) return raw;
+
+    // Fixed size, so the DICT length does not depend on offsets in it
+    const operands = values.get(op).map(value => {
+      const bytes = Buffer.alloc(5);
+      bytes[0] = 29;
+      bytes.writeInt32BE(value, 1);
+      return bytes;
+    });
+    return Buffer.concat([...operands, Buffer.from(op >= 1200 ? [12, op - 1200] : [op])]);
+  }));
+}
+
+/**
+ * Empty charstrings of glyphs outside the subset
+ *
+ * The CharStrings INDEX and, in CID-keyed fonts, the FDArray INDEX are
+ * written again at the end of the table; everything else is copied and
+ * offsets pointing into it are moved. Subroutines are kept whole. Accented
+ * glyphs built with the deprecated seac form of endchar are not followed.
+ * @param {Buffer} cff - CFF table
+ * @param {Set<number>} glyphs - Glyph IDs to keep
+ * @returns {Buffer} - New CFF table
+ * @throws {Error} - If the table can't be subset
+ */
+function subsetCff(cff, glyphs) {
+  const names = readIndex(cff, cff[2]);
+  const topDicts = readIndex(cff, names.end);
+  const strings = readIndex(cff, topDicts.end);
+  const globalSubrs = readIndex(cff, strings.end);
+  if (topDicts.items.length !== 1) {
+    throw new Error('CFF font sets are not subset');
+  }
+
+  const top = readDict(topDicts.items[0]);
+  const operands = (dict, op) => (dict.find(e => e.op === op) || { operands: null }).operands;
+  if (!operands(top, CFF_CHARSTRINGS)) {
+    throw new Error('CFF font has no CharStrings');
+  }
+  const charStrings = readIndex(cff, operands(top, CFF_CHARSTRINGS)[0]);
+  const fdArray = operands(top, CFF_FDARRAY) ? readIndex(cff, operands(top, CFF_FDARRAY)[0]) : null;
+  const fontDicts = fdArray ? fdArray.items.map(readDict) : [];
+  const removed = [charStrings, fdArray].filter(r => r).sort((a, b) => a.start - b.start);
+
+  // Local subroutines are relative to their Private DICT, nothing removed may lie between
+  [top, ...fontDicts].forEach(dict => {
+    const [size, offset] = operands(dict, CFF_PRIVATE) || [0, 0];
+    const subrs = size > 0 ? operands(readDict(cff.subarray(offset, offset + size)), CFF_SUBRS) : null;
+    if (subrs && removed.some(r => r.start >= offset && r.start < offset + subrs[0])) {
+      throw new Error('CFF layout with CharStrings between Private DICT and Subrs is not subset');
+    }
+  });
+
+  // Top DICT with the same length as the final one
+  const topValues = new Map();
+  const setOffsets = (relocate, charStringsOffset, fdArrayOffset) => {
+    top.forEach(({ op, operands: values }) => {
+      if (op === CFF_CHARSET || op === CFF_ENCODING) {
+        // Small values are predefined charsets and encodings
+        topValues.set(op, [values[0] > (op === CFF_CHARSET ? 2 : 1) ? relocate(values[0]) : values[0]]);
+      } else if (op === CFF_PRIVATE) {
+        topValues.set(op, [values[0], values[0] > 0 ? relocate(values[1]) : values[1]]);
+      } else if (op === CFF_FDSELECT) {
+        topValues.set(op, [relocate(values[0])]);
+      } else if (op === CFF_CHARSTRINGS) {
+        topValues.set(op, [charStringsOffset]);
+      } else if (op === CFF_FDARRAY) {
+        topValues.set(op, [fdArrayOffset]);
+      }
+    });
+    return writeIndex([writeDict(top, topValues)]);
+  };
+  const prefixLength = cff[2] + (names.end - names.start) + setOffsets(() => 0, 0, 0).length +
+    (globalSubrs.end - strings.start);
+
+  // Data after global subroutines without removed INDEXes
+  const rest = [];
+  let position = globalSubrs.end;
+  removed.forEach(r => {
+    rest.push(cff.subarray(position, r.start));
+    position = r.end;
+  });
+  rest.push(cff.subarray(position));
+  const restData = Buffer.concat(rest);
+
+  const relocate = offset => {
+    if (removed.some(r => offset >= r.start && offset < r.end) || offset < globalSubrs.end) {
+      throw new Error('Malformed CFF offsets');
+    }
+    const before = removed.filter(r => r.end <= offset).reduce((sum, r) => sum + r.end - r.start, 0);
+    return offset - globalSubrs.end + prefixLength - before;
+  };
+
+  const newCharStrings = writeIndex(charStrings.items.map((data, id) => glyphs.has(id) ? data : Buffer.from([CFF_ENDCHAR])));
+  const charStringsOffset = prefixLength + restData.length;
+  const newFdArray = fdArray ? writeIndex(fontDicts.map(dict => {
+    const [size, offset] = operands(dict, CFF_PRIVATE) || [0, 0];
+    return writeDict(dict, new Map(size > 0 ? [[CFF_PRIVATE, [size, relocate(offset)]]] : []));
+  })) : Buffer.alloc(0);
+
+  return Buffer.concat([
+    cff.subarray(0, names.end),
+    setOffsets(relocate, charStringsOffset, charStringsOffset + newCharStrings.length),
+    cff.subarray(strings.start, globalSubrs.end),
+    restData,
+    newCharStrings,
+    newFdArray
+  ]);
+}
+
+/**
+ * Assemble sfnt from tables
+ * @param {Map<string, Buffer>} tables - Table data by tag
+ * @param {number} version - sfnt version
+ * @returns {Buffer} - Font
+ */
+function writeSfnt(tables, version) {
+  const tags = [...tables.keys()].sort();
+  const header = Buffer.alloc(12 + tags.length * 16);
+  header.writeUInt32BE(version, 0);
+  header.writeUInt16BE(tags.length, 4);
+  const searchRange = 16 * 2 ** Math.floor(Math.log2(tags.length));
+  header.writeUInt16BE(searchRange, 6);
+  header.writeUInt16BE(Math.log2(searchRange / 16), 8);
+  header.writeUInt16BE(tags.length * 16 - searchRange, 10);
+
+  // Checksum adjustment is computed over the whole font with zero in its place
+  const head = Buffer.from(tables.get('head'));
+  head.writeUInt32BE(0, 8);
+  tables.set('head', head);
+
+  let offset = header.length;
+  let headOffset = 0;
+  tags.forEach((tag, i) => {
+    const data = tables.get(tag);
+    const record = 12 + i * 16;
+    header.write(tag, record, 'latin1');
+    header.writeUInt32BE(checksum(data), record + 4);
+    header.writeUInt32BE(offset, record + 8);
+    header.writeUInt32BE(data.length, record + 12);
+    if (tag === 'head') headOffset = offset;
+    offset += pad(data).length;
+  });
+
+  const font = Buffer.concat([header, ...tags.map(tag => pad(tables.get(tag)))]);
+  font.writeUInt32BE((0xB1B0AFBA - checksum(font)) >>> 0, headOffset + 8);
+  return font;
+}
+
+/**
+ * Wrap sfnt in WOFF
+ * @param {Buffer} font - sfnt data
+ * @returns {Buffer} - WOFF data
+ */
+function writeWoff(font) {
+  const numTables = font.readUInt16BE(4);
+  const header = Buffer.alloc(44 + numTables * 20);
+  header.write('wOFF', 0, 'latin1');
+  header.writeUInt32BE(font.readUInt32BE(0), 4);
+  header.writeUInt16BE(numTables, 12);
+  header.writeUInt32BE(font.length, 16);
+  header.writeUInt16BE(1, 20);
+
+  const bodies = [];
+  let offset = header.length;
+  for (let i = 0; i < numTables; i++) {
+    const record = 12 + i * 16;
+    const length = font.readUInt32BE(record + 12);
+    const data = font.subarray(font.readUInt32BE(record + 8), font.readUInt32BE(record + 8) + length);
+    const compressed = zlib.deflateSync(data, { level: 9 });
+    const stored = compressed.length < length ? compressed : data;
+
+    const entry = 44 + i * 20;
+    font.copy(header, entry, record, record + 4);
+    header.writeUInt32BE(offset, entry + 4);
+    header.writeUInt32BE(stored.length, entry + 8);
+    header.writeUInt32BE(length, entry + 12);
+    header.writeUInt32BE(font.readUInt32BE(record + 4), entry + 16);
+    bodies.push(pad(stored));
+    offset += pad(stored).length;
+  }
+  header.writeUInt32BE(offset, 8);
+
+  return Buffer.concat([header, ...bodies]);
+}
+
+/**
+ * Wrap sfnt in WOFF2 without table transforms
+ * @param {Buffer} font - sfnt data
+ * @returns {Buffer} - WOFF2 data
+ */
+function writeWoff2(font) {
+  const tables = [];
+  for (let i = 0; i < font.readUInt16BE(4); i++) {
+    const record = 12 + i * 16;
+    const offset = font.readUInt32BE(record + 8);
+    tables.push({
+      tag: font.toString('latin1', record, record + 4),
+      data: font.subarray(offset, offset + font.readUInt32BE(record + 12))
+    });
+  }
+  // loca has to follow glyf
+  const loca = tables.findIndex(t => t.tag === 'loca');
+  if (loca >= 0) {
+    const [entry] = tables.splice(loca, 1);
+    tables.splice(tables.findIndex(t => t.tag === 'glyf') + 1, 0, entry);
+  }
+
+  // Variable length number, 7 bits per byte
+  const base128 = value => {
+    const bytes = [value & 0x7F];
+    while ((value = Math.floor(value / 128)) > 0) bytes.unshift(0x80 | (value & 0x7F));
+    return bytes;
+  };
+
+  const directory = [];
+  tables.forEach(({ tag, data }) => {
+    const index = WOFF2_TAGS.indexOf(tag);
+    // Null transform of glyf and loca is version 3, of other tables 0
+    const version = tag === 'glyf' || tag === 'loca' ? 3 : 0;
+    directory.push((index >= 0 ? index : 0x3F) | (version << 6));
+    if (index < 0) directory.push(...Buffer.from(tag, 'latin1'));
+    directory.push(...base128(data.length));
+  });
+
+  const stream = Buffer.concat(tables.map(t => t.data));
+  const compressed = zlib.brotliCompressSync(stream, {
+    params: {
+      [zlib.constants.BROTLI_PARAM_MODE]: zlib.constants.BROTLI_MODE_FONT,
+      [zlib.constants.BROTLI_PARAM_QUALITY]: zlib.constants.BROTLI_MAX_QUALITY,
+      [zlib.constants.BROTLI_PARAM_SIZE_HINT]: stream.length
+    }
+  });
+
+  const header = Buffer.alloc(48);
+  header.write('wOF2', 0, 'latin1');
+  header.writeUInt32BE(font.readUInt32BE(0), 4);
+  header.writeUInt16BE(tables.length, 12);
+  header.writeUInt32BE(font.length, 16);
+  header.writeUInt32BE(compressed.length, 20);
+  header.writeUInt16BE(1, 24);
+  const woff2 = pad(Buffer.concat([header, Buffer.from(directory), compressed]));
+  woff2.writeUInt32BE(woff2.length, 8);
+  return woff2;
+}
+
+/**
+ * Empty glyf outlines of glyphs outside the subset
+ * @param {Map<string, Buffer>} tables - Font tables, glyf and loca are replaced
+ * @param {Set<number>} glyphs - Glyph IDs to keep, components are added
+ * @param {number} numGlyphs - Number of glyphs in the font
+ */
+function subsetGlyf(tables, glyphs, numGlyphs) {
+  const longLoca = tables.get('head').readInt16BE(50) === 1;
+  const loca = tables.get('loca');
+  const glyf = tables.get('glyf');
+  const glyphOffset = id => longLoca ? loca.readUInt32BE(id * 4) : loca.readUInt16BE(id * 2) * 2;
+  const glyphData = id => glyf.subarray(glyphOffset(id), glyphOffset(id + 1));
+
+  // Components can be composite glyphs too
+  const pending = [...glyphs];
+  while (pending.length > 0) {
+    components(glyphData(pending.pop())).forEach(id => {
+      if (!glyphs.has(id)) {
+        glyphs.add(id);
+        pending.push(id);
+      }
+    });
+  }
+
+  // Emptied glyphs keep their IDs
+  const data = [];
+  const newLoca = Buffer.alloc((numGlyphs + 1) * (longLoca ? 4 : 2));
+  let offset = 0;
+  for (let id = 0; id <= numGlyphs; id++) {
+    if (longLoca) newLoca.writeUInt32BE(offset, id * 4);
+    else newLoca.writeUInt16BE(offset / 2, id * 2);
+    if (id < numGlyphs && glyphs.has(id)) {
+      const glyph = pad(glyphData(id));
+      data.push(glyph);
+      offset += glyph.length;
+    }
+  }
+
+  tables.set('glyf', Buffer.concat(data));
+  tables.set('loca', newLoca);
+}
+
+/**
+ * Subset font to characters
+ * @param {Buffer} buffer - TrueType, OpenType, WOFF or WOFF2 font
+ * @param {Iterable<string>} chars - Characters to keep
+ * @returns {Object} - Object with data of the subset font in the same format, glyphs kept and total glyphs
+ * @throws {Error} - If the font can't be subset
+ */
+function subsetFont(buffer, chars) {
+  const format = detectFormat(buffer);
+  if (!format) {
+    throw new Error('Unknown fonts are not subset');
+  }
+
+  const tables = readTables(buffer);
+  const outlines = ['glyf', 'CFF '].find(tag => tables.has(tag));
+  if (!outlines) {
+    throw new Error(tables.has('CFF2') ? 'CFF2 outlines are not subset' : 'Font has no glyf or CFF table');
+  }
+  const required = outlines === 'glyf' ? ['head', 'maxp', 'cmap', 'loca'] : ['head', 'maxp', 'cmap'];
+  required.forEach(tag => {
+    if (!tables.has(tag)) {
+      throw new Error(`Font has no ${tag} table`);
+    }
+  });
+
+  const numGlyphs = tables.get('maxp').readUInt16BE(4);
+
+  // Characters with glyphs, .notdef is always kept
+  const mapping = readCmap(tables.get('cmap'));
+  const kept = new Map();
+  for (const char of chars) {
+    const code = char.codePointAt(0);
+    if (mapping.has(code)) kept.set(code, mapping.get(code));
+  }
+  const glyphs = new Set([0, ...kept.values()]);
+
+  if (tables.has('GSUB')) {
+    closeGsub(tables.get('GSUB'), glyphs);
+  }
+
+  if (outlines === 'glyf') {
+    subsetGlyf(tables, glyphs, numGlyphs);
+  } else {
+    tables.set('CFF ', subsetCff(tables.get('CFF '), glyphs));
+  }
+  tables.set('cmap', writeCmap(kept));
+  DROPPED_TABLES.forEach(tag => tables.delete(tag));
+
+  // Glyph names of post version 2 are not needed by readers
+  if (tables.has('post') && tables.get('post').length >= 32) {
+    const post = Buffer.from(tables.get('post').subarray(0, 32));
+    post.writeUInt32BE(0x00030000, 0);
+    tables.set('post', post);
+  }
+
+  // WOFF and WOFF2 keep the sfnt version as flavor
+  const wrapped = format === 'woff' || format === 'woff2';
+  const font = writeSfnt(tables, wrapped ? buffer.readUInt32BE(4) : buffer.readUInt32BE(0));
+  const writers = { woff: writeWoff, woff2: writeWoff2 };
+
+  return {
+    data: writers[format] ? writers[format](font) : font,
+    glyphs: [...glyphs].filter(id => id < numGlyphs).length,
+    total: numGlyphs
+  };
+}
+
+/**
+ * Collect characters of an XHTML document's text
+ * @param {Set<string>} chars - Set to add characters to
+ * @param {string|Buffer} content - XHTML content
+ */
+function collectChars(chars, content) {
+  const entities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+  const text = content.toString()
+    .replace(/<head[\s>][\s\S]*?<\/head>/, '')
+    .replace(/<!--[\s\S]*?-->|<[^>]*>/g, '')
+    .replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, name) => {
+      if (name[0] !== '#') return entities[name] || match;
+      return String.fromCodePoint(name[1].toLowerCase() === 'x' ? parseInt(name.substring(2), 16) : parseInt(name.substring(1), 10));
+    });
+  for (const char of text) {
+    chars.add(char);
+  }
+}
+
+export { subsetFont, collectChars };
@@ -0,0 +1,462 @@
+/**
+ * Module for checking structure of produced EPUB files
+ * @module validate
+ *
+ * Checks what makes reading systems refuse a book: mimetype placement,
+ * container.xml, manifest and spine consistency, well-formed XHTML with
+ * unique IDs with the DOCTYPE of the package version, inline SVG declared
+ * in EPUB 3, links pointing to existing files and anchors and obfuscated
+ * resources being fonts.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { Command } from 'commander';
+import { JSDOM } from 'jsdom';
+import { readZip } from './zip.js';
+
+// Constants
+const MIMETYPE = 'application/epub+zip';
+const OPF_MEDIA_TYPE = 'application/oebps-package+xml';
+const XHTML_MEDIA_TYPE = 'application/xhtml+xml';
+const NCX_MEDIA_TYPE = 'application/x-dtbncx+xml';
+const OPF_NS = 'http://www.idpf.org/2007/opf';
+const DC_NS = 'http://purl.org/dc/elements/1.1/';
+const XLINK_NS = 'http://www.w3.org/1999/xlink';
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const ENC_NS = 'http://www.w3.org/2001/04/xmlenc#';
+const IDPF_OBFUSCATION = 'http://www.idpf.org/2008/embedding';
+
+// Media types of fonts in EPUB 3 and EPUB 2
+const FONT_MEDIA_TYPES = /^(font\/|application\/(x-font-|font-|vnd\.ms-opentype$))/;
+
+// Public identifier of the XHTML 1.1 DOCTYPE of EPUB 2, EPUB 3 has none
+const XHTML11_PUBLIC_ID = '-//W3C//DTD XHTML 1.1//EN';
+
+// XML name without colon, required for manifest ids and fragment targets
+const NCNAME = /^[\p{L}_][\p{L}\p{N}_.\-·]*$/u;
+
+/**
+ * Parse XML document
+ * @param {Buffer} data - Document content
+ * @param {string} contentType - Content type for the parser
+ * @returns {Document} - Parsed document
+ * @throws {Error} - Parse error with line and column
+ */
+function parseXml(data, contentType = 'application/xml') {
+  try {
+    return new JSDOM(data.toString('utf8'), { contentType }).window.document;
+  } catch (e) {
+    throw new Error(`not well-formed: ${e.message.replace(/^about:blank:/, 'line ')}`);
+  }
+}
+
+/**
+ * Resolve a reference relative to the file containing it
+ * @param {string} from - Archive path of the referencing file
+ * @param {string} href - Reference without fragment
+ * @returns {string} - Archive path of the target
+ */
+function resolve(from, href) {
+  return path.posix.join(path.posix.dirname(from), decodeURIComponent(href));
+}
+
+/**
+ * Check that mimetype is the first, uncompressed entry without extra field
+ * @param {Array<Object>} entries - Archive entries in archive order
+ * @param {string[]} problems - Found problems
+ */
+function checkMimetype(entries, problems) {
+  const mimetype = entries.find(e => e.name === 'mimetype');
+  if (!mimetype) {
+    problems.push('mimetype: missing');
+    return;
+  }
+  if (entries[0] !== mimetype) {
+    problems.push('mimetype: not the first entry of the archive');
+  }
+  if (mimetype.method !== 0) {
+    problems.push('mimetype: compressed, must be stored');
+  }
+  if (mimetype.dataOffset !== mimetype.offset + 30 + 'mimetype'.length) {
+    problems.push('mimetype: local header has extra field');
+  }
+  if (mimetype.data.toString() !== MIMETYPE) {
+    problems.push(`mimetype: content is not ${MIMETYPE}`);
+  }
+}
+
+/**
+ * Check container.xml
+ * @param {Map<string, Object>} files - Archive entries by name
+ * @param {string[]} problems - Found problems
+ * @returns {string|null} - Archive path of the package document
+ */
+function checkContainer(files, problems) {
+  const name = 'META-INF/container.xml';
+  if (!files.has(name)) {
+    problems.push(`${name}: missing`);
+    return null;
+  }
+
+  let doc;
+  try {
+    doc = parseXml(files.get(name).data);
+  } catch (e) {
+    problems.push(`${name}: ${e.message}`);
+    return null;
+  }
+
+  const rootfile = [...doc.getElementsByTagName('rootfile')]
+    .find(r => r.getAttribute('media-type') === OPF_MEDIA_TYPE);
+  if (!rootfile || !rootfile.getAttribute('full-path')) {
+    problems.push(`${name}: no rootfile with media type ${OPF_MEDIA_TYPE}`);
+    return null;
+  }
+
+  const opfPath = rootfile.getAttribute('full-path');
+  if (!files.has(opfPath)) {
+    problems.push(`${name}: package document ${opfPath} is missing`);
+    return null;
+  }
+  return opfPath;
+}
+
+/**
+ * Check package document, its manifest and spine
+ * @param {Map<string, Object>} files - Archive entries by name
+ * @param {string} opfPath - Archive path of the package document
+ * @param {string[]} problems - Found problems
+ * @returns {Object|null} - Manifest items by archive path, path of NCX and
+ *   whether the package is EPUB 3
+ */
+function checkPackage(files, opfPath, problems) {
+  let doc;
+  try {
+    doc = parseXml(files.get(opfPath).data);
+  } catch (e) {
+    problems.push(`${opfPath}: ${e.message}`);
+    return null;
+  }
+
+  const pkg = doc.documentElement;
+  if (pkg.namespaceURI !== OPF_NS || pkg.localName !== 'package') {
+    problems.push(`${opfPath}: root element is not OPF package`);
+    return null;
+  }
+
+  // Unique identifier must point to dc:identifier
+  const uid = pkg.getAttribute('unique-identifier');
+  const identifiers = [...doc.getElementsByTagNameNS(DC_NS, 'identifier')];
+  if (!identifiers.some(i => i.getAttribute('id') === uid)) {
+    problems.push(`${opfPath}: unique-identifier "${uid}" does not match any dc:identifier`);
+  }
+
+  // Manifest ids and hrefs
+  const ids = new Map();
+  const items = new Map();
+  for (const item of doc.getElementsByTagNameNS(OPF_NS, 'item')) {
+    const id = item.getAttribute('id') || '';
+    const href = item.getAttribute('href') || '';
+
+    if (!NCNAME.test(id)) {
+      problems.push(`${opfPath}: manifest id "${id}" is not a valid XML ID`);
+    } else if (ids.has(id)) {
+      problems.push(`${opfPath}: manifest id "${id}" is used more than once`);
+    }
+
+    const target = resolve(opfPath, href.replace(/#.*/, ''));
+    if (!files.has(target)) {
+      problems.push(`${opfPath}: manifest item "${id}" refers to missing ${target}`);
+    } else if (items.has(target)) {
+      problems.push(`${opfPath}: ${target} is listed in manifest more than once`);
+    }
+
+    const entry = { id, target, mediaType: item.getAttribute('media-type'), properties: item.getAttribute('properties') || '' };
+    ids.set(id, entry);
+    items.set(target, entry);
+  }
+
+  // Everything except container files must be declared
+  for (const name of files.keys()) {
+    if (name !== 'mimetype' && !name.startsWith('META-INF/') && name !== opfPath &&
+        !name.endsWith('/') && !items.has(name)) {
+      problems.push(`${opfPath}: ${name} is not listed in manifest`);
+    }
+  }
+
+  // Spine refers to manifest items
+  const spine = doc.getElementsByTagNameNS(OPF_NS, 'spine')[0];
+  const itemrefs = spine ? [...spine.getElementsByTagNameNS(OPF_NS, 'itemref')] : [];
+  if (itemrefs.length === 0) {
+    problems.push(`${opfPath}: spine is empty`);
+  }
+  itemrefs.forEach(itemref => {
+    const idref = itemref.getAttribute('idref');
+    const item = ids.get(idref);
+    if (!item) {
+      problems.push(`${opfPath}: spine item "${idref}" is not in manifest`);
+    } else if (item.mediaType !== XHTML_MEDIA_TYPE) {
+      problems.push(`${opfPath}: spine item "${idref}" is ${item.mediaType}, not XHTML`);
+    }
+  });
+
+  // NCX given by spine toc attribute
+  let ncx = null;
+  const toc = spine && spine.getAttribute('toc');
+  if (toc) {
+    const item = ids.get(toc);
+    if (!item || item.mediaType !== NCX_MEDIA_TYPE) {
+      problems.push(`${opfPath}: spine toc "${toc}" is not an NCX manifest item`);
+    } else {
+      ncx = item.target;
+    }
+  }
+
+  // EPUB 3 requires exactly one navigation document
+  const epub3 = pkg.getAttribute('version') === '3.0';
+  if (epub3) {
+    const navs = [...items.values()].filter(i => i.properties.split(/\s+/).includes('nav'));
+    if (navs.length !== 1) {
+      problems.push(`${opfPath}: EPUB 3 needs one manifest item with properties="nav", found ${navs.length}`);
+    }
+  } else if (!ncx) {
+    problems.push(`${opfPath}: EPUB 2 needs spine toc pointing to NCX`);
+  }
+
+  return { items, ncx, epub3 };
+}
+
+/**
+ * Check that encrypted resources exist and obfuscated ones are fonts
+ * @param {Map<string, Object>} files - Archive entries by name
+ * @param {Map<string, Object>} items - Manifest items by archive path
+ * @param {string[]} problems - Found problems
+ */
+function checkEncryption(files, items, problems) {
+  const name = 'META-INF/encryption.xml';
+  if (!files.has(name)) return;
+
+  let doc;
+  try {
+    doc = parseXml(files.get(name).data);
+  } catch (e) {
+    problems.push(`${name}: ${e.message}`);
+    return;
+  }
+
+  for (const data of doc.getElementsByTagNameNS(ENC_NS, 'EncryptedData')) {
+    const method = data.getElementsByTagNameNS(ENC_NS, 'EncryptionMethod')[0];
+    const reference = data.getElementsByTagNameNS(ENC_NS, 'CipherReference')[0];
+    // URIs are relative to the container root
+    const target = reference ? decodeURIComponent(reference.getAttribute('URI') || '') : '';
+
+    if (!files.has(target)) {
+      problems.push(`${name}: encrypted resource ${target} is missing`);
+    } else if (method && method.getAttribute('Algorithm') === IDPF_OBFUSCATION &&
+               !FONT_MEDIA_TYPES.test(items.get(target)?.mediaType || '')) {
+      problems.push(`${name}: obfuscated resource ${target} is not a font`);
+    }
+  }
+}
+
+/**
+ * Check DOCTYPE of a document against the package version, that the root
+ * of an EPUB 2 document has no lang attribute and, in EPUB 3, that inline
+ * SVG is declared with the svg manifest property
+ * @param {Object} item - Manifest item of the document
+ * @param {Document} doc - Parsed document
+ * @param {boolean} epub3 - Whether the package is EPUB 3
+ * @param {string[]} problems - Found problems
+ */
+function checkVersion(item, doc, epub3, problems) {
+  // DOCTYPE may be left out, but a given one must match the version
+  if (doc.doctype && (doc.doctype.publicId === XHTML11_PUBLIC_ID) === epub3) {
+    problems.push(`${item.target}: DOCTYPE is not the one of EPUB ${epub3 ? 3 : 2}`);
+  }
+
+  if (!epub3) {
+    // XHTML 1.1 replaced lang with xml:lang
+    if (doc.documentElement.hasAttribute('lang')) {
+      problems.push(`${item.target}: lang attribute is not allowed in EPUB 2`);
+    }
+    return;
+  }
+  const declared = item.properties.split(/\s+/).includes('svg');
+  const inline = doc.getElementsByTagNameNS(SVG_NS, 'svg').length > 0;
+  if (inline && !declared) {
+    problems.push(`${item.target}: inline SVG without properties="svg" in manifest`);
+  } else if (declared && !inline) {
+    problems.push(`${item.target}: properties="svg" in manifest without inline SVG`);
+  }
+}
+
+/**
+ * Parse XHTML documents and check ID uniqueness and version
+ * @param {Map<string, Object>} files - Archive entries by name
+ * @param {Map<string, Object>} items - Manifest items by archive path
+ * @param {boolean} epub3 - Whether the package is EPUB 3
+ * @param {string[]} problems - Found problems
+ * @returns {Map<string, Document>} - Parsed documents by archive path
+ */
+function checkDocuments(files, items, epub3, problems) {
+  const docs = new Map();
+
+  for (const item of items.values()) {
+    if (item.mediaType !== XHTML_MEDIA_TYPE || !files.has(item.target)) continue;
+
+    let doc;
+    try {
+      doc = parseXml(files.get(item.target).data, XHTML_MEDIA_TYPE);
+    } catch (e) {
+      problems.push(`${item.target}: ${e.message}`);
+      continue;
+    }
+    docs.set(item.target, doc);
+    checkVersion(item, doc, epub3, problems);
+
+    const seen = new Set();
+    for (const element of doc.querySelectorAll('[id]')) {
+      const id = element.getAttribute('id');
+      if (seen.has(id)) {
+        problems.push(`${item.target}: id "${id}" is used more than once`);
+      }
+      seen.add(id);
+    }
+  }
+
+  return docs;
+}
+
+/**
+ * Check that a reference points to an existing file and anchor
+ * @param {string} from - Archive path of the referencing file
+ * @param {string} href - Reference
+ * @param {Map<string, Object>} files - Archive entries by name
+ * @param {Map<string, Document>} docs - Parsed documents by archive path
+ * @param {string[]} problems - Found problems
+ */
+function checkLink(from, href, files, docs, problems) {
+  // External links and pure fragments of unparsed documents
+  if (/^[a-z][a-z0-9+.-]*:/i.test(href) || href === '') return;
+
+  const [file, fragment] = href.split('#');
+  const target = file ? resolve(from, file) : from;
+
+  if (!files.has(target)) {
+    problems.push(`${from}: link to missing file ${href}`);
+    return;
+  }
+
+  if (fragment && docs.has(target)) {
+    const id = decodeURIComponent(fragment);
+    if (!docs.get(target).getElementById(id)) {
+      problems.push(`${from}: link to missing anchor ${href}`);
+    }
+  }
+}
+
+/**
+ * Check links of XHTML documents and NCX
+ * @param {Map<string, Object>} files - Archive entries by name
+ * @param {string|null} ncx - Archive path of NCX
+ * @param {Map<string, Document>} docs - Parsed documents by archive path
+ * @param {string[]} problems - Found problems
+ */
+function checkLinks(files, ncx, docs, problems) {
+  for (const [name, doc] of docs) {
+    for (const element of doc.querySelectorAll('[href], [src]')) {
+      checkLink(name, element.getAttribute('href') ?? element.getAttribute('src'), files, docs, problems);
+    }
+    for (const element of doc.getElementsByTagName('*')) {
+      if (element.hasAttributeNS(XLINK_NS, 'href')) {
+        checkLink(name, element.getAttributeNS(XLINK_NS, 'href'), files, docs, problems);
+      }
+    }
+  }
+
+  if (ncx) {
+    let doc;
+    try {
+      doc = parseXml(files.get(ncx).data);
+    } catch (e) {
+      problems.push(`${ncx}: ${e.message}`);
+      return;
+    }
+    for (const content of doc.getElementsByTagName('content')) {
+      checkLink(ncx, content.getAttribute('src') || '', files, docs, problems);
+    }
+  }
+}
+
+/**
+ * Validate EPUB structure
+ * @param {Buffer} buffer - EPUB file content
+ * @returns {string[]} - Found problems, empty if valid
+ */
+function validate(buffer) {
+  const problems = [];
+
+  let entries;
+  try {
+    entries = readZip(buffer);
+  } catch (e) {
+    return [e.message];
+  }
+  const files = new Map(entries.map(e => [e.name, e]));
+
+  checkMimetype(entries, problems);
+
+  const opfPath = checkContainer(files, problems);
+  if (!opfPath) return problems;
+
+  const pkg = checkPackage(files, opfPath, problems);
+  if (!pkg) return problems;
+
+  checkEncryption(files, pkg.items, problems);
+  const docs = checkDocuments(files, pkg.items, pkg.epub3, problems);
+  checkLinks(files, pkg.ncx, docs, problems);
+
+  return problems;
+}
+
+/**
+ * Run validate command, exits with 1 if any file has problems
+ * @param {string[]} args - Command line arguments after 'validate'
+ */
+async function run(args) {
+  const program = new Command();
+
+  program
+    .name(`${path.basename(process.argv[1])} validate`)
+    .description('Check structure of EPUB files')
+    .argument('<EPUB...>', 'epub files to check')
+    .option('-q, --quiet', 'report only problems');
+
+  program.parse(args, { from: 'user' });
+  const quiet = program.opts().quiet;
+
+  let failed = false;
+  for (const file of program.args) {
+    let buffer;
+    try {
+      buffer = await fs.readFile(file);
+    } catch (e) {
+      console.error(`${file}: can't read: ${e.message}`);
+      failed = true;
+      continue;
+    }
+
+    const problems = validate(buffer);
+    if (problems.length > 0) {
+      problems.forEach(problem => console.error(`${file}: ${problem}`));
+      failed = true;
+    } else if (!quiet) {
+      console.log(`${file}: OK`);
+    }
+  }
+
+  process.exit(failed ? 1 : 0);
+}
+
+export { validate, run };
@@ -0,0 +1,113 @@
+/**
+ * Module for splitting a date range into volumes
+ * @module volumes
+ *
+ * Volumes are made by month, week (Sunday to Saturday), liturgical season
+ * or a fixed number of days and named after their first day, so the files
+ * of a series sort in order.
+ */
+
+import path from 'path';
+import { SEASONS, addDays, season } from './calendar.js';
+import { dateRange } from './cover.js';
+
+// Constants
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+  'August', 'September', 'October', 'November', 'December'];
+const SPLIT_BY = /^(month|week|season|([1-9]\d*)-days)$/;
+
+/**
+ * Format date as YYYY-MM-DD
+ * @param {Date} date - Date
+ * @returns {string} - Formatted date
+ */
+function isoDate(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Format date as MM-DD-YYYY, the form of ordo keys
+ * @param {Date} date - Date
+ * @returns {string} - Formatted date
+ */
+function ordoDate(date) {
+  const [year, month, day] = isoDate(date).split('-');
+  return `${month}-${day}-${year}`;
+}
+
+/**
+ * Check split period
+ * @param {string} splitBy - Period, month | week | season | N-days
+ * @returns {boolean} - Whether the period is valid
+ */
+function isSplitBy(splitBy) {
+  return SPLIT_BY.test(splitBy);
+}
+
+/**
+ * Get label and name of the volume containing a date
+ * @param {Date} date - Date
+ * @param {Date} from - First date of the range
+ * @param {string} splitBy - Period, month | week | season | N-days
+ * @returns {Object} - Object with key equal for days of the same volume, label and name
+ */
+function volumeOf(date, from, splitBy) {
+  if (splitBy === 'month') {
+    const label = isoDate(date).substring(0, 7);
+    return { key: label, label, name: `${MONTHS[date.getMonth()]} ${date.getFullYear()}` };
+  }
+  if (splitBy === 'season') {
+    const { name, start } = season(date);
+    const label = `${start.getFullYear()}-${name}`;
+    return { key: label, label, name: `${SEASONS[name]} ${start.getFullYear()}` };
+  }
+
+  // Weeks and fixed periods are named after their first day in the range
+  const days = splitBy === 'week' ? 7 : Number(splitBy.match(SPLIT_BY)[2]);
+  const offset = splitBy === 'week' ? date.getDay() : Math.round((date - from) / 86400000) % days;
+  const start = addDays(date, -offset);
+  return { key: isoDate(start), label: null, name: null };
+}
+
+/**
+ * Split date range into volumes
+ * @param {Date} from - First date
+ * @param {Date} to - Last date
+ * @param {string} splitBy - Period, month | week | season | N-days
+ * @returns {Array<Object>} - Volumes with from, to, label for file names and name for titles
+ */
+function splitRange(from, to, splitBy) {
+  const volumes = [];
+
+  for (let date = new Date(from); date <= to; date = addDays(date, 1)) {
+    const volume = volumeOf(date, from, splitBy);
+    const last = volumes[volumes.length - 1];
+    if (last && last.key === volume.key) {
+      last.to = date;
+    } else {
+      volumes.push({ ...volume, from: date, to: date });
+    }
+  }
+
+  return volumes.map(({ key, label, name, from, to }) => ({
+    from,
+    to,
+    label: label || isoDate(from),
+    name: name || dateRange([ordoDate(from), ordoDate(to)])
+  }));
+}
+
+/**
+ * Get file name of a volume
+ * @param {string} output - Output file name of the whole range
+ * @param {string} label - Volume label
+ * @returns {string} - File name with label before extension, ex. do-2025-01.epub
+ */
+function volumeOutput(output, label) {
+  const extension = path.extname(output);
+  return `${output.substring(0, output.length - extension.length)}-${label}${extension}`;
+}
+
+export { isSplitBy, splitRange, volumeOutput };
@@ -0,0 +1,83 @@
+/**
+ * Module for reading ZIP archives such as produced EPUB files
+ * @module zip
+ */
+
+import zlib from 'zlib';
+
+// Record signatures
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIR = 0x06054b50;
+
+/**
+ * Find end of central directory record
+ * @param {Buffer} buffer - ZIP archive
+ * @returns {number} - Offset of the record
+ */
+function findEndOfCentralDir(buffer) {
+  // Record is 22 bytes followed by comment of at most 65535 bytes
+  const min = Math.max(0, buffer.length - 22 - 0xFFFF);
+  for (let offset = buffer.length - 22; offset >= min; offset--) {
+    if (buffer.readUInt32LE(offset) === END_OF_CENTRAL_DIR) {
+      return offset;
+    }
+  }
+  throw new Error('Not ZIP archive');
+}
+
+/**
+ * Read entries of a ZIP archive
+ * @param {Buffer} buffer - ZIP archive
+ * @returns {Array<Object>} - Entries with name, method, offset, compressedSize, size and data in archive order
+ */
+function readZip(buffer) {
+  const end = findEndOfCentralDir(buffer);
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    if (buffer.readUInt32LE(offset) !== CENTRAL_HEADER) {
+      throw new Error('Malformed ZIP central directory');
+    }
+
+    const method = buffer.readUInt16LE(offset + 10);
+    const crc32 = buffer.readUInt32LE(offset + 16);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    entries.push({ name, method, crc32, compressedSize, size, offset: localOffset });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  // Archive order is the order of local headers
+  entries.sort((a, b) => a.offset - b.offset);
+
+  entries.forEach(entry => {
+    if (buffer.readUInt32LE(entry.offset) !== LOCAL_HEADER) {
+      throw new Error(`Malformed ZIP entry ${entry.name}`);
+    }
+    const nameLength = buffer.readUInt16LE(entry.offset + 26);
+    const extraLength = buffer.readUInt16LE(entry.offset + 28);
+    entry.dataOffset = entry.offset + 30 + nameLength + extraLength;
+
+    const raw = buffer.subarray(entry.dataOffset, entry.dataOffset + entry.compressedSize);
+    if (entry.method === 0) {
+      entry.data = raw;
+    } else if (entry.method === 8) {
+      entry.data = zlib.inflateRawSync(raw);
+    } else {
+      throw new Error(`Unsupported compression method ${entry.method} of ${entry.name}`);
+    }
+  });
+
+  return entries;
+}
+
+export { readZip };
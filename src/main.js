@@ -1,11 +1,9 @@
 import { init as initOptions } from './lib/options.js';
 import { make as makeEpub } from './lib/epub.js';
+import { run as runValidate } from './lib/validate.js';
 
 const VERSION = "1.1.2";
 
-// Initialize options
-initOptions();
-
 // Make the EPUB file
 async function main() {
   try {
@@ -16,4 +14,11 @@ async function main() {
   }
 }
 
-main();
+if (process.argv[2] === 'validate') {
+  // Check existing EPUB files instead of making one
+  runValidate(process.argv.slice(3));
+} else {
+  // Initialize options
+  initOptions();
+  main();
+}
@@ -0,0 +1,126 @@
+/**
+ * Tests of the response cache
+ */
+
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { setOptions } from './helpers.js';
+import { read, write, lookup, stats } from '../src/lib/cache.js';
+
+const SOURCE = 'https://www.divinumofficium.com/cgi-bin/horas/officium.pl';
+const QUERY = 'date=01-06-2025&version=Rubrics%201960%20-%201960';
+const BODY = '<html><body><h2 id="Laudes">Ad Laudes</h2></body></html>';
+
+/**
+ * List files of a cache directory
+ * @param {string} dir - Cache directory
+ * @returns {Promise<string[]>} - Paths of all files
+ */
+async function cacheFiles(dir) {
+  const files = [];
+  for (const sub of await fs.readdir(dir)) {
+    for (const name of await fs.readdir(path.join(dir, sub))) {
+      files.push(path.join(dir, sub, name));
+    }
+  }
+  return files;
+}
+
+describe('cache', () => {
+  let tmp;
+
+  before(async () => {
+    tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'do-epub-test-'));
+  });
+
+  after(async () => {
+    await fs.remove(tmp);
+  });
+
+  test('returns stored response', async (t) => {
+    const dir = path.join(tmp, t.name.replace(/\W/g, '-'));
+    setOptions(['--cachedir', dir]);
+    const { hits, misses } = stats();
+
+    assert.equal(await read(SOURCE, QUERY), null);
+    await write(SOURCE, QUERY, BODY);
+    assert.equal(await read(SOURCE, QUERY), BODY);
+    assert.equal(await read(SOURCE, 'date=01-07-2025'), null);
+
+    assert.deepEqual(stats(), { hits: hits + 1, misses: misses + 2 });
+    assert.equal(await lookup(dir, 'officium.pl', QUERY), BODY);
+  });
+
+  test('counts and removes entry failing validation as miss', async (t) => {
+    const dir = path.join(tmp, t.name.replace(/\W/g, '-'));
+    setOptions(['--cachedir', dir]);
+    await write(SOURCE, QUERY, '<html><body>Internal Server Error</body></html>');
+    const { hits, misses } = stats();
+
+    const validate = body => (/<h2[\s>]/.test(body) ? null : 'Response contains no hour headings');
+    assert.equal(await read(SOURCE, QUERY, validate), null);
+    assert.deepEqual(stats(), { hits, misses: misses + 1 });
+    assert.equal(await lookup(dir, 'officium.pl', QUERY), null);
+
+    await write(SOURCE, QUERY, BODY);
+    assert.equal(await read(SOURCE, QUERY, validate), BODY);
+    assert.deepEqual(stats(), { hits: hits + 1, misses: misses + 1 });
+  });
+
+  test('leaves no temporary file behind', async (t) => {
+    const dir = path.join(tmp, t.name.replace(/\W/g, '-'));
+    setOptions(['--cachedir', dir]);
+
+    await Promise.all([write(SOURCE, QUERY, BODY), write(SOURCE, QUERY, BODY)]);
+    const files = await cacheFiles(dir);
+    assert.equal(files.length, 1);
+    assert.match(files[0], /[0-9a-f]{40}\.html$/);
+  });
+
+  test('expires entries older than TTL', async (t) => {
+    const dir = path.join(tmp, t.name.replace(/\W/g, '-'));
+    setOptions(['--cachedir', dir, '--cachettl', '2']);
+    await write(SOURCE, QUERY, BODY);
+
+    const [file] = await cacheFiles(dir);
+    const hourAgo = new Date(Date.now() - 60 * 60 * 1000);
+    await fs.utimes(file, hourAgo, hourAgo);
+    assert.equal(await read(SOURCE, QUERY), BODY);
+
+    const dayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    await fs.utimes(file, dayAgo, dayAgo);
+    assert.equal(await read(SOURCE, QUERY), null);
+
+    // Expired entry is still there for cache:// sources
+    assert.equal(await lookup(dir, 'officium.pl', QUERY), BODY);
+  });
+
+  test('downloads again with --refresh and stores new response', async (t) => {
+    const dir = path.join(tmp, t.name.replace(/\W/g, '-'));
+    setOptions(['--cachedir', dir]);
+    await write(SOURCE, QUERY, BODY);
+
+    setOptions(['--cachedir', dir, '--refresh']);
+    assert.equal(await read(SOURCE, QUERY), null);
+    await write(SOURCE, QUERY, 'new');
+
+    setOptions(['--cachedir', dir]);
+    assert.equal(await read(SOURCE, QUERY), 'new');
+  });
+
+  test('neither reads nor writes with --nocache', async (t) => {
+    const dir = path.join(tmp, t.name.replace(/\W/g, '-'));
+    setOptions(['--cachedir', dir]);
+    await write(SOURCE, QUERY, BODY);
+
+    setOptions(['--cachedir', dir, '--nocache']);
+    assert.equal(await read(SOURCE, QUERY), null);
+    await write(SOURCE, 'date=01-07-2025', BODY);
+
+    setOptions(['--cachedir', dir]);
+    assert.equal(await read(SOURCE, 'date=01-07-2025'), null);
+  });
+});
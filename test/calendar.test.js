@@ -0,0 +1,123 @@
+/**
+ * Tests of liturgical calendar computations
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { easter, adventSunday, season, temporalWeek, liturgicalRange } from '../src/lib/calendar.js';
+
+/**
+ * Format date as YYYY-MM-DD
+ * @param {Date} date - Date
+ * @returns {string} - Formatted date
+ */
+function iso(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+describe('easter', () => {
+  test('computes Easter Sunday', () => {
+    assert.equal(iso(easter(2024)), '2024-03-31');
+    assert.equal(iso(easter(2025)), '2025-04-20');
+    assert.equal(iso(easter(2026)), '2026-04-05');
+    assert.equal(iso(easter(2038)), '2038-04-25');
+    assert.equal(iso(easter(2285)), '2285-03-22');
+  });
+});
+
+describe('adventSunday', () => {
+  test('finds Sunday nearest to St Andrew', () => {
+    assert.equal(iso(adventSunday(2025)), '2025-11-30');
+    assert.equal(iso(adventSunday(2026)), '2026-11-29');
+    assert.equal(iso(adventSunday(2022)), '2022-11-27');
+  });
+});
+
+describe('season', () => {
+  test('gives season and its start', () => {
+    const cases = [
+      ['2025-01-06', 'christmas', '2024-12-25'],
+      ['2025-01-14', 'epiphany', '2025-01-14'],
+      ['2025-02-16', 'septuagesima', '2025-02-16'],
+      ['2025-03-05', 'lent', '2025-03-05'],
+      ['2025-04-19', 'lent', '2025-03-05'],
+      ['2025-04-20', 'easter', '2025-04-20'],
+      ['2025-06-14', 'easter', '2025-04-20'],
+      ['2025-06-15', 'pentecost', '2025-06-15'],
+      ['2025-11-30', 'advent', '2025-11-30'],
+      ['2025-12-25', 'christmas', '2025-12-25']
+    ];
+    cases.forEach(([date, name, start]) => {
+      const [year, month, day] = date.split('-').map(Number);
+      const result = season(new Date(year, month - 1, day));
+      assert.deepEqual([result.name, iso(result.start)], [name, start], date);
+    });
+  });
+});
+
+describe('temporalWeek', () => {
+  test('names week of the Proper of Time', () => {
+    const cases = [
+      ['2025-11-30', 1, 'Hebdomada I Adventus'],
+      ['2025-12-20', 3, 'Hebdomada III Adventus'],
+      ['2025-01-07', 0, 'Tempus Nativitatis'],
+      ['2025-01-14', 1, 'Hebdomada I post Epiphaniam'],
+      ['2025-02-09', 5, 'Hebdomada V post Epiphaniam'],
+      ['2025-02-25', 2, 'Hebdomada Sexagesimæ'],
+      ['2025-03-07', 0, 'Dies post Cineres'],
+      ['2025-03-09', 1, 'Hebdomada I Quadragesimæ'],
+      ['2025-04-06', 5, 'Hebdomada Passionis'],
+      ['2025-04-19', 6, 'Hebdomada Sancta'],
+      ['2025-04-23', 0, 'Octava Paschæ'],
+      ['2025-04-27', 1, 'Hebdomada I post Pascha'],
+      ['2025-06-10', 7, 'Octava Pentecostes'],
+      ['2025-06-15', 1, 'Hebdomada I post Pentecosten'],
+      ['2025-11-29', 24, 'Hebdomada XXIV post Pentecosten']
+    ];
+    cases.forEach(([date, week, name]) => {
+      const [year, month, day] = date.split('-').map(Number);
+      const result = temporalWeek(new Date(year, month - 1, day));
+      assert.deepEqual([result.week, result.name], [week, name], date);
+    });
+  });
+});
+
+describe('liturgicalRange', () => {
+  const after = new Date(2025, 9, 19);
+
+  /**
+   * Get range of an expression as ISO dates
+   * @param {string} expression - Date expression
+   * @returns {string[]} - First and last date
+   */
+  function range(expression) {
+    const { first, last } = liturgicalRange(expression, after);
+    return [iso(first), iso(last)];
+  }
+
+  test('gives first and last day of periods of a year', () => {
+    assert.deepEqual(range('advent 2025'), ['2025-11-30', '2025-12-24']);
+    assert.deepEqual(range('Lent 2026'), ['2026-02-18', '2026-04-04']);
+    assert.deepEqual(range('holy-week 2026'), ['2026-03-29', '2026-04-04']);
+    assert.deepEqual(range('christmas-octave 2025'), ['2025-12-25', '2026-01-01']);
+    assert.deepEqual(range('septuagesima 2026'), ['2026-02-01', '2026-02-17']);
+    assert.deepEqual(range('pentecost 2025'), ['2025-06-15', '2025-11-29']);
+  });
+
+  test('gives day at offset from first day of period', () => {
+    assert.deepEqual(range('easter+49 2026'), ['2026-05-24', '2026-05-24']);
+    assert.deepEqual(range('easter - 2 2026'), ['2026-04-03', '2026-04-03']);
+  });
+
+  test('takes first period not over without year', () => {
+    assert.deepEqual(range('advent'), ['2025-11-30', '2025-12-24']);
+    assert.deepEqual(range('lent'), ['2026-02-18', '2026-04-04']);
+    assert.deepEqual(range('easter+49'), ['2026-05-24', '2026-05-24']);
+    assert.deepEqual(iso(liturgicalRange('christmas', new Date(2026, 0, 5)).first), '2025-12-25');
+  });
+
+  test('is null for other values', () => {
+    assert.equal(liturgicalRange('01-06-2025', after), null);
+    assert.equal(liturgicalRange('summer 2025', after), null);
+  });
+});
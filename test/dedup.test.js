@@ -0,0 +1,53 @@
+/**
+ * Tests of sharing identical hours between days
+ */
+
+import { describe, test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { reset, dedupDay, pageOf, stats } from '../src/lib/dedup.js';
+
+/**
+ * Make day page with hours
+ * @param {Object} hours - Text of every hour by id
+ * @returns {string} - Page content
+ */
+function page(hours) {
+  const blocks = Object.entries(hours).map(([id, text]) => `<h2 id="${id}"><span>Ad ${id}</span></h2>\n<div>${text}</div>\n`);
+  return `<html><head><title>Day</title></head><body>\n<p class="center">Feria</p>\n${blocks.join('')}<p class="center"></p>\n</body></html>`;
+}
+
+const label = key => `Day ${key}`;
+
+describe('dedupDay', () => {
+  beforeEach(() => reset());
+
+  test('keeps first occurrence of every hour', () => {
+    const first = page({ Laudes: 'Deus in adjutorium', Completorium: 'Jube domne' });
+    assert.equal(dedupDay('01-06-2025', first, label), first);
+    assert.equal(pageOf('01-06-2025', 'Laudes'), '01-06-2025');
+  });
+
+  test('links hours identical to an earlier day', () => {
+    dedupDay('01-06-2025', page({ Laudes: 'Feria II', Completorium: 'Jube domne' }), label);
+    const second = dedupDay('01-07-2025', Buffer.from(page({ Laudes: 'Feria III', Completorium: 'Jube domne' })), label);
+
+    assert.match(second, /<div>Feria III<\/div>/);
+    assert.match(second, /<h2 id="Completorium"><span>Ad Completorium<\/span><\/h2>\n<p class="center"><a href="01-06-2025.html#Completorium">Day 01-06-2025<\/a><\/p>\n<\/body>/);
+    assert.doesNotMatch(second, /Jube domne/);
+    assert.deepEqual([pageOf('01-07-2025', 'Laudes'), pageOf('01-07-2025', 'Completorium')], ['01-07-2025', '01-06-2025']);
+  });
+
+  test('links to the first day with the hour', () => {
+    ['01-06-2025', '01-07-2025', '01-08-2025'].forEach(key => dedupDay(key, page({ Completorium: 'Jube, domne, benedícere. '.repeat(10) }), label));
+    assert.equal(pageOf('01-08-2025', 'Completorium'), '01-06-2025');
+
+    const { hours, shared, savedBytes } = stats();
+    assert.deepEqual([hours, shared], [3, 2]);
+    assert.ok(savedBytes > 0);
+  });
+
+  test('does not share same text of other hours', () => {
+    dedupDay('01-06-2025', page({ Tertia: 'Psalmi' }), label);
+    assert.doesNotMatch(dedupDay('01-07-2025', page({ Sexta: 'Psalmi' }), label), /<a href/);
+  });
+});
@@ -0,0 +1,638 @@
+/**
+ * End-to-end tests building EPUB files against the stand-in server
+ */
+
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import util from 'util';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { FIXTURES_DIR, setOptions } from './helpers.js';
+import { makeFont } from './font-builder.js';
+import { fontInfo, obfuscate } from '../src/lib/fonts.js';
+import { startServer } from './server.js';
+import { make } from '../src/lib/epub.js';
+import { readZip } from '../src/lib/zip.js';
+import { validate } from '../src/lib/validate.js';
+
+const execFilePromise = util.promisify(execFile);
+
+const MAIN = path.resolve(FIXTURES_DIR, '..', '..', 'src', 'main.js');
+
+const PAGES = {
+  'officium.pl': path.join(FIXTURES_DIR, 'officium', 'r1960-latin-english.html'),
+  'popup.pl': path.join(FIXTURES_DIR, 'popup', 'pater-noster.html')
+};
+
+/**
+ * Build arguments for a two day build against the server
+ * @param {string} url - Server URL
+ * @param {string} output - Output file
+ * @param {string[]} [extra] - Additional arguments
+ * @returns {string[]} - Command line arguments
+ */
+function buildArgs(url, output, extra = []) {
+  return ['-p', url, '-f', '01-06-2025', '-t', '01-07-2025', '-o', output,
+    '-r', 'Rubrics 1960 - 1960', '-l', 'English', '-H', 'LaudesCompletorium',
+    '--nocache', ...extra];
+}
+
+/**
+ * Build EPUB in process and unpack it
+ * @param {string[]} args - Command line arguments
+ * @param {string} output - Output file
+ * @returns {Promise<Object>} - Entries by name, list of names in archive order and validation problems
+ */
+async function build(args, output) {
+  setOptions(args);
+  await make();
+  const buffer = await fs.readFile(output);
+  const entries = readZip(buffer);
+  return {
+    problems: validate(buffer),
+    names: entries.map(e => e.name),
+    files: Object.fromEntries(entries.map(e => [e.name, e]))
+  };
+}
+
+describe('build against stand-in server', () => {
+  let tmp;
+
+  before(async () => {
+    tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'do-epub-test-'));
+  });
+
+  after(async () => {
+    await fs.remove(tmp);
+  });
+
+  test('produces complete epub', async () => {
+    const server = await startServer({ pages: PAGES });
+    const output = path.join(tmp, 'complete.epub');
+    try {
+      const { names, files, problems } = await build(buildArgs(server.url, output), output);
+      assert.deepEqual(problems, []);
+
+      assert.equal(names[0], 'mimetype');
+      assert.equal(files.mimetype.method, 0);
+      assert.equal(files.mimetype.data.toString(), 'application/epub+zip');
+
+      for (const name of ['META-INF/container.xml', 'OEBPS/content.opf', 'OEBPS/toc.ncx',
+        'OEBPS/Text/01-06-2025.html', 'OEBPS/Text/01-07-2025.html', 'OEBPS/Text/expands.html']) {
+        assert.ok(names.includes(name), `missing ${name}`);
+      }
+
+      const day = files['OEBPS/Text/01-06-2025.html'].data.toString();
+      assert.match(day, /<h2 id="Laudes">/);
+      assert.match(day, /<h2 id="Completorium">/);
+      assert.match(day, /href="expands.html#Pater_noster"/);
+
+      const expands = files['OEBPS/Text/expands.html'].data.toString();
+      assert.match(expands, /<h3 id="Pater_noster">/);
+
+      const opf = files['OEBPS/content.opf'].data.toString();
+      assert.match(opf, /href="Text\/01-07-2025.html"/);
+      assert.match(opf, /<dc:language>la<\/dc:language>\s*<dc:language>en<\/dc:language>/);
+      assert.match(day, /<html xmlns="http:\/\/www.w3.org\/1999\/xhtml" xml:lang="la">/);
+      assert.match(files['OEBPS/Text/titlepage.html'].data.toString(), /<html [^>]*xml:lang="la">/);
+
+      // Source got /cgi-bin/horas/ appended, anything else would be 404
+      const days = server.requests.filter(r => r.script === 'officium.pl').map(r => r.query.match(/date=([^&]*)/)[1]);
+      assert.deepEqual(days.sort(), ['01-06-2025', '01-07-2025']);
+      assert.ok(server.requests.some(r => r.script === 'popup.pl' && r.query.startsWith('popup=%24Pater%20noster&')));
+    } finally {
+      await server.close();
+    }
+  });
+
+  test('streams days before package document and prints summary', async () => {
+    const server = await startServer({ pages: PAGES });
+    const output = path.join(tmp, 'streamed.epub');
+    try {
+      const { stdout } = await execFilePromise(process.execPath, [MAIN, ...buildArgs(server.url, output)]);
+      assert.match(stdout, /[\r\n]2 days built in \d+\.\d s, peak memory \d+\.\d MB \(heap \d+\.\d MB\)\n/);
+
+      const names = readZip(await fs.readFile(output)).map(e => e.name);
+      const opf = names.indexOf('OEBPS/content.opf');
+      assert.ok(names.indexOf('OEBPS/Text/01-06-2025.html') < names.indexOf('OEBPS/Text/01-07-2025.html'));
+      assert.ok(names.indexOf('OEBPS/Text/01-07-2025.html') < opf);
+      assert.ok(names.indexOf('OEBPS/Text/expands.html') < opf);
+    } finally {
+      await server.close();
+    }
+  });
+
+  test('produces epub 3 with navigation document', async () => {
+    const server = await startServer({ pages: PAGES });
+    const output = path.join(tmp, 'epub3.epub');
+    try {
+      const { names, files, problems } = await build(buildArgs(server.url, output, ['--epub3', '--index']), output);
+      assert.deepEqual(problems, []);
+
+      assert.ok(names.includes('OEBPS/nav.xhtml'));
+      assert.ok(names.includes('OEBPS/toc.ncx'));
+
+      const opf = files['OEBPS/content.opf'].data.toString();
+      assert.match(opf, /<package [^>]*version="3.0"/);
+      assert.match(opf, /<item id="nav" href="nav.xhtml" media-type="application\/xhtml\+xml" properties="nav"\/>/);
+      assert.match(opf, /properties="cover-image"/);
+      assert.match(opf, /<item id="coverpage" href="Text\/coverpage.html" media-type="application\/xhtml\+xml" properties="svg"\/>/);
+      assert.match(opf, /<meta property="dcterms:modified">\d{4}-\d\d-\d\dT\d\d:\d\d:\d\dZ<\/meta>/);
+      assert.doesNotMatch(opf, /opf:role/);
+
+      const nav = files['OEBPS/nav.xhtml'].data.toString();
+      assert.match(nav, /<nav epub:type="toc" id="toc">/);
+      assert.match(nav, /<a href="Text\/01-06-2025.html#Completorium">Completorium<\/a>/);
+      assert.match(nav, /<a epub:type="bodymatter" href="Text\/01-06-2025.html">/);
+      assert.match(nav, /<a epub:type="toc" href="Text\/indexpage.html">/);
+
+      assert.match(files['OEBPS/Text/01-06-2025.html'].data.toString(), /^<!DOCTYPE html>\n<html [^>]*xml:lang="la" lang="la">/);
+      assert.match(files['OEBPS/Text/titlepage.html'].data.toString(), /<html [^>]*xml:lang="la" lang="la">/);
+    } finally {
+      await server.close();
+    }
+  });
+
+  test('processes saved days again when switching to epub 3', async () => {
+    const server = await startServer({ pages: PAGES });
+    const output = path.join(tmp, 'switch.epub');
+    const workdir = path.join(tmp, 'switch-work');
+    try {
+      await build(buildArgs(server.url, output, ['-w', workdir]), output);
+      const { files, problems } = await build(buildArgs(server.url, output, ['-w', workdir, '--epub3']), output);
+      assert.deepEqual(problems, []);
+
+      assert.match(files['OEBPS/Text/01-06-2025.html'].data.toString(), /^<!DOCTYPE html>\n/);
+      assert.equal(server.requests.filter(r => r.script === 'officium.pl').length, 4);
+    } finally {
+      await server.close();
+    }
+  });
+
+  test('generates cover page', async () => {
+    const server = await startServer({ pages: PAGES });
+    const output = path.join(tmp, 'cover.epub');
+    try {
+      const { files, problems } = await build(buildArgs(server.url, output, ['--cover', 'auto', '-i', 'Breviarium Romanum & Monasticum', '--epub3']), output);
+      assert.deepEqual(problems, []);
+
+      const cover = files['OEBPS/Text/coverpage.html'].data.toString();
+      assert.match(cover, /xlink:href="..\/images\/cover.jpg"/);
+      assert.match(cover, /<tspan x="300">Breviarium Romanum<\/tspan><tspan x="300" dy="50">&amp; Monasticum<\/tspan>/);
+      assert.match(cover, />Jan 6 – Jan 7, 2025</);
+      assert.match(cover, />Rubrics 1960 - 1960</);
+      assert.match(cover, />Latin \/ English</);
+      assert.ok(files['OEBPS/images/cover.jpg']);
+
+      // Generated cover is the cover image of the book, for library thumbnails
+      const opf = files['OEBPS/content.opf'].data.toString();
+      assert.match(opf, /<meta name="cover" content="cover"\/>/);
+      assert.match(opf, /<item id="cover" href="images\/cover.svg" media-type="image\/svg\+xml" properties="cover-image"\/>/);
+      assert.match(opf, /<item id="coverbackground" href="images\/cover.jpg" media-type="image\/jpeg"\/>/);
+      const image = files['OEBPS/images/cover.svg'].data.toString();
+      assert.match(image, /^<\?xml version="1.0" encoding="UTF-8"\?>\n<svg /);
+      assert.match(image, /xlink:href="cover.jpg"/);
+      assert.match(image, />Jan 6 – Jan 7, 2025</);
+    } finally {
+      await server.close();
+    }
+  });
+
+  test('keeps format of PNG cover', async () => {
+    const server = await startServer({ pages: PAGES });
+    const output = path.join(tmp, 'png.epub');
+    try {
+      const cover = path.join(FIXTURES_DIR, 'images', 'cover.png');
+      const { names, files, problems } = await build(buildArgs(server.url, output, ['--cover', cover, '--epub3']), output);
+      assert.deepEqual(problems, []);
+
+      assert.ok(names.includes('OEBPS/images/cover.png'));
+      assert.ok(!names.includes('OEBPS/images/cover.jpg'));
+      assert.match(files['OEBPS/content.opf'].data.toString(),
+        /<item id="cover" href="images\/cover.png" media-type="image\/png" properties="cover-image"\/>/);
+
+      const page = files['OEBPS/Text/coverpage.html'].data.toString();
+      assert.match(page, /viewBox="0 0 40 64"/);
+      assert.match(page, /<image width="40" height="64" xlink:href="..\/images\/cover.png"\/>/);
+    } finally {
+      await server.close();
+    }
+  });
+
+  test('embeds fonts with @font-face rules', async () => {
+    const server = await startServer({ pages: PAGES });
+    const output = path.join(tmp, 'fonts.epub');
+    const fontDir = path.join(tmp, 'fonts');
+    try {
+      await fs.ensureDir(fontDir);
+      // Greek letters are not used in the book
+      const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyzαβγδεζηθικλμνξοπρστυφχψω';
+      const font = makeFont({ family: 'Test Serif', chars });
+      const bold = makeFont({ family: 'Test Serif', subfamily: 'Bold', weight: 700, chars, outlines: 'cff' });
+      await fs.writeFile(path.join(fontDir, 'Test Serif.ttf'), font);
+      await fs.writeFile(path.join(fontDir, 'TestSerif-Bold.otf'), bold);
+      await fs.writeFile(path.join(fontDir, 'LICENSE.txt'), 'SIL Open Font License');
+
+      const { names, files, problems } = await build(buildArgs(server.url, output, ['-d', fontDir, '--fontlang1', 'test serif', '-q']), output);
+      assert.deepEqual(problems, []);
+
+      assert.deepEqual(names.filter(n => n.startsWith('OEBPS/Fonts/')), ['OEBPS/Fonts/Test Serif.ttf', 'OEBPS/Fonts/TestSerif-Bold.otf']);
+      const opf = files['OEBPS/content.opf'].data.toString();
+      assert.match(opf, /<item id="font1" href="Fonts\/Test%20Serif.ttf" media-type="application\/x-font-ttf"\/>/);
+
+      const subset = files['OEBPS/Fonts/Test Serif.ttf'].data;
+      assert.ok(subset.length < font.length, 'font is subset');
+      assert.deepEqual(fontInfo(subset), fontInfo(font));
+      const boldSubset = files['OEBPS/Fonts/TestSerif-Bold.otf'].data;
+      assert.ok(boldSubset.length < bold.length, 'CFF font is subset');
+      assert.deepEqual(fontInfo(boldSubset), fontInfo(bold));
+
+      const css = files['OEBPS/css/style.css'].data.toString();
+      assert.match(css, /src: url\("..\/Fonts\/TestSerif-Bold.otf"\);/);
+      assert.match(css, /font-weight: 700;/);
+      assert.match(css, /\.lang0, \.lang1 \{ font-family: "Test Serif", serif; \}/);
+    } finally {
+      await server.close();
+    }
+  });
+
+  test('obfuscates fonts with the book identifier', async () => {
+    const server = await startServer({ pages: PAGES });
+    const output = path.join(tmp, 'obfuscated.epub');
+    const fontDir = path.join(tmp, 'licensed');
+    try {
+      await fs.ensureDir(fontDir);
+      const font = makeFont({ family: 'Test Serif' });
+      await fs.writeFile(path.join(fontDir, 'Test Serif.ttf'), font);
+
+      const { names, files, problems } = await build(buildArgs(server.url, output, ['-d', fontDir, '--obfuscate-fonts', '--nosubset', '-q']), output);
+      assert.deepEqual(problems, []);
+      assert.deepEqual(names.slice(0, 3), ['mimetype', 'META-INF/container.xml', 'META-INF/encryption.xml']);
+
+      const encryption = files['META-INF/encryption.xml'].data.toString();
+      assert.match(encryption, /<enc:EncryptionMethod Algorithm="http:\/\/www.idpf.org\/2008\/embedding"\/>/);
+      assert.match(encryption, /<enc:CipherReference URI="OEBPS\/Fonts\/Test%20Serif.ttf"\/>/);
+
+      const identifier = files['OEBPS/content.opf'].data.toString().match(/<dc:identifier id="bookid">([^<]+)</)[1];
+      const embedded = files['OEBPS/Fonts/Test Serif.ttf'].data;
+      assert.ok(!embedded.equals(font));
+      assert.ok(obfuscate(embedded, identifier).equals(font));
+    } finally {
+      await server.close();
+    }
+  });
+
+  test('splits range into volumes of a series', async () => {
+    const server = await startServer({ pages: PAGES });
+    const output = path.join(tmp, 'series.epub');
+    try {
+      setOptions(['-p', server.url, '-f', '01-10-2025', '-t', '01-13-2025', '-o', output,
+        '-r', 'Rubrics 1960 - 1960', '-l', 'English', '-H', 'LaudesCompletorium',
+        '--nocache', '--split-by', 'week', '--epub3', '-i', 'Breviarium']);
+      await make();
+      assert.ok(!await fs.pathExists(output));
+
+      const volumes = ['series-2025-01-10.epub', 'series-2025-01-12.epub'].map(name => path.join(tmp, name));
+      const books = await Promise.all(volumes.map(async file => {
+        const buffer = await fs.readFile(file);
+        assert.deepEqual(validate(buffer), [], file);
+        return Object.fromEntries(readZip(buffer).map(e => [e.name, e.data.toString()]));
+      }));
+
+      assert.deepEqual(Object.keys(books[0]).filter(n => /Text\/\d/.test(n)), ['OEBPS/Text/01-10-2025.html', 'OEBPS/Text/01-11-2025.html']);
+      assert.deepEqual(Object.keys(books[1]).filter(n => /Text\/\d/.test(n)), ['OEBPS/Text/01-12-2025.html', 'OEBPS/Text/01-13-2025.html']);
+
+      const opf = books[1]['OEBPS/content.opf'];
+      assert.match(opf, /<dc:title>Breviarium – Jan 12 – Jan 13, 2025<\/dc:title>/);
+      assert.match(opf, /<meta name="calibre:series" content="Breviarium"\/>/);
+      assert.match(opf, /<meta name="calibre:series_index" content="2"\/>/);
+      assert.match(opf, /<meta property="belongs-to-collection" id="series">Breviarium<\/meta>/);
+      assert.match(opf, /<meta refines="#series" property="group-position">2<\/meta>/);
+      assert.ok(books[1]['OEBPS/Text/expands.html']);
+      assert.match(books[1]['OEBPS/Text/titlepage.html'], /01-12-2025 – 01-13-2025/);
+
+      const identifier = book => book['OEBPS/content.opf'].match(/<dc:identifier id="bookid">([^<]+)</)[1];
+      assert.notEqual(identifier(books[0]), identifier(books[1]));
+    } finally {
+      await server.close();
+    }
+  });
+
+  test('shares identical horas with earlier days', async () => {
+    const server = await startServer({ pages: PAGES });
+    const output = path.join(tmp, 'dedup.epub');
+    try {
+      const { files, problems } = await build(buildArgs(server.url, output, ['--dedup', '--index']), output);
+      assert.deepEqual(problems, []);
+
+      const first = files['OEBPS/Text/01-06-2025.html'].data.toString();
+      const second = files['OEBPS/Text/01-07-2025.html'].data.toString();
+      assert.ok(second.length < first.length / 2);
+      assert.match(second, /<h2 id="Laudes">.*<\/h2>\n<p class="center"><a href="01-06-2025.html#Laudes">Jan 6<\/a><\/p>/);
+
+      const toc = files['OEBPS/toc.ncx'].data.toString();
+      assert.doesNotMatch(toc, /01-07-2025.html#/);
+      assert.equal(toc.match(/src="Text\/01-06-2025.html#Completorium"/g).length, 2);
+      assert.match(files['OEBPS/Text/indexpage.html'].data.toString(), /href="01-07-2025.html"/);
+      assert.doesNotMatch(files['OEBPS/Text/indexpage.html'].data.toString(), /href="01-07-2025.html#/);
+    } finally {
+      await server.close();
+    }
+  });
+
+  test('adds Mass of the day after the horas', async () => {
+    const server = await startServer({
+      pages: { ...PAGES, 'missa.pl': path.join(FIXTURES_DIR, 'missa', 'r1960-latin-english.html') }
+    });
+    const output = path.join(tmp, 'missa.epub');
+    try {
+      const { files, problems } = await build(buildArgs(server.url, output, ['--missa', '--index', '--epub3']), output);
+      assert.deepEqual(problems, []);
+
+      const day = files['OEBPS/Text/01-06-2025.html'].data.toString();
+      assert.ok(day.indexOf('<h2 id="Completorium">') < day.indexOf('<h2 id="Missa">'));
+      assert.match(day, /<h2 id="Missa"><span class="maroon text-lg"><b><i>Sancta Missa<\/i><\/b><\/span><\/h2>/);
+      assert.match(day, /In excélso throno vidi sedére virum/);
+      assert.match(day, /href="expands.html#Gloria"/);
+      assert.doesNotMatch(day, /Sancta Missa<\/i><\/b><\/span>&nbsp;|Rubrics 1960<\/span><\/h1>/);
+
+      assert.match(files['OEBPS/toc.ncx'].data.toString(), /<content src="Text\/01-07-2025.html#Missa"\/>/);
+      assert.match(files['OEBPS/nav.xhtml'].data.toString(), /<a href="Text\/01-07-2025.html#Missa">Missa<\/a>/);
+      assert.match(files['OEBPS/Text/indexpage.html'].data.toString(), /<a href="01-07-2025.html#Missa">\[ Mis \]<\/a>/);
+
+      const missa = server.requests.filter(r => r.script === 'missa.pl').map(r => r.query);
+      assert.equal(missa.length, 2);
+      assert.match(missa[0], /^date=01-0[67]-2025&lang1=Latin&lang2=English&langfb=English&version=Rubrics%201960%20-%201960&command=praySanctaMissa&Propers=1$/);
+
+      // Whole Mass on request
+      await build(buildArgs(server.url, output, ['--missa', '--ordinarium']), output);
+      assert.ok(server.requests.filter(r => r.script === 'missa.pl').slice(2).every(r => !/Propers/.test(r.query)));
+    } finally {
+      await server.close();
+    }
+  });
+
+  test('adds Martyrology read at Prime', async () => {
+    const prima = path.join(FIXTURES_DIR, 'officium', 'r1960-prima.html');
+    const server = await startServer({
+      pages: { ...PAGES, 'officium.pl': query => /command=prayPrima/.test(query) ? prima : PAGES['officium.pl'] }
+    });
+    const output = path.join(tmp, 'martyrology.epub');
+    try {
+      const { files, problems } = await build(buildArgs(server.url, output, ['--martyrology', '--index']), output);
+      assert.deepEqual(problems, []);
+
+      const day = files['OEBPS/Text/01-06-2025.html'].data.toString();
+      const section = day.substring(day.indexOf('<h2 id="Martyrologium">'));
+      assert.ok(day.indexOf('<h2 id="Completorium">') < day.indexOf('<h2 id="Martyrologium">'));
+      assert.match(section, /Alexandríæ commemorátio Adventus de Ægýpto Infántis Jesu\./);
+      assert.match(section, /Precious in the sight of the Lord\./);
+      assert.doesNotMatch(section, /Deus <span class="red">✠<\/span> in adjutórium|Benedicámus Dómino/);
+
+      // Only expands of the office and Martyrology are on the expands page
+      assert.doesNotMatch(files['OEBPS/Text/expands.html'].data.toString(), /id="Benedicamus_Domino"/);
+
+      assert.match(files['OEBPS/toc.ncx'].data.toString(), /<text>Martyrologium<\/text>\s*<\/navLabel>\s*<content src="Text\/01-07-2025.html#Martyrologium"\/>/);
+      assert.match(files['OEBPS/Text/indexpage.html'].data.toString(), /<a href="01-07-2025.html#Martyrologium">\[ Mar \]<\/a>/);
+
+      const queries = server.requests.filter(r => /command=prayPrima/.test(r.query)).map(r => r.query.match(/date=([^&]*)/)[1]);
+      assert.deepEqual(queries.sort(), ['01-06-2025', '01-07-2025']);
+    } finally {
+      await server.close();
+    }
+  });
+
+  test('adds Ordo page after index page', async () => {
+    const server = await startServer({ pages: PAGES });
+    const output = path.join(tmp, 'ordo.epub');
+    try {
+      const { files, problems } = await build(buildArgs(server.url, output, ['--ordo', '--index', '--epub3']), output);
+      assert.deepEqual(problems, []);
+
+      const page = files['OEBPS/Text/ordopage.html'].data.toString();
+      assert.match(page, /<th>Date<\/th>\s*<th>Office<\/th>\s*<th>Rank<\/th>\s*<th>Colour<\/th>\s*<th>Week<\/th>/);
+      assert.match(page, /<td>\s*<a href="01-07-2025.html">Jan 7<\/a>\s*<\/td>\s*<td>Feria Quarta infra Hebdomadam I post Epiphaniam<\/td>\s*<td>Feria IV<\/td>\s*<td>white<\/td>\s*<td>Tempus Nativitatis<\/td>/);
+
+      const opf = files['OEBPS/content.opf'].data.toString();
+      assert.match(opf, /<itemref idref="indexpage"\/>\s*<itemref idref="ordopage"\/>/);
+      assert.match(files['OEBPS/nav.xhtml'].data.toString(), /<a href="Text\/ordopage.html">Ordo<\/a>/);
+    } finally {
+      await server.close();
+    }
+  });
+
+  test('reproducible builds are byte-identical', async () => {
+    const server = await startServer({ pages: PAGES });
+    const first = path.join(tmp, 'first.epub');
+    const second = path.join(tmp, 'second.epub');
+    process.env.SOURCE_DATE_EPOCH = '1735689600';
+    try {
+      const { files } = await build(buildArgs(server.url, first, ['--reproducible']), first);
+      await build(buildArgs(server.url, second, ['--reproducible']), second);
+      assert.ok((await fs.readFile(first)).equals(await fs.readFile(second)));
+
+      const opf = files['OEBPS/content.opf'].data.toString();
+      const uuid = opf.match(/<dc:identifier id="bookid">([^<]*)</)[1];
+      assert.match(uuid, /^[0-9a-f]{8}-[0-9a-f]{4}-5[0-9a-f]{3}-/);
+      assert.match(files['OEBPS/toc.ncx'].data.toString(), new RegExp(`<meta name="dtb:uid" content="${uuid}"/>`));
+      assert.match(opf, /<dc:date opf:event="creation">2025-01-01<\/dc:date>/);
+
+      // Other title makes other book
+      const { files: other } = await build(buildArgs(server.url, second, ['--reproducible', '-i', 'Other']), second);
+      assert.doesNotMatch(other['OEBPS/content.opf'].data.toString(), new RegExp(uuid));
+    } finally {
+      delete process.env.SOURCE_DATE_EPOCH;
+      await server.close();
+    }
+  });
+
+  test('replays recorded responses offline', async () => {
+    const fixtures = path.join(tmp, 'recorded');
+    const recorded = path.join(tmp, 'recorded.epub');
+    const replayed = path.join(tmp, 'replayed.epub');
+    const served = path.join(tmp, 'served.epub');
+
+    const server = await startServer({ pages: PAGES });
+    try {
+      await build(buildArgs(server.url, recorded, ['--reproducible', '--record', fixtures]), recorded);
+    } finally {
+      await server.close();
+    }
+    assert.ok((await fs.readdir(fixtures)).some(name => /^officium-[0-9a-f]{16}\.json$/.test(name)));
+
+    // Server is gone, every response comes from the fixtures
+    const { problems } = await build(buildArgs('https://unreachable.invalid', replayed, ['--reproducible', '--replay', fixtures]), replayed);
+    assert.deepEqual(problems, []);
+    assert.ok((await fs.readFile(recorded)).equals(await fs.readFile(replayed)));
+
+    // Stand-in server answers from the same fixtures without default pages
+    const fixtureServer = await startServer({ fixtures });
+    try {
+      await build(buildArgs(fixtureServer.url, served, ['--reproducible']), served);
+      assert.ok((await fs.readFile(recorded)).equals(await fs.readFile(served)));
+    } finally {
+      await fixtureServer.close();
+    }
+  });
+
+  test('retries after server error', async () => {
+    const server = await startServer({
+      pages: PAGES,
+      faults: [{ type: 'error', script: 'officium.pl', match: /date=01-07-2025/, times: 1 }]
+    });
+    const output = path.join(tmp, 'error.epub');
+    try {
+      const { names } = await build(buildArgs(server.url, output, ['--retries', '2']), output);
+      assert.ok(names.includes('OEBPS/Text/01-07-2025.html'));
+      assert.equal(server.requests.filter(r => /date=01-07-2025/.test(r.query)).length, 2);
+    } finally {
+      await server.close();
+    }
+  });
+
+  test('retries after timeout', async () => {
+    const server = await startServer({
+      pages: PAGES,
+      faults: [{ type: 'slow', script: 'officium.pl', match: /date=01-06-2025/, delay: 3000, times: 1 }]
+    });
+    const output = path.join(tmp, 'slow.epub');
+    try {
+      const { names } = await build(buildArgs(server.url, output, ['--retries', '2', '--timeout', '1']), output);
+      assert.ok(names.includes('OEBPS/Text/01-06-2025.html'));
+      assert.equal(server.requests.filter(r => /date=01-06-2025/.test(r.query)).length, 2);
+    } finally {
+      await server.close();
+    }
+  });
+
+  test('retries truncated page', async () => {
+    const server = await startServer({
+      pages: PAGES,
+      faults: [{ type: 'truncate', script: 'officium.pl', match: /date=01-06-2025/, times: 1 }]
+    });
+    const output = path.join(tmp, 'truncated.epub');
+    try {
+      const { files } = await build(buildArgs(server.url, output, ['--retries', '2']), output);
+      assert.match(files['OEBPS/Text/01-06-2025.html'].data.toString(), /<h2 id="Laudes">/);
+    } finally {
+      await server.close();
+    }
+  });
+
+  test('fails when retries are exhausted', async () => {
+    const server = await startServer({
+      pages: PAGES,
+      faults: [{ type: 'error', script: 'officium.pl', status: 503 }]
+    });
+    const output = path.join(tmp, 'failed.epub');
+    try {
+      await assert.rejects(
+        execFilePromise(process.execPath, [MAIN, '--quiet', ...buildArgs(server.url, output, ['--retries', '1'])]),
+        err => {
+          assert.equal(err.code, 1);
+          assert.match(err.stderr, /HTTP 503/);
+          return true;
+        }
+      );
+    } finally {
+      await server.close();
+    }
+  });
+});
+
+describe('resume from work directory', () => {
+  let tmp;
+
+  before(async () => {
+    tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'do-epub-test-'));
+  });
+
+  after(async () => {
+    await fs.remove(tmp);
+  });
+
+  /**
+   * Get dates of the days requested from a server
+   * @param {Object} server - Stand-in server
+   * @param {number} [from] - Index of the first request to look at
+   * @returns {string[]} - Sorted dates
+   */
+  function fetchedDays(server, from = 0) {
+    return server.requests.slice(from).filter(r => r.script === 'officium.pl')
+      .map(r => r.query.match(/date=([^&]*)/)[1]).sort();
+  }
+
+  test('resumes interrupted build without downloading days again', async () => {
+    const server = await startServer({
+      pages: PAGES,
+      // Prayers are downloaded after the days, the first one fails for good
+      faults: [{ type: 'error', script: 'popup.pl', status: 404, times: 1 }]
+    });
+    const output = path.join(tmp, 'interrupted.epub');
+    const workdir = path.join(tmp, 'interrupted-work');
+    try {
+      await assert.rejects(execFilePromise(process.execPath, [MAIN, '--quiet', ...buildArgs(server.url, output, ['-w', workdir])]));
+      assert.deepEqual(fetchedDays(server), ['01-06-2025', '01-07-2025']);
+
+      const resumed = server.requests.length;
+      const { files, problems } = await build(buildArgs(server.url, output, ['-w', workdir]), output);
+      assert.deepEqual(problems, []);
+      assert.deepEqual(fetchedDays(server, resumed), []);
+      assert.match(files['OEBPS/Text/01-07-2025.html'].data.toString(), /<h2 id="Completorium">/);
+    } finally {
+      await server.close();
+    }
+  });
+
+  test('processes days again when a processing option changes', async () => {
+    const server = await startServer({ pages: PAGES });
+    const output = path.join(tmp, 'changed.epub');
+    const workdir = path.join(tmp, 'changed-work');
+    try {
+      await build(buildArgs(server.url, output, ['-w', workdir]), output);
+      let start = server.requests.length;
+      const { files: reused } = await build(buildArgs(server.url, output, ['-w', workdir]), output);
+      assert.deepEqual(fetchedDays(server, start), []);
+      assert.match(reused['OEBPS/Text/01-06-2025.html'].data.toString(), /[áéíóúǽ]/);
+
+      start = server.requests.length;
+      const { files } = await build(buildArgs(server.url, output, ['-w', workdir, '--ascii']), output);
+      assert.deepEqual(fetchedDays(server, start), ['01-06-2025', '01-07-2025']);
+      assert.doesNotMatch(files['OEBPS/Text/01-06-2025.html'].data.toString(), /[áéíóúǽ]/);
+    } finally {
+      await server.close();
+    }
+  });
+
+  test('rebuilds corrupt or partial manifest', async () => {
+    const server = await startServer({ pages: PAGES });
+    const output = path.join(tmp, 'corrupt.epub');
+    const workdir = path.join(tmp, 'corrupt-work');
+    const manifest = path.join(workdir, 'manifest.json');
+    try {
+      await build(buildArgs(server.url, output, ['-w', workdir]), output);
+
+      // Manifest cut off in the middle is not trusted at all
+      const data = await fs.readFile(manifest, 'utf8');
+      await fs.writeFile(manifest, data.substring(0, data.length / 2));
+      let start = server.requests.length;
+      await build(buildArgs(server.url, output, ['-w', workdir]), output);
+      assert.deepEqual(fetchedDays(server, start), ['01-06-2025', '01-07-2025']);
+      assert.deepEqual(Object.keys((await fs.readJson(manifest)).days).sort(), ['01-06-2025', '01-07-2025']);
+
+      // Day missing from the manifest or without its page is processed again
+      const partial = await fs.readJson(manifest);
+      delete partial.days['01-06-2025'];
+      await fs.writeJson(manifest, partial);
+      await fs.remove(path.join(workdir, 'Text', '01-07-2025.html'));
+      start = server.requests.length;
+      const { problems } = await build(buildArgs(server.url, output, ['-w', workdir]), output);
+      assert.deepEqual(problems, []);
+      assert.deepEqual(fetchedDays(server, start), ['01-06-2025', '01-07-2025']);
+    } finally {
+      await server.close();
+    }
+  });
+});
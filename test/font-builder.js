@@ -0,0 +1,564 @@
+/**
+ * Builder of small TrueType and OpenType fonts used by font tests
+ *
+ * Every character gets a square glyph, so fonts are valid enough for
+ * readers and the subsetter while staying a few hundred bytes.
+ * @module test/font-builder
+ */
+
+import zlib from 'zlib';
+
+const UNITS_PER_EM = 1000;
+const ADVANCE = 600;
+
+/**
+ * Sum of big endian 32 bit words
+ * @param {Buffer} data - Table data
+ * @returns {number} - Checksum
+ */
+function checksum(data) {
+  const padded = Buffer.concat([data, Buffer.alloc((4 - data.length % 4) % 4)]);
+  let sum = 0;
+  for (let i = 0; i < padded.length; i += 4) {
+    sum = (sum + padded.readUInt32BE(i)) >>> 0;
+  }
+  return sum;
+}
+
+/**
+ * Build name table with Windows Unicode records
+ * @param {Object} names - Strings by name ID
+ * @returns {Buffer} - name table
+ */
+function nameTable(names) {
+  const entries = Object.entries(names).map(([id, text]) => [Number(id), Buffer.from(text, 'utf16le').swap16()]);
+  const header = Buffer.alloc(6 + entries.length * 12);
+  header.writeUInt16BE(0, 0);
+  header.writeUInt16BE(entries.length, 2);
+  header.writeUInt16BE(header.length, 4);
+
+  let offset = 0;
+  entries.forEach(([id, bytes], i) => {
+    const record = 6 + i * 12;
+    header.writeUInt16BE(3, record);
+    header.writeUInt16BE(1, record + 2);
+    header.writeUInt16BE(0x409, record + 4);
+    header.writeUInt16BE(id, record + 6);
+    header.writeUInt16BE(bytes.length, record + 8);
+    header.writeUInt16BE(offset, record + 10);
+    offset += bytes.length;
+  });
+  return Buffer.concat([header, ...entries.map(([, bytes]) => bytes)]);
+}
+
+/**
+ * Build cmap table with a format 4 subtable
+ * @param {number[]} codes - Sorted character codes, glyph of codes[i] is i + 1
+ * @returns {Buffer} - cmap table
+ */
+function cmapTable(codes) {
+  const segments = codes.map((code, i) => ({ start: code, end: code, delta: (i + 1 - code) & 0xFFFF }));
+  segments.push({ start: 0xFFFF, end: 0xFFFF, delta: 1 });
+
+  const segCount = segments.length;
+  const sub = Buffer.alloc(16 + segCount * 8);
+  sub.writeUInt16BE(4, 0);
+  sub.writeUInt16BE(sub.length, 2);
+  sub.writeUInt16BE(segCount * 2, 6);
+  const searchRange = 2 * 2 ** Math.floor(Math.log2(segCount));
+  sub.writeUInt16BE(searchRange, 8);
+  sub.writeUInt16BE(Math.log2(searchRange / 2), 10);
+  sub.writeUInt16BE(segCount * 2 - searchRange, 12);
+  segments.forEach((s, i) => {
+    sub.writeUInt16BE(s.end, 14 + i * 2);
+    sub.writeUInt16BE(s.start, 16 + segCount * 2 + i * 2);
+    sub.writeUInt16BE(s.delta, 16 + segCount * 4 + i * 2);
+  });
+
+  const header = Buffer.alloc(12);
+  header.writeUInt16BE(1, 2);
+  header.writeUInt16BE(3, 4);
+  header.writeUInt16BE(1, 6);
+  header.writeUInt32BE(12, 8);
+  return Buffer.concat([header, sub]);
+}
+
+/**
+ * Square glyph
+ * @returns {Buffer} - Simple glyph with one contour
+ */
+function squareGlyph() {
+  const glyph = Buffer.alloc(10 + 2 + 2 + 4 + 8 + 8);
+  glyph.writeInt16BE(1, 0);
+  glyph.writeInt16BE(50, 2);
+  glyph.writeInt16BE(0, 4);
+  glyph.writeInt16BE(550, 6);
+  glyph.writeInt16BE(500, 8);
+  glyph.writeUInt16BE(3, 10);
+  glyph.writeUInt16BE(0, 12);
+  glyph.fill(0x01, 14, 18);
+  [50, 500, 0, -500].forEach((x, i) => glyph.writeInt16BE(x, 18 + i * 2));
+  [0, 0, 500, 0].forEach((y, i) => glyph.writeInt16BE(y, 26 + i * 2));
+  return glyph;
+}
+
+/**
+ * Square glyph as Type 2 charstring
+ * @returns {Buffer} - Charstring of 50 0 rmoveto 500 hlineto 500 vlineto -500 hlineto endchar
+ */
+function squareCharString() {
+  return Buffer.from([189, 139, 21, 248, 136, 6, 248, 136, 7, 252, 136, 6, 14]);
+}
+
+/**
+ * Build CFF INDEX
+ * @param {Buffer[]} items - Items
+ * @returns {Buffer} - INDEX with 2 byte offsets
+ */
+function cffIndex(items) {
+  if (items.length === 0) return Buffer.alloc(2);
+  const header = Buffer.alloc(3 + (items.length + 1) * 2);
+  header.writeUInt16BE(items.length, 0);
+  header[2] = 2;
+  let offset = 1;
+  items.forEach((item, i) => {
+    header.writeUInt16BE(offset, 3 + i * 2);
+    offset += item.length;
+  });
+  header.writeUInt16BE(offset, 3 + items.length * 2);
+  return Buffer.concat([header, ...items]);
+}
+
+/**
+ * Build CFF DICT with operands as 32 bit integers
+ * @param {Array<Array>} entries - Pairs of operands and operator bytes
+ * @returns {Buffer} - DICT data
+ */
+function cffDict(entries) {
+  return Buffer.concat(entries.map(([operands, op]) => {
+    const bytes = operands.map(value => {
+      const b = Buffer.alloc(5);
+      b[0] = 29;
+      b.writeInt32BE(value, 1);
+      return b;
+    });
+    return Buffer.concat([...bytes, Buffer.from(op)]);
+  }));
+}
+
+/**
+ * Build CFF table with charset, Private DICT and one local subroutine
+ *
+ * Structures after the global subroutines are in the order charset,
+ * FDSelect, CharStrings, FDArray, Private DICT and Subrs.
+ * @param {string} name - PostScript name
+ * @param {number} numGlyphs - Number of glyphs, all squares but .notdef
+ * @param {boolean} cid - Make CID-keyed font with FDArray and FDSelect
+ * @returns {Buffer} - CFF table
+ */
+function cffTable(name, numGlyphs, cid) {
+  const header = Buffer.from([1, 0, 4, 4]);
+  const names = cffIndex([Buffer.from(name, 'latin1')]);
+  const strings = cffIndex(cid ? [Buffer.from('Adobe'), Buffer.from('Identity')] : []);
+  const globalSubrs = cffIndex([]);
+
+  // Format 0 charset, glyph i is SID or CID i
+  const charset = Buffer.alloc(1 + (numGlyphs - 1) * 2);
+  for (let i = 1; i < numGlyphs; i++) charset.writeUInt16BE(i, 1 + (i - 1) * 2);
+  // Format 3 FDSelect with one range
+  const fdSelect = Buffer.from([3, 0, 1, 0, 0, 0, numGlyphs >> 8, numGlyphs & 0xFF]);
+  const charStrings = cffIndex([Buffer.from([14]), ...Array.from({ length: numGlyphs - 1 }, squareCharString)]);
+  const subrs = cffIndex([Buffer.from([11])]);
+  // nominalWidthX 0, Subrs right after the DICT
+  const privateDict = (subrsOffset) => cffDict([[[0], [21]], [[subrsOffset], [19]]]);
+  const privateSize = privateDict(0).length;
+
+  const topEntries = (offsets) => [
+    ...(cid ? [[[391, 392, 0], [12, 30]]] : []),
+    [[offsets.charset], [15]],
+    ...(cid ? [[[offsets.fdSelect], [12, 37]], [[offsets.fdArray], [12, 36]]] : [[[privateSize, offsets.private], [18]]]),
+    [[offsets.charStrings], [17]]
+  ];
+  const fdArray = (offsets) => cffIndex([cffDict([[[privateSize, offsets.private], [18]]])]);
+
+  // Lengths do not depend on offsets, all are 32 bit
+  const zero = { charset: 0, fdSelect: 0, fdArray: 0, private: 0, charStrings: 0 };
+  const start = header.length + names.length + cffIndex([cffDict(topEntries(zero))]).length + strings.length + globalSubrs.length;
+  const offsets = { charset: start };
+  offsets.fdSelect = offsets.charset + charset.length;
+  offsets.charStrings = offsets.fdSelect + (cid ? fdSelect.length : 0);
+  offsets.fdArray = offsets.charStrings + charStrings.length;
+  offsets.private = offsets.fdArray + (cid ? fdArray(zero).length : 0);
+
+  return Buffer.concat([
+    header, names, cffIndex([cffDict(topEntries(offsets))]), strings, globalSubrs,
+    charset, cid ? fdSelect : Buffer.alloc(0), charStrings, cid ? fdArray(offsets) : Buffer.alloc(0),
+    privateDict(privateSize), subrs
+  ]);
+}
+
+/**
+ * Assemble sfnt from tables
+ * @param {Object} tables - Table data by tag
+ * @param {number} [version] - sfnt version, OTTO for CFF outlines
+ * @returns {Buffer} - Font
+ */
+function sfnt(tables, version = 0x00010000) {
+  const tags = Object.keys(tables).sort();
+  const header = Buffer.alloc(12 + tags.length * 16);
+  header.writeUInt32BE(version, 0);
+  header.writeUInt16BE(tags.length, 4);
+  const searchRange = 16 * 2 ** Math.floor(Math.log2(tags.length));
+  header.writeUInt16BE(searchRange, 6);
+  header.writeUInt16BE(Math.log2(searchRange / 16), 8);
+  header.writeUInt16BE(tags.length * 16 - searchRange, 10);
+
+  const bodies = [];
+  let offset = header.length;
+  tags.forEach((tag, i) => {
+    const data = tables[tag];
+    const record = 12 + i * 16;
+    header.write(tag, record, 'latin1');
+    header.writeUInt32BE(checksum(data), record + 4);
+    header.writeUInt32BE(offset, record + 8);
+    header.writeUInt32BE(data.length, record + 12);
+    const padded = Buffer.concat([data, Buffer.alloc((4 - data.length % 4) % 4)]);
+    bodies.push(padded);
+    offset += padded.length;
+  });
+
+  const font = Buffer.concat([header, ...bodies]);
+  const head = font.indexOf('head', 12, 'latin1');
+  const headOffset = font.readUInt32BE(head + 8);
+  font.writeUInt32BE((0xB1B0AFBA - checksum(font)) >>> 0, headOffset + 8);
+  return font;
+}
+
+/**
+ * Build TrueType font
+ * @param {Object} options - Font description
+ * @param {string} options.family - Family name
+ * @param {string} [options.subfamily] - Subfamily name
+ * @param {number} [options.weight] - Weight class in OS/2
+ * @param {boolean} [options.italic] - Italic bit in OS/2
+ * @param {string} [options.typographicFamily] - Typographic family name (name ID 16)
+ * @param {string} [options.chars] - Characters with glyphs
+ * @param {boolean} [options.os2] - Include OS/2 table
+ * @param {string} [options.outlines] - glyf, cff or cid for CID-keyed CFF
+ * @returns {Buffer} - Font data
+ */
+function makeFont({ family, subfamily = 'Regular', weight = 400, italic = false, typographicFamily, chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz', os2 = true, outlines = 'glyf' }) {
+  const codes = [...new Set([...chars].map(c => c.codePointAt(0)))].filter(c => c < 0xFFFF).sort((a, b) => a - b);
+  const numGlyphs = codes.length + 1;
+
+  const glyphs = [Buffer.alloc(0), ...codes.map(() => squareGlyph())];
+  const loca = Buffer.alloc(numGlyphs * 4 + 4);
+  let offset = 0;
+  glyphs.forEach((g, i) => {
+    loca.writeUInt32BE(offset, i * 4);
+    offset += g.length;
+  });
+  loca.writeUInt32BE(offset, numGlyphs * 4);
+
+  const head = Buffer.alloc(54);
+  head.writeUInt32BE(0x00010000, 0);
+  head.writeUInt32BE(0x00010000, 4);
+  head.writeUInt32BE(0x5F0F3CF5, 12);
+  head.writeUInt16BE(UNITS_PER_EM, 18);
+  head.writeInt16BE(50, 36);
+  head.writeInt16BE(550, 40);
+  head.writeInt16BE(500, 42);
+  head.writeUInt16BE((weight >= 700 ? 1 : 0) | (italic ? 2 : 0), 44);
+  head.writeInt16BE(2, 48);
+  head.writeInt16BE(1, 50);
+
+  const hhea = Buffer.alloc(36);
+  hhea.writeUInt32BE(0x00010000, 0);
+  hhea.writeInt16BE(800, 4);
+  hhea.writeInt16BE(-200, 6);
+  hhea.writeUInt16BE(ADVANCE, 10);
+  hhea.writeInt16BE(50, 12);
+  hhea.writeInt16BE(50, 14);
+  hhea.writeInt16BE(550, 16);
+  hhea.writeInt16BE(1, 18);
+  hhea.writeUInt16BE(numGlyphs, 34);
+
+  // Version 0.5 of CFF fonts has only the number of glyphs
+  const maxp = Buffer.alloc(outlines === 'glyf' ? 32 : 6);
+  maxp.writeUInt32BE(outlines === 'glyf' ? 0x00010000 : 0x00005000, 0);
+  maxp.writeUInt16BE(numGlyphs, 4);
+  if (outlines === 'glyf') {
+    maxp.writeUInt16BE(4, 6);
+    maxp.writeUInt16BE(1, 8);
+    maxp.writeUInt16BE(2, 14);
+  }
+
+  const hmtx = Buffer.alloc(numGlyphs * 4);
+  for (let i = 0; i < numGlyphs; i++) {
+    hmtx.writeUInt16BE(ADVANCE, i * 4);
+    hmtx.writeInt16BE(i === 0 ? 0 : 50, i * 4 + 2);
+  }
+
+  const post = Buffer.alloc(32);
+  post.writeUInt32BE(0x00030000, 0);
+
+  const names = { 1: family, 2: subfamily, 4: `${family} ${subfamily}`, 6: `${family}-${subfamily}`.replace(/\s/g, '') };
+  if (typographicFamily) {
+    names[16] = typographicFamily;
+    names[17] = subfamily;
+  }
+
+  const tables = {
+    head, hhea, maxp, hmtx, post,
+    cmap: cmapTable(codes),
+    name: nameTable(names)
+  };
+  if (outlines === 'glyf') {
+    tables.glyf = Buffer.concat(glyphs);
+    tables.loca = loca;
+  } else {
+    tables['CFF '] = cffTable(names[6], numGlyphs, outlines === 'cid');
+  }
+
+  if (os2) {
+    const table = Buffer.alloc(96);
+    table.writeUInt16BE(4, 0);
+    table.writeInt16BE(ADVANCE, 2);
+    table.writeUInt16BE(weight, 4);
+    table.writeUInt16BE(5, 6);
+    table.writeUInt16BE(italic ? 0x01 : (weight >= 700 ? 0x20 : 0x40), 62);
+    table.writeUInt16BE(codes[0] || 0x20, 64);
+    table.writeUInt16BE(codes[codes.length - 1] || 0x20, 66);
+    tables['OS/2'] = table;
+  }
+
+  return sfnt(tables, outlines === 'glyf' ? 0x00010000 : 0x4F54544F);
+}
+
+/**
+ * Read table records of an sfnt
+ * @param {Buffer} font - TrueType font
+ * @returns {Array<Object>} - Records with tag and data in file order
+ */
+function sfntTables(font) {
+  const records = [];
+  for (let i = 0; i < font.readUInt16BE(4); i++) {
+    const record = 12 + i * 16;
+    const offset = font.readUInt32BE(record + 8);
+    records.push({
+      tag: font.toString('latin1', record, record + 4),
+      checksum: font.readUInt32BE(record + 4),
+      data: font.subarray(offset, offset + font.readUInt32BE(record + 12))
+    });
+  }
+  return records;
+}
+
+/**
+ * Convert TrueType font to WOFF
+ * @param {Buffer} font - TrueType font
+ * @returns {Buffer} - WOFF font
+ */
+function toWoff(font) {
+  const tables = sfntTables(font).map(t => ({ ...t, compressed: zlib.deflateSync(t.data) }));
+  const header = Buffer.alloc(44 + tables.length * 20);
+  header.write('wOFF', 0, 'latin1');
+  header.writeUInt32BE(font.readUInt32BE(0), 4);
+  header.writeUInt16BE(tables.length, 12);
+  header.writeUInt32BE(font.length, 16);
+
+  const bodies = [];
+  let offset = header.length;
+  tables.forEach((t, i) => {
+    const stored = t.compressed.length < t.data.length ? t.compressed : t.data;
+    const entry = 44 + i * 20;
+    header.write(t.tag, entry, 'latin1');
+    header.writeUInt32BE(offset, entry + 4);
+    header.writeUInt32BE(stored.length, entry + 8);
+    header.writeUInt32BE(t.data.length, entry + 12);
+    header.writeUInt32BE(t.checksum, entry + 16);
+    const padded = Buffer.concat([stored, Buffer.alloc((4 - stored.length % 4) % 4)]);
+    bodies.push(padded);
+    offset += padded.length;
+  });
+  header.writeUInt32BE(offset, 8);
+  return Buffer.concat([header, ...bodies]);
+}
+
+/**
+ * Encode number as WOFF2 255UInt16
+ * @param {number} value - Number
+ * @returns {number[]} - Bytes
+ */
+function uint255(value) {
+  if (value < 253) return [value];
+  return [253, value >> 8, value & 0xFF];
+}
+
+/**
+ * Encode relative point as WOFF2 triplet
+ * @param {number} dx - Relative x
+ * @param {number} dy - Relative y
+ * @param {boolean} onCurve - Whether point is on curve
+ * @returns {Object} - Object with flag and data bytes
+ */
+function triplet(dx, dy, onCurve) {
+  const x = Math.abs(dx);
+  const y = Math.abs(dy);
+  const offCurve = onCurve ? 0 : 0x80;
+  const xSign = dx >= 0 ? 1 : 0;
+  const ySign = dy >= 0 ? 1 : 0;
+  const signs = xSign | (ySign << 1);
+
+  if (dx === 0 && y < 1280) return { flag: offCurve | ((y & 0xF00) >> 7) | ySign, data: [y & 0xFF] };
+  if (dy === 0 && x < 1280) return { flag: offCurve | (10 + ((x & 0xF00) >> 7) + xSign), data: [x & 0xFF] };
+  if (x < 65 && y < 65) {
+    return { flag: offCurve | (20 + ((x - 1) & 0x30) + (((y - 1) & 0x30) >> 2) + signs), data: [(((x - 1) & 0x0F) << 4) | ((y - 1) & 0x0F)] };
+  }
+  if (x < 769 && y < 769) {
+    return { flag: offCurve | (84 + 12 * (((x - 1) & 0x300) >> 8) + (((y - 1) & 0x300) >> 6) + signs), data: [(x - 1) & 0xFF, (y - 1) & 0xFF] };
+  }
+  if (x < 4096 && y < 4096) {
+    return { flag: offCurve | (120 + signs), data: [x >> 4, ((x & 0x0F) << 4) | (y >> 8), y & 0xFF] };
+  }
+  return { flag: offCurve | (124 + signs), data: [x >> 8, x & 0xFF, y >> 8, y & 0xFF] };
+}
+
+/**
+ * Read points of a simple glyph
+ * @param {Buffer} glyph - Glyph data
+ * @returns {Object} - Object with end points, instructions and relative points
+ */
+function simpleGlyph(glyph) {
+  const nContours = glyph.readInt16BE(0);
+  const endPoints = [];
+  for (let i = 0; i < nContours; i++) endPoints.push(glyph.readUInt16BE(10 + i * 2));
+  let offset = 10 + nContours * 2;
+  const instructions = glyph.subarray(offset + 2, offset + 2 + glyph.readUInt16BE(offset));
+  offset += 2 + instructions.length;
+
+  const total = nContours > 0 ? endPoints[nContours - 1] + 1 : 0;
+  const flags = [];
+  while (flags.length < total) {
+    const flag = glyph[offset++];
+    flags.push(flag);
+    if (flag & 0x08) {
+      for (let r = glyph[offset++]; r > 0; r--) flags.push(flag);
+    }
+  }
+  const coordinates = (short, same) => flags.map(flag => {
+    if (flag & short) return glyph[offset++] * (flag & same ? 1 : -1);
+    if (flag & same) return 0;
+    offset += 2;
+    return glyph.readInt16BE(offset - 2);
+  });
+  const xs = coordinates(0x02, 0x10);
+  const ys = coordinates(0x04, 0x20);
+  return { endPoints, instructions, points: flags.map((flag, i) => ({ dx: xs[i], dy: ys[i], onCurve: (flag & 1) === 1 })) };
+}
+
+/**
+ * Transform glyf table like WOFF2 encoders do
+ *
+ * The first glyph with outlines gets an explicit bounding box, the others
+ * leave it to be computed from their points.
+ * @param {Map<string, Buffer>} tables - Table data by tag, simple glyphs and long loca only
+ * @returns {Buffer} - Transformed glyf table
+ */
+function transformGlyf(tables) {
+  const numGlyphs = tables.get('maxp').readUInt16BE(4);
+  const loca = tables.get('loca');
+  const glyf = tables.get('glyf');
+  const streams = { nContour: [], nPoints: [], flag: [], glyph: [], composite: [], bbox: [], instruction: [] };
+  const bboxBitmap = Buffer.alloc(((numGlyphs + 31) >> 5) << 2);
+  let explicit = false;
+
+  for (let id = 0; id < numGlyphs; id++) {
+    const glyph = glyf.subarray(loca.readUInt32BE(id * 4), loca.readUInt32BE(id * 4 + 4));
+    if (glyph.length === 0) {
+      streams.nContour.push(0, 0);
+      continue;
+    }
+    const { endPoints, instructions, points } = simpleGlyph(glyph);
+    streams.nContour.push(0, endPoints.length);
+    endPoints.forEach((end, i) => streams.nPoints.push(...uint255(end - (i > 0 ? endPoints[i - 1] : -1))));
+    points.forEach(({ dx, dy, onCurve }) => {
+      const { flag, data } = triplet(dx, dy, onCurve);
+      streams.flag.push(flag);
+      streams.glyph.push(...data);
+    });
+    streams.glyph.push(...uint255(instructions.length));
+    streams.instruction.push(...instructions);
+    if (!explicit) {
+      explicit = true;
+      bboxBitmap[id >> 3] |= 0x80 >> (id & 7);
+      streams.bbox.push(...glyph.subarray(2, 10));
+    }
+  }
+  streams.bbox.unshift(...bboxBitmap);
+
+  const order = ['nContour', 'nPoints', 'flag', 'glyph', 'composite', 'bbox', 'instruction'];
+  const header = Buffer.alloc(8 + order.length * 4);
+  header.writeUInt16BE(numGlyphs, 4);
+  header.writeUInt16BE(1, 6);
+  order.forEach((name, i) => header.writeUInt32BE(streams[name].length, 8 + i * 4));
+  return Buffer.concat([header, ...order.map(name => Buffer.from(streams[name]))]);
+}
+
+/**
+ * Convert font to WOFF2
+ * @param {Buffer} font - TrueType or OpenType font
+ * @param {boolean} [transform] - Transform glyf, loca and hmtx like WOFF2 encoders do by default
+ * @returns {Buffer} - WOFF2 font
+ */
+function toWoff2(font, transform = false) {
+  const known = ['cmap', 'head', 'hhea', 'hmtx', 'maxp', 'name', 'OS/2', 'post', 'cvt ', 'fpgm', 'glyf', 'loca'];
+  const tables = sfntTables(font);
+
+  // loca follows glyf, transformed loca is empty and hmtx keeps only advance widths
+  const transformed = new Map();
+  if (transform) {
+    const byTag = new Map(tables.map(t => [t.tag, t.data]));
+    const hmtx = byTag.get('hmtx');
+    const numberOfHMetrics = byTag.get('hhea').readUInt16BE(34);
+    const advances = Buffer.alloc(numberOfHMetrics * 2);
+    for (let i = 0; i < numberOfHMetrics; i++) advances.writeUInt16BE(hmtx.readUInt16BE(i * 4), i * 2);
+    transformed.set('glyf', transformGlyf(byTag));
+    transformed.set('loca', Buffer.alloc(0));
+    transformed.set('hmtx', Buffer.concat([Buffer.from([0x03]), advances]));
+    const [loca] = tables.splice(tables.findIndex(t => t.tag === 'loca'), 1);
+    tables.splice(tables.findIndex(t => t.tag === 'glyf') + 1, 0, loca);
+  }
+
+  const base128 = value => {
+    const bytes = [value & 0x7F];
+    while ((value = Math.floor(value / 128)) > 0) bytes.unshift(0x80 | (value & 0x7F));
+    return bytes;
+  };
+
+  const directory = [];
+  tables.forEach(t => {
+    const index = known.indexOf(t.tag);
+    // Transform of glyf and loca is version 0, null transform 3, other tables the opposite
+    const glyf = t.tag === 'glyf' || t.tag === 'loca';
+    const version = transformed.has(t.tag) ? (glyf ? 0 : 1) : (glyf ? 3 : 0);
+    directory.push(((index >= 0 ? index : 0x3F) | (version << 6)));
+    if (index < 0) directory.push(...Buffer.from(t.tag, 'latin1'));
+    directory.push(...base128(t.data.length));
+    if (transformed.has(t.tag)) directory.push(...base128(transformed.get(t.tag).length));
+  });
+
+  const compressed = zlib.brotliCompressSync(Buffer.concat(tables.map(t => transformed.get(t.tag) || t.data)));
+  const header = Buffer.alloc(48);
+  header.write('wOF2', 0, 'latin1');
+  header.writeUInt32BE(font.readUInt32BE(0), 4);
+  header.writeUInt16BE(tables.length, 12);
+  header.writeUInt32BE(font.length, 16);
+  header.writeUInt32BE(compressed.length, 20);
+  // Padded to 4 bytes as decoders expect
+  const length = 48 + directory.length + compressed.length;
+  header.writeUInt32BE(Math.ceil(length / 4) * 4, 8);
+  return Buffer.concat([header, Buffer.from(directory), compressed, Buffer.alloc((4 - length % 4) % 4)]);
+}
+
+export { makeFont, toWoff, toWoff2 };
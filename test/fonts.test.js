@@ -0,0 +1,138 @@
+/**
+ * Tests of font loading and @font-face generation
+ */
+
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { makeFont, toWoff, toWoff2 } from './font-builder.js';
+import { fontInfo, loadFonts, mediaType, fontFaceCss, detectFormat, obfuscate, readTables } from '../src/lib/fonts.js';
+
+describe('fontInfo', () => {
+  test('reads TrueType names and style', () => {
+    const info = fontInfo(makeFont({ family: 'Test Serif' }));
+    assert.deepEqual(info, { format: 'ttf', family: 'Test Serif', subfamily: 'Regular', weight: 400, style: 'normal' });
+  });
+
+  test('reads weight and italic from OS/2', () => {
+    const info = fontInfo(makeFont({ family: 'Test Serif', subfamily: 'Bold Italic', weight: 700, italic: true }));
+    assert.deepEqual([info.weight, info.style], [700, 'italic']);
+  });
+
+  test('falls back to subfamily name without OS/2', () => {
+    const info = fontInfo(makeFont({ family: 'Test Serif', subfamily: 'SemiBold', os2: false }));
+    assert.deepEqual([info.weight, info.style], [600, 'normal']);
+  });
+
+  test('prefers typographic family', () => {
+    const info = fontInfo(makeFont({ family: 'Test Serif Light', subfamily: 'Light', weight: 300, typographicFamily: 'Test Serif' }));
+    assert.deepEqual([info.family, info.weight], ['Test Serif', 300]);
+  });
+
+  test('reads WOFF and WOFF2', () => {
+    const ttf = makeFont({ family: 'Test Serif', subfamily: 'Italic', italic: true });
+    assert.deepEqual(fontInfo(toWoff(ttf)), { ...fontInfo(ttf), format: 'woff' });
+    assert.deepEqual(fontInfo(toWoff2(ttf)), { ...fontInfo(ttf), format: 'woff2' });
+  });
+
+  test('reads OpenType with CFF outlines', () => {
+    const otf = makeFont({ family: 'Test Serif', outlines: 'cff' });
+    assert.deepEqual(fontInfo(otf), { ...fontInfo(makeFont({ family: 'Test Serif' })), format: 'otf' });
+  });
+
+  test('restores transformed WOFF2 tables', () => {
+    const ttf = makeFont({ family: 'Test Serif', chars: 'AB' });
+    const tables = readTables(toWoff2(ttf, true));
+    assert.deepEqual(tables.get('hmtx'), readTables(ttf).get('hmtx'));
+    assert.deepEqual(tables.get('loca'), Buffer.from([0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 28, 0, 0, 0, 56]));
+
+    // Square with short x of first point and runs of same y
+    const square = Buffer.from('000100320000022601f400030000332111213201f4fe0c01f4000000', 'hex');
+    assert.deepEqual(tables.get('glyf'), Buffer.concat([square, square]));
+    assert.deepEqual(fontInfo(toWoff2(ttf, true)), { ...fontInfo(ttf), format: 'woff2' });
+  });
+
+  test('rejects other files', () => {
+    assert.equal(detectFormat(Buffer.from('Copyright (c) Test Fonts')), null);
+    assert.throws(() => fontInfo(Buffer.from('Copyright (c) Test Fonts')), /Not a TrueType/);
+  });
+});
+
+describe('loadFonts', () => {
+  let dir;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'fonts-'));
+    await fs.writeFile(path.join(dir, 'TestSerif-Regular.ttf'), makeFont({ family: 'Test Serif' }));
+    await fs.writeFile(path.join(dir, 'TestSerif-Bold.woff'), toWoff(makeFont({ family: 'Test Serif', subfamily: 'Bold', weight: 700 })));
+    await fs.writeFile(path.join(dir, 'Renamed.otf'), makeFont({ family: 'Test Serif' }));
+    await fs.writeFile(path.join(dir, 'Broken.ttf'), 'not a font');
+    await fs.writeFile(path.join(dir, 'OFL.txt'), 'SIL Open Font License');
+    await fs.writeFile(path.join(dir, '.DS_Store'), Buffer.alloc(16));
+    await fs.mkdir(path.join(dir, 'static'));
+  });
+
+  after(async () => {
+    await fs.remove(dir);
+  });
+
+  test('loads fonts sorted by file name', async () => {
+    const fonts = await loadFonts(dir);
+    assert.deepEqual(fonts.map(f => [f.file, f.format, f.weight]), [
+      ['TestSerif-Bold.woff', 'woff', 700],
+      ['TestSerif-Regular.ttf', 'ttf', 400]
+    ]);
+  });
+
+  test('reports skipped files', async () => {
+    const skipped = [];
+    await loadFonts(dir, (file, reason) => skipped.push(file));
+    assert.deepEqual(skipped, ['.DS_Store', 'Broken.ttf', 'OFL.txt', 'Renamed.otf']);
+  });
+});
+
+describe('mediaType', () => {
+  test('uses registered types for EPUB 3 and legacy types for EPUB 2', () => {
+    assert.equal(mediaType({ format: 'ttf' }, true), 'font/ttf');
+    assert.equal(mediaType({ format: 'ttf' }, false), 'application/x-font-ttf');
+    assert.equal(mediaType({ format: 'otf' }, false), 'application/vnd.ms-opentype');
+    assert.equal(mediaType({ format: 'woff' }, true), 'font/woff');
+    assert.equal(mediaType({ format: 'woff2' }, false), 'font/woff2');
+  });
+});
+
+describe('obfuscate', () => {
+  test('XORs first 1040 bytes with SHA-1 of identifier without whitespace', () => {
+    const font = makeFont({ family: 'Test Serif' });
+    const identifier = 'urn:uuid:0b3f1a3c-1d2e-4f5a-8b9c-0d1e2f3a4b5c';
+    const key = crypto.createHash('sha1').update(identifier).digest();
+
+    const obfuscated = obfuscate(font, ` ${identifier}\n`);
+    assert.equal(obfuscated.length, font.length);
+    assert.equal(obfuscated[0], font[0] ^ key[0]);
+    assert.equal(obfuscated[1039], font[1039] ^ key[1039 % 20]);
+    assert.ok(obfuscated.subarray(1040).equals(font.subarray(1040)));
+    assert.equal(detectFormat(obfuscated), null);
+  });
+
+  test('restores font when applied again', () => {
+    const font = makeFont({ family: 'Test Serif' });
+    assert.ok(obfuscate(obfuscate(font, 'book'), 'book').equals(font));
+  });
+});
+
+describe('fontFaceCss', () => {
+  test('generates rules for fonts and selectors', () => {
+    const fonts = [{ file: 'Test Serif.ttf', family: 'Test Serif', weight: 700, style: 'italic' }];
+    const css = fontFaceCss(fonts, { '.red': 'Test Serif' });
+    assert.match(css, /@font-face \{\n {2}font-family: "Test Serif";\n {2}font-weight: 700;\n {2}font-style: italic;\n {2}src: url\("\.\.\/Fonts\/Test%20Serif\.ttf"\);\n\}/);
+    assert.match(css, /\.red \{ font-family: "Test Serif", serif; \}/);
+  });
+
+  test('is empty without fonts', () => {
+    assert.equal(fontFaceCss([]), '');
+  });
+});
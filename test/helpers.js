@@ -0,0 +1,38 @@
+/**
+ * Shared helpers for tests
+ * @module test/helpers
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { init as initOptions } from '../src/lib/options.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Directories with test data
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const GOLDEN_DIR = path.join(__dirname, 'golden');
+
+// Set UPDATE_GOLDEN=1 to rewrite golden files instead of comparing
+const UPDATE_GOLDEN = Boolean(process.env.UPDATE_GOLDEN);
+
+/**
+ * Initialize options as if given on the command line
+ * @param {string[]} args - Command line arguments
+ */
+function setOptions(args) {
+  const argv = process.argv;
+  const log = console.log;
+  process.argv = ['node', 'divinumofficium-epub', '--overwrite', '--quiet', ...args];
+  // Option checking reports date values, keep test output clean
+  console.log = () => {};
+  try {
+    initOptions();
+  } finally {
+    process.argv = argv;
+    console.log = log;
+  }
+}
+
+export { FIXTURES_DIR, GOLDEN_DIR, UPDATE_GOLDEN, setOptions };
@@ -0,0 +1,108 @@
+/**
+ * Golden file tests for the HTML cleaning pipeline
+ *
+ * Each sample officium.pl page is cleaned with given options and the
+ * document after every transform of cleanHtml() is compared with the files
+ * in test/golden/<case>/. Run with UPDATE_GOLDEN=1 to rewrite them after an
+ * intended change and review the diff.
+ */
+
+import { describe, test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import path from 'path';
+import { FIXTURES_DIR, GOLDEN_DIR, UPDATE_GOLDEN, setOptions } from './helpers.js';
+import { CLEAN_STEPS, cleanHtml, cleanString } from '../src/lib/horas.js';
+import { getExpands, clearExpands } from '../src/lib/mylexbor.js';
+
+const CASES = [
+  {
+    name: 'r1960-latin-english',
+    page: 'r1960-latin-english.html',
+    args: ['-r', 'Rubrics 1960 - 1960', '-l', 'English'],
+    lang2: 'English'
+  },
+  {
+    name: 'r1960-latin-english-split',
+    page: 'r1960-latin-english.html',
+    args: ['-r', 'Rubrics 1960 - 1960', '-l', 'English', '-c', path.join(FIXTURES_DIR, 'options', 'split.yaml')],
+    lang2: 'English'
+  },
+  {
+    name: 'r1960-latin-english-nocomments-ascii',
+    page: 'r1960-latin-english.html',
+    args: ['-r', 'Rubrics 1960 - 1960', '-l', 'English', '--nocomments', '--ascii'],
+    lang2: 'English'
+  },
+  {
+    name: 'da-latin-polski',
+    page: 'da-latin-polski.html',
+    args: ['-r', 'Divino Afflatu - 1954', '-l', 'Polski'],
+    lang2: 'Polski'
+  },
+  {
+    name: 'da-latin-polski-noomitted',
+    page: 'da-latin-polski.html',
+    args: ['-r', 'Divino Afflatu - 1954', '-l', 'Polski', '--noomitted'],
+    lang2: 'Polski'
+  },
+  {
+    name: 'monastic-latin',
+    page: 'monastic-latin.html',
+    args: ['-r', 'Monastic - 1963', '-l', 'Latin'],
+    lang2: 'Latin'
+  },
+  {
+    name: 'monastic-latin-epub3',
+    page: 'monastic-latin.html',
+    args: ['-r', 'Monastic - 1963', '-l', 'Latin', '--epub3'],
+    lang2: 'Latin'
+  }
+];
+
+/**
+ * Compare output with golden file, or write it when updating
+ * @param {string} file - Golden file path
+ * @param {string} actual - Actual output
+ */
+function assertGolden(file, actual) {
+  if (UPDATE_GOLDEN) {
+    fs.outputFileSync(file, actual);
+    return;
+  }
+  assert.ok(fs.existsSync(file), `missing ${path.relative(process.cwd(), file)}, run with UPDATE_GOLDEN=1`);
+  assert.equal(actual, fs.readFileSync(file, 'utf8'), `output differs from ${path.relative(process.cwd(), file)}`);
+}
+
+for (const c of CASES) {
+  describe(c.name, () => {
+    const steps = {};
+    let result;
+    let expands;
+
+    before(() => {
+      setOptions(c.args);
+      clearExpands();
+      const html = cleanString(fs.readFileSync(path.join(FIXTURES_DIR, 'officium', c.page), 'utf8'));
+      result = cleanHtml(html, 'Latin', c.lang2, (name, dom) => {
+        steps[name] = dom.dom.serialize();
+      });
+      expands = getExpands();
+    });
+
+    CLEAN_STEPS.forEach(([name], i) => {
+      test(`step ${name}`, () => {
+        const file = path.join(GOLDEN_DIR, c.name, `${String(i + 1).padStart(2, '0')}-${name}.html`);
+        assertGolden(file, steps[name]);
+      });
+    });
+
+    test('result', () => {
+      assertGolden(path.join(GOLDEN_DIR, c.name, 'result.html'), result);
+    });
+
+    test('expands', () => {
+      assertGolden(path.join(GOLDEN_DIR, c.name, 'expands.json'), JSON.stringify(expands, null, 2) + '\n');
+    });
+  });
+}
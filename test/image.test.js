@@ -0,0 +1,79 @@
+/**
+ * Tests of image format and size detection
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import path from 'path';
+import { FIXTURES_DIR } from './helpers.js';
+import { getFilePath } from '../src/lib/assets.js';
+import { probe } from '../src/lib/image.js';
+
+/**
+ * WebP header with given first chunk
+ * @param {string} chunk - Chunk name
+ * @param {number[]} bytes - Chunk payload start
+ * @returns {Buffer} - WebP data
+ */
+function webp(chunk, bytes) {
+  const buffer = Buffer.alloc(40);
+  buffer.write('RIFF', 0, 'latin1');
+  buffer.writeUInt32LE(32, 4);
+  buffer.write('WEBP', 8, 'latin1');
+  buffer.write(chunk, 12, 'latin1');
+  buffer.writeUInt32LE(20, 16);
+  Buffer.from(bytes).copy(buffer, 20);
+  return buffer;
+}
+
+describe('probe', () => {
+  test('detects JPEG', () => {
+    const image = probe(fs.readFileSync(getFilePath('cover.jpg')));
+    assert.deepEqual(image, { format: 'jpeg', extension: 'jpg', mediaType: 'image/jpeg', width: 1690, height: 2710 });
+  });
+
+  test('detects PNG', () => {
+    const image = probe(fs.readFileSync(path.join(FIXTURES_DIR, 'images', 'cover.png')));
+    assert.deepEqual(image, { format: 'png', extension: 'png', mediaType: 'image/png', width: 40, height: 64 });
+  });
+
+  test('detects GIF', () => {
+    const gif = Buffer.from([...Buffer.from('GIF89a'), 0x2C, 0x01, 0x90, 0x01, 0, 0, 0]);
+    assert.deepEqual(probe(gif), { format: 'gif', extension: 'gif', mediaType: 'image/gif', width: 300, height: 400 });
+  });
+
+  test('detects lossy WebP', () => {
+    // Frame tag, start code 9d 01 2a, width 600, height 800
+    const image = probe(webp('VP8 ', [0, 0, 0, 0x9D, 0x01, 0x2A, 0x58, 0x02, 0x20, 0x03]));
+    assert.deepEqual([image.mediaType, image.width, image.height], ['image/webp', 600, 800]);
+  });
+
+  test('detects lossless WebP', () => {
+    // Signature 2f, 14 bits width - 1 = 599, 14 bits height - 1 = 799
+    const bits = 599 | (799 << 14);
+    const image = probe(webp('VP8L', [0x2F, bits & 0xFF, (bits >> 8) & 0xFF, (bits >> 16) & 0xFF, (bits >> 24) & 0xFF]));
+    assert.deepEqual([image.width, image.height], [600, 800]);
+  });
+
+  test('detects extended WebP', () => {
+    // Flags and reserved, 24 bit width - 1 = 599, height - 1 = 799
+    const image = probe(webp('VP8X', [0x10, 0, 0, 0, 0x57, 0x02, 0, 0x1F, 0x03, 0]));
+    assert.deepEqual([image.width, image.height], [600, 800]);
+  });
+
+  test('detects SVG size from viewBox', () => {
+    const svg = Buffer.from('<?xml version="1.0"?>\n<!-- cover -->\n<svg xmlns="http://www.w3.org/2000/svg" width="100%" viewBox="0 0 600 962"></svg>');
+    assert.deepEqual(probe(svg), { format: 'svg', extension: 'svg', mediaType: 'image/svg+xml', width: 600, height: 962 });
+  });
+
+  test('detects SVG size from width and height', () => {
+    const svg = Buffer.from('<svg xmlns="http://www.w3.org/2000/svg" width="120px" height="200"/>');
+    assert.deepEqual([probe(svg).width, probe(svg).height], [120, 200]);
+  });
+
+  test('rejects other formats', () => {
+    assert.throws(() => probe(Buffer.from('BM not a bitmap really')), /Unsupported image format/);
+    assert.throws(() => probe(Buffer.from('<html><body/></html>')), /Unsupported image format/);
+  });
+});
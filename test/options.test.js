@@ -0,0 +1,89 @@
+/**
+ * Tests of command line option checks
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import util from 'util';
+import path from 'path';
+import { FIXTURES_DIR, setOptions } from './helpers.js';
+import { getOpt } from '../src/lib/options.js';
+
+const execFilePromise = util.promisify(execFile);
+
+const MAIN = path.resolve(FIXTURES_DIR, '..', '..', 'src', 'main.js');
+
+/**
+ * Run the command expecting it to abort
+ * @param {string[]} args - Command line arguments
+ * @returns {Promise<string>} - Error output
+ */
+async function aborted(args) {
+  try {
+    await execFilePromise(process.execPath, [MAIN, '--overwrite', ...args]);
+  } catch (err) {
+    assert.equal(err.code, 1);
+    return err.stderr;
+  }
+  assert.fail(`${args.join(' ')} did not abort`);
+}
+
+/**
+ * Format date as YYYY-MM-DD
+ * @param {Date} date - Date
+ * @returns {string} - Formatted date
+ */
+function iso(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+describe('date options', () => {
+  test('accept ISO dates and liturgical expressions', () => {
+    setOptions(['--datefrom', '2026-02-18', '--dateto', 'easter+49']);
+    assert.deepEqual([iso(getOpt('datefrom')), iso(getOpt('dateto'))], ['2026-02-18', '2026-05-24']);
+  });
+
+  test('end range with liturgical period of start date', () => {
+    setOptions(['--datefrom', 'advent 2025']);
+    assert.deepEqual([iso(getOpt('datefrom')), iso(getOpt('dateto'))], ['2025-11-30', '2025-12-24']);
+
+    setOptions(['--datefrom', 'advent 2025', '--dateto', '12-07-2025']);
+    assert.deepEqual([iso(getOpt('datefrom')), iso(getOpt('dateto'))], ['2025-11-30', '2025-12-07']);
+  });
+
+  test('take period of --season', () => {
+    setOptions(['--season', 'holy-week 2026']);
+    assert.deepEqual([iso(getOpt('datefrom')), iso(getOpt('dateto'))], ['2026-03-29', '2026-04-04']);
+  });
+
+  test('reject --season with other dates', async () => {
+    const message = /^Option --season can not be used with --datefrom, --dateto or --numofdays/;
+    assert.match(await aborted(['--season', 'lent 2026', '--datefrom', '03-01-2026']), message);
+    assert.match(await aborted(['--season', 'lent 2026', '--dateto', '03-01-2026']), message);
+    assert.match(await aborted(['--season', 'lent 2026', '-n', '7']), message);
+  });
+});
+
+describe('votive options', () => {
+  test('accept --martyrology with abbreviated votive Hodie', () => {
+    setOptions(['--martyrology', '-e', 'Hod']);
+    assert.equal(getOpt('votive'), 'Hodie');
+    assert.equal(getOpt('martyrology'), true);
+  });
+
+  test('reject --martyrology with other votive', async () => {
+    assert.match(await aborted(['--martyrology', '-e', 'defunctorum']), /^Option --martyrology needs votive Hodie/);
+  });
+});
+
+describe('config file', () => {
+  test('accept numbers for numeric options', () => {
+    setOptions(['-c', path.join(FIXTURES_DIR, 'options', 'numbers.yaml')]);
+    assert.equal(getOpt('jobs'), '2');
+    assert.equal(getOpt('delay'), '250');
+    assert.equal(getOpt('timeout'), '30');
+    assert.equal(getOpt('retries'), '5');
+    assert.equal(getOpt('cachettl'), '0.5');
+  });
+});
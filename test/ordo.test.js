@@ -0,0 +1,81 @@
+/**
+ * Tests of the Ordo entries of days
+ */
+
+import { describe, test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import { setOptions } from './helpers.js';
+import { rankOf, colourOf, parseHeadline, ordoEntry } from '../src/lib/ordo.js';
+
+/**
+ * Make headline paragraph as in a cleaned page
+ * @param {string} html - Inner markup of the paragraph
+ * @returns {Element} - Paragraph
+ */
+function paragraph(html) {
+  return new JSDOM(`<p class="center">${html}</p>`).window.document.querySelector('p');
+}
+
+describe('rankOf', () => {
+  before(() => setOptions([]));
+
+  test('classes rank with tables of horas.dialog', () => {
+    assert.deepEqual(rankOf('Duplex majus', 'S. Hilarii Episcopi'), { class: 4, name: 'Duplex majus' });
+    assert.deepEqual(rankOf('Duplex II. classis', 'S. Joseph'), { class: 5, name: 'Duplex II Classis' });
+  });
+
+  test('looks up offices of the Proper of Time in [Rank Tempora] first', () => {
+    assert.deepEqual(rankOf('Dominica ordinaria', 'Dominica II post Epiphaniam'), { class: 4, name: 'Dominica ordinaria' });
+    assert.deepEqual(rankOf('I class', 'Dominica Resurrectionis'), { class: 6, name: 'I class (Dominica, Feria, Feast)' });
+  });
+
+  test('keeps unknown rank as printed', () => {
+    assert.deepEqual(rankOf('Feria IV', 'Feria Quarta'), { class: null, name: 'Feria IV' });
+  });
+});
+
+describe('colourOf', () => {
+  test('gives colour of feasts by title', () => {
+    assert.equal(colourOf(new Date(2025, 0, 21), 'S. Agnetis Virginis et Martyris'), 'red');
+    assert.equal(colourOf(new Date(2025, 0, 25), 'In Conversione S. Pauli Apostoli'), 'white');
+    assert.equal(colourOf(new Date(2025, 5, 8), 'Dominica Pentecostes'), 'red');
+    assert.equal(colourOf(new Date(2025, 10, 2), 'In Commemoratione Omnium Fidelium Defunctorum'), 'black');
+  });
+
+  test('gives colour of ferias and Sundays by season', () => {
+    assert.equal(colourOf(new Date(2025, 0, 19), 'Dominica II post Epiphaniam'), 'green');
+    assert.equal(colourOf(new Date(2025, 2, 11), 'Feria Tertia infra Hebdomadam I in Quadragesima'), 'violet');
+    assert.equal(colourOf(new Date(2025, 5, 22), 'Dominica II post Pentecosten'), 'green');
+  });
+});
+
+describe('parseHeadline', () => {
+  test('reads rank and commemorations', () => {
+    const p = paragraph('<span class="red">S. Hilarii Episcopi<br /><i>Duplex</i></span><br />Commemoratio S. Felicis Presbyteri<br />');
+    assert.deepEqual(parseHeadline(p), { rank: 'Duplex', commemorations: ['S. Felicis Presbyteri'] });
+  });
+
+  test('has no rank without second line', () => {
+    assert.deepEqual(parseHeadline(paragraph('Officium Defunctorum')), { rank: '', commemorations: [] });
+  });
+});
+
+describe('ordoEntry', () => {
+  before(() => setOptions([]));
+
+  test('makes entry of a day', () => {
+    const entry = ordoEntry('01-19-2025', 'Dominica II post Epiphaniam', { rank: 'Dominica ordinaria', commemorations: [] });
+    assert.deepEqual(entry, {
+      title: 'Dominica II post Epiphaniam',
+      rank: { class: 4, name: 'Dominica ordinaria' },
+      colour: 'green',
+      commemorations: [],
+      week: 'Hebdomada II post Epiphaniam'
+    });
+  });
+
+  test('makes entry without headline of an older work directory', () => {
+    assert.deepEqual(ordoEntry('01-07-2025', 'Feria Tertia').rank, { class: null, name: '' });
+  });
+});
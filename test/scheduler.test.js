@@ -0,0 +1,82 @@
+/**
+ * Tests of limiting concurrent requests
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setOptions } from './helpers.js';
+import { run } from '../src/lib/scheduler.js';
+
+const SOURCE = 'https://www.divinumofficium.com/cgi-bin/horas/officium.pl';
+
+/**
+ * Wait some time
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+describe('run', () => {
+  test('never runs more than --jobs tasks at once', async () => {
+    setOptions(['--jobs', '3']);
+    let running = 0;
+    let most = 0;
+    const task = async () => {
+      running++;
+      most = Math.max(most, running);
+      await sleep(10);
+      running--;
+    };
+
+    await Promise.all(Array.from({ length: 10 }, () => run(SOURCE, task)));
+    assert.equal(most, 3);
+    assert.equal(running, 0);
+  });
+
+  test('gives results in submission order and starts tasks first in first out', async () => {
+    setOptions(['--jobs', '2']);
+    const started = [];
+    const durations = [30, 5, 20, 1, 10];
+
+    const results = await Promise.all(durations.map((ms, i) => run(SOURCE, async () => {
+      started.push(i);
+      await sleep(ms);
+      return `day ${i}`;
+    })));
+
+    assert.deepEqual(results, ['day 0', 'day 1', 'day 2', 'day 3', 'day 4']);
+    assert.deepEqual(started, [0, 1, 2, 3, 4]);
+  });
+
+  test('passes failure of a task to its caller only', async () => {
+    setOptions(['--jobs', '1']);
+    const failing = run(SOURCE, async () => { throw new Error('HTTP 503'); });
+    const next = run(SOURCE, async () => 'ok');
+
+    await assert.rejects(failing, /HTTP 503/);
+    assert.equal(await next, 'ok');
+  });
+
+  test('waits --delay between requests to the same host', async () => {
+    setOptions(['--jobs', '4', '--delay', '50']);
+    const starts = {};
+    const task = (name) => async () => {
+      starts[name] = Date.now();
+    };
+
+    const begin = Date.now();
+    await Promise.all([
+      run(SOURCE, task('a')),
+      run(SOURCE, task('b')),
+      run(SOURCE, task('c')),
+      run('http://localhost:8080/cgi-bin/horas/officium.pl', task('other'))
+    ]);
+
+    // Timers may fire a little early, allow for rounding
+    assert.ok(starts.b - starts.a >= 45, `${starts.b - starts.a} ms between requests`);
+    assert.ok(starts.c - starts.b >= 45, `${starts.c - starts.b} ms between requests`);
+    assert.ok(starts.other - begin < 45, 'other host waited');
+  });
+});
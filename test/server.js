@@ -0,0 +1,160 @@
+/**
+ * Stand-in for divinumofficium.com used by integration tests
+ *
+ * Serves /cgi-bin/horas/officium.pl, /cgi-bin/horas/popup.pl and
+ * /cgi-bin/missa/missa.pl. A response recorded with --record in the fixtures
+ * directory is used when the query matches, otherwise the page file given
+ * for the script. Faults can be injected to test error handling of the
+ * fetch layer.
+ *
+ * Can also be started by hand: node test/server.js [fixtures-dir] [port]
+ * Without fixtures every date gets the sample pages.
+ * @module test/server
+ */
+
+import http from 'http';
+import path from 'path';
+import fs from 'fs-extra';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { fixturePath } from '../src/lib/sources.js';
+
+const SCRIPT_PATH = /^\/cgi-bin\/(?:horas\/(officium\.pl|popup\.pl)|missa\/(missa\.pl))$/;
+
+/**
+ * Find body for a request
+ * @param {Object} config - Server configuration
+ * @param {string} script - Script name
+ * @param {string} query - Raw query string
+ * @returns {Promise<string|null>} - Page body or null if not found
+ */
+async function findPage(config, script, query) {
+  if (config.fixtures) {
+    try {
+      const fixture = await fs.readJson(fixturePath(config.fixtures, script, query));
+      return fixture.body;
+    } catch (e) {
+      // Not recorded, try default page
+    }
+  }
+
+  if (config.pages && config.pages[script]) {
+    const page = config.pages[script];
+    return await fs.readFile(typeof page === 'function' ? page(query) : page, 'utf8');
+  }
+
+  return null;
+}
+
+/**
+ * Take first fault matching a request
+ * @param {Object[]} faults - Fault rules
+ * @param {string} script - Script name
+ * @param {string} query - Raw query string
+ * @returns {Object|null} - Fault rule or null
+ */
+function takeFault(faults, script, query) {
+  const fault = faults.find(f =>
+    (f.times === undefined || f.times > 0) &&
+    (!f.script || f.script === script) &&
+    (!f.match || f.match.test(query)));
+
+  if (fault && fault.times !== undefined) {
+    fault.times--;
+  }
+  return fault || null;
+}
+
+/**
+ * Start the stand-in server
+ * @param {Object} config - Server configuration
+ * @param {string} [config.fixtures] - Directory with recorded fixtures
+ * @param {Object} [config.pages] - Default page files by script name, or
+ *   functions giving the file for a query
+ * @param {Object[]} [config.faults] - Faults with type 'error', 'slow' or 'truncate',
+ *   optional script, match (RegExp on query), times, status and delay
+ * @param {number} [config.port] - Port, random if not given
+ * @returns {Promise<Object>} - Object with url, requests log and close method
+ */
+async function startServer(config = {}) {
+  const faults = config.faults || [];
+  const requests = [];
+
+  const server = http.createServer(async (req, res) => {
+    const [pathname, query = ''] = req.url.split(/\?(.*)/s);
+    const match = pathname.match(SCRIPT_PATH);
+    if (!match) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not found');
+      return;
+    }
+
+    const script = match[1] || match[2];
+    requests.push({ script, query });
+
+    const fault = takeFault(faults, script, query);
+    if (fault && fault.type === 'error') {
+      res.writeHead(fault.status || 500, { 'Content-Type': 'text/html' });
+      res.end('<HTML><BODY><H1>Internal Server Error</H1></BODY></HTML>');
+      return;
+    }
+    if (fault && fault.type === 'slow') {
+      await new Promise(resolve => setTimeout(resolve, fault.delay || 2000));
+      if (res.destroyed) return;
+    }
+
+    let body = await findPage(config, script, query);
+    if (body === null) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end(`No page for ${script}?${query}`);
+      return;
+    }
+
+    if (fault && fault.type === 'truncate') {
+      // Cut before the first hour heading, as a dropped connection would
+      const h2 = body.search(/<h2/i);
+      body = body.substring(0, h2 > 0 ? h2 : Math.floor(body.length / 2));
+    }
+
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(body);
+  });
+
+  await new Promise(resolve => server.listen(config.port || 0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close() {
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+// Run standalone
+if (process.argv[1] && import.meta.url === pathToFileURL(path.resolve(process.argv[1])).href) {
+  const __dirname = path.dirname(fileURLToPath(import.meta.url));
+  const officium = path.join(__dirname, 'fixtures', 'officium');
+
+  // Fixture directory is optional, a number alone is the port
+  const args = process.argv.slice(2);
+  const port = /^\d+$/.test(args[args.length - 1] || '') ? Number(args.pop()) : 8080;
+  const fixtures = args[0];
+  if (fixtures && !fs.existsSync(fixtures)) {
+    console.error(`Fixture directory ${fixtures} does not exist, record one with --record`);
+    process.exit(1);
+  }
+
+  const server = await startServer({
+    fixtures,
+    pages: {
+      'officium.pl': path.join(officium, 'r1960-latin-english.html'),
+      'popup.pl': path.join(__dirname, 'fixtures', 'popup', 'pater-noster.html'),
+      'missa.pl': path.join(__dirname, 'fixtures', 'missa', 'r1960-latin-english.html')
+    },
+    port
+  });
+  console.log(`Serving on ${server.url}`);
+}
+
+export { startServer };
@@ -0,0 +1,150 @@
+/**
+ * Tests of the source backends
+ */
+
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import util from 'util';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { FIXTURES_DIR, setOptions } from './helpers.js';
+import { getOpt } from '../src/lib/options.js';
+import { get, has, cacheable, recordFixture } from '../src/lib/sources.js';
+import { write as writeCache } from '../src/lib/cache.js';
+
+const execFilePromise = util.promisify(execFile);
+
+const MAIN = path.resolve(FIXTURES_DIR, '..', '..', 'src', 'main.js');
+
+// Stand-in for officium.pl run by node instead of perl, prints what it got
+const STUB_SCRIPT = `
+if (/fail/.test(process.env.QUERY_STRING)) {
+  process.stderr.write('Died at officium.pl line 1.');
+  process.exit(2);
+}
+const env = Object.fromEntries(Object.entries(process.env).filter(([name]) => !/^(PATH|PWD|SHLVL|_)$/.test(name)));
+process.stdout.write('Content-Type: text/html; charset=utf-8\\r\\n\\r\\n');
+process.stdout.write('<html><body><pre>' + JSON.stringify({ cwd: process.cwd(), env }) + '</pre></body></html>');
+`;
+
+describe('CGI backend', () => {
+  let tmp;
+  let script;
+
+  before(async () => {
+    tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'do-epub-test-'));
+    script = path.join(tmp, 'web', 'cgi-bin', 'horas', 'officium.pl');
+    await fs.outputFile(script, STUB_SCRIPT);
+    setOptions(['--perl', process.execPath, '--cgienv', 'HTTP_HOST=example.org,COOKIE=a=b']);
+  });
+
+  after(async () => {
+    await fs.remove(tmp);
+  });
+
+  test('runs script with query and environment of a web server', async () => {
+    const body = await get(`file://${script}`, 'date=01-06-2025&command=prayLaudes');
+    assert.match(body, /^<html><body><pre>/);
+
+    const { cwd, env } = JSON.parse(body.match(/<pre>(.*)<\/pre>/)[1]);
+    assert.equal(await fs.realpath(cwd), await fs.realpath(path.dirname(script)));
+    assert.deepEqual(env, {
+      GATEWAY_INTERFACE: 'CGI/1.1',
+      REQUEST_METHOD: 'GET',
+      QUERY_STRING: 'date=01-06-2025&command=prayLaudes',
+      SCRIPT_NAME: '/cgi-bin/horas/officium.pl',
+      SERVER_NAME: 'localhost',
+      SERVER_PROTOCOL: 'HTTP/1.1',
+      HTTP_HOST: 'example.org',
+      COOKIE: 'a=b'
+    });
+  });
+
+  test('reports non-zero exit as error', async () => {
+    await assert.rejects(get(`file://${script}`, 'date=fail'), err => {
+      assert.equal(err.code, 2);
+      assert.match(err.message, /Died at officium.pl line 1\./);
+      assert.notEqual(err.retryable, false);
+      return true;
+    });
+  });
+
+  test('does not retry missing script', async () => {
+    await assert.rejects(get(`file://${path.join(tmp, 'missing', 'officium.pl')}`, 'date=01-06-2025'), err => {
+      assert.equal(err.retryable, false);
+      return true;
+    });
+  });
+});
+
+describe('backend selection', () => {
+  let tmp;
+
+  before(async () => {
+    tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'do-epub-test-'));
+  });
+
+  after(async () => {
+    await fs.remove(tmp);
+  });
+
+  test('serves cache:// from cache directory regardless of age', async () => {
+    const dir = path.join(tmp, 'cache');
+    setOptions(['--cachedir', dir, '--cachettl', '0']);
+    await writeCache('https://www.divinumofficium.com/cgi-bin/horas/officium.pl', 'date=01-06-2025', '<html>cached</html>');
+
+    const source = `cache://${dir}/officium.pl`;
+    assert.equal(await get(source, 'date=01-06-2025'), '<html>cached</html>');
+    assert.equal(cacheable(source), false);
+    await assert.rejects(get(source, 'date=01-07-2025'), err => {
+      assert.match(err.message, /^No cached response for officium.pl\?date=01-07-2025/);
+      assert.equal(err.retryable, false);
+      return true;
+    });
+  });
+
+  test('serves fixture:// from recorded fixtures', async () => {
+    const dir = path.join(tmp, 'fixtures');
+    await recordFixture(dir, 'https://www.divinumofficium.com/cgi-bin/horas/popup.pl', 'popup=Pater', '<html>Pater noster</html>');
+
+    const source = `fixture://${dir}/popup.pl`;
+    assert.equal(await get(source, 'popup=Pater'), '<html>Pater noster</html>');
+    assert.equal(cacheable(source), false);
+    await assert.rejects(get(source, 'popup=Ave'), /^Error: No fixture for popup.pl\?popup=Ave/);
+  });
+
+  test('takes cache:// and fixture:// directories as source', async () => {
+    await fs.ensureDir(path.join(tmp, 'cache'));
+    await fs.ensureDir(path.join(tmp, 'fixtures'));
+    setOptions(['-p', `cache://${tmp}/cache`]);
+    assert.equal(getOpt('source'), `cache://${tmp}/cache/`);
+
+    setOptions(['--replay', path.join(tmp, 'fixtures')]);
+    assert.equal(getOpt('source'), `fixture://${tmp}/fixtures/`);
+  });
+
+  test('caches web and local sources', () => {
+    assert.equal(cacheable('https://www.divinumofficium.com/cgi-bin/horas/officium.pl'), true);
+    assert.equal(cacheable('HTTP://localhost/cgi-bin/horas/officium.pl'), true);
+    assert.equal(cacheable('file:///srv/divinum-officium/web/cgi-bin/horas/officium.pl'), true);
+  });
+
+  test('rejects unknown scheme', async () => {
+    assert.equal(has('gopher'), false);
+    assert.throws(() => cacheable('gopher://example.org/officium.pl'), /No source backend for gopher:/);
+    await assert.rejects(get('gopher://example.org/officium.pl', 'date=01-06-2025'), err => {
+      assert.equal(err.message, 'No source backend for gopher://example.org/officium.pl');
+      assert.equal(err.retryable, false);
+      return true;
+    });
+    await assert.rejects(get('/no/scheme/officium.pl', ''), /No source backend/);
+
+    await assert.rejects(execFilePromise(process.execPath, [MAIN, '-p', 'gopher://example.org', '-o', path.join(tmp, 'gopher.epub')]), err => {
+      assert.equal(err.code, 1);
+      assert.match(err.stderr, /^Unknown source scheme gopher:\/\//);
+      return true;
+    });
+  });
+});
@@ -0,0 +1,208 @@
+/**
+ * Tests of font subsetting
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { makeFont, toWoff, toWoff2 } from './font-builder.js';
+import { fontInfo, readTables } from '../src/lib/fonts.js';
+import { subsetFont, collectChars } from '../src/lib/subset.js';
+
+const CHARS = 'ABCDEFabcdefgh ℣℟✠†ǽáéíóú';
+
+/**
+ * Sum of big endian 32 bit words
+ * @param {Buffer} data - Data with length padded to 4
+ * @returns {number} - Checksum
+ */
+function checksum(data) {
+  let sum = 0;
+  for (let i = 0; i < data.length; i += 4) {
+    sum = (sum + data.readUInt32BE(i)) >>> 0;
+  }
+  return sum;
+}
+
+/**
+ * Check table and whole font checksums of an sfnt
+ * @param {Buffer} font - TrueType font
+ */
+function assertChecksums(font) {
+  assert.equal(checksum(font), 0xB1B0AFBA);
+  for (let i = 0; i < font.readUInt16BE(4); i++) {
+    const record = 12 + i * 16;
+    const tag = font.toString('latin1', record, record + 4);
+    const offset = font.readUInt32BE(record + 8);
+    const data = Buffer.from(font.subarray(offset, offset + Math.ceil(font.readUInt32BE(record + 12) / 4) * 4));
+    if (tag === 'head') data.writeUInt32BE(0, 8);
+    assert.equal(checksum(data), font.readUInt32BE(record + 4), `checksum of ${tag}`);
+  }
+}
+
+/**
+ * Get glyph data lengths of a font
+ * @param {Buffer} font - Font data
+ * @returns {number[]} - Length of every glyph
+ */
+function glyphLengths(font) {
+  const tables = readTables(font);
+  const loca = tables.get('loca');
+  const lengths = [];
+  for (let i = 0; i < loca.length / 4 - 1; i++) {
+    lengths.push(loca.readUInt32BE(i * 4 + 4) - loca.readUInt32BE(i * 4));
+  }
+  return lengths;
+}
+
+/**
+ * Read INDEX of CFF table
+ * @param {Buffer} cff - CFF table
+ * @param {number} offset - Offset of INDEX
+ * @returns {Object} - Object with end offset and items
+ */
+function cffIndex(cff, offset) {
+  const count = cff.readUInt16BE(offset);
+  if (count === 0) return { end: offset + 2, items: [] };
+  const offSize = cff[offset + 2];
+  const base = offset + 2 + (count + 1) * offSize;
+  const items = [];
+  for (let i = 0; i <= count; i++) {
+    items.push(base + cff.readUIntBE(offset + 3 + i * offSize, offSize));
+  }
+  return { end: items[count], items: items.slice(0, -1).map((start, i) => cff.subarray(start, items[i + 1])) };
+}
+
+/**
+ * Read CFF DICT written with 32 bit integers only
+ * @param {Buffer} dict - DICT data
+ * @returns {Map<number, number[]>} - Operands by operator, escaped ones as 1200 + second byte
+ */
+function cffDict(dict) {
+  const entries = new Map();
+  let operands = [];
+  for (let i = 0; i < dict.length;) {
+    if (dict[i] === 29) {
+      operands.push(dict.readInt32BE(i + 1));
+      i += 5;
+    } else {
+      entries.set(dict[i] === 12 ? 1200 + dict[i + 1] : dict[i], operands);
+      operands = [];
+      i += dict[i] === 12 ? 2 : 1;
+    }
+  }
+  return entries;
+}
+
+/**
+ * Get parts of the CFF table of a font
+ * @param {Buffer} font - OpenType font
+ * @returns {Object} - Charstrings and data of charset, FDSelect and Private DICT with Subrs
+ */
+function cffParts(font) {
+  const cff = readTables(font).get('CFF ');
+  const top = cffDict(cffIndex(cff, cffIndex(cff, cff[2]).end).items[0]);
+  const charStrings = cffIndex(cff, top.get(17)[0]).items;
+  const [size, offset] = top.has(1236) ? cffDict(cffIndex(cff, top.get(1236)[0]).items[0]).get(18) : top.get(18);
+  const subrs = offset + cffDict(cff.subarray(offset, offset + size)).get(19)[0];
+  return {
+    charStrings,
+    charset: cff.subarray(top.get(15)[0], top.get(15)[0] + 1 + (charStrings.length - 1) * 2),
+    fdSelect: top.has(1237) ? cff.subarray(top.get(1237)[0], top.get(1237)[0] + 8) : null,
+    private: cff.subarray(offset, cffIndex(cff, subrs).end)
+  };
+}
+
+describe('subsetFont', () => {
+  test('keeps glyphs of used characters', () => {
+    const font = makeFont({ family: 'Test Serif', chars: CHARS });
+    const subset = subsetFont(font, new Set('Ab℟'));
+
+    assert.ok(subset.data.length < font.length);
+    assert.deepEqual([subset.glyphs, subset.total], [4, 26]);
+    assertChecksums(subset.data);
+
+    // Glyph IDs stay, only glyphs of A, b and ℟ have outlines
+    const sorted = [...new Set(CHARS)].sort();
+    const lengths = glyphLengths(subset.data);
+    assert.equal(lengths.length, 26);
+    assert.deepEqual(lengths.map((l, i) => l > 0 ? sorted[i - 1] : null).filter(c => c), ['A', 'b', '℟']);
+  });
+
+  test('keeps names and style', () => {
+    const font = makeFont({ family: 'Test Serif', subfamily: 'Bold', weight: 700, chars: CHARS });
+    assert.deepEqual(fontInfo(subsetFont(font, ['a']).data), fontInfo(font));
+  });
+
+  test('maps only kept characters', () => {
+    const font = makeFont({ family: 'Test Serif', chars: CHARS });
+    const subset = subsetFont(font, 'aǽ✠z');
+    const cmap = readTables(subset.data).get('cmap');
+    // Format 4 subtable with segments of a, ǽ, ✠ and the final one
+    assert.equal(cmap.readUInt16BE(cmap.readUInt32BE(8) + 6), 4 * 2);
+  });
+
+  test('keeps WOFF format', () => {
+    const font = toWoff(makeFont({ family: 'Test Serif', chars: CHARS }));
+    const subset = subsetFont(font, 'abc');
+    assert.equal(subset.data.toString('latin1', 0, 4), 'wOFF');
+    assert.equal(fontInfo(subset.data).family, 'Test Serif');
+    assert.equal(subset.glyphs, 4);
+  });
+
+  test('keeps WOFF2 format with transformed tables', () => {
+    const font = toWoff2(makeFont({ family: 'Test Serif', chars: CHARS }), true);
+    const subset = subsetFont(font, 'abc');
+    assert.equal(subset.data.toString('latin1', 0, 4), 'wOF2');
+    assert.equal(subset.data.length % 4, 0);
+    assert.deepEqual(fontInfo(subset.data), fontInfo(font));
+    assert.equal(subset.glyphs, 4);
+    assert.deepEqual(glyphLengths(subset.data).filter(l => l > 0).length, 3);
+  });
+
+  for (const outlines of ['cff', 'cid']) {
+    test(`empties charstrings of ${outlines === 'cid' ? 'CID-keyed ' : ''}CFF outlines`, () => {
+      const font = makeFont({ family: 'Test Serif', chars: CHARS, outlines });
+      const subset = subsetFont(font, new Set('Ab℟'));
+
+      assert.equal(subset.data.toString('latin1', 0, 4), 'OTTO');
+      assert.ok(subset.data.length < font.length);
+      assert.deepEqual([subset.glyphs, subset.total], [4, 26]);
+      assertChecksums(subset.data);
+      assert.deepEqual(fontInfo(subset.data), fontInfo(font));
+
+      // Glyph IDs stay, other glyphs are endchar only
+      const before = cffParts(font);
+      const after = cffParts(subset.data);
+      const sorted = [...new Set(CHARS)].sort();
+      assert.equal(after.charStrings.length, 26);
+      assert.deepEqual(after.charStrings.map((c, i) => c.length > 1 ? sorted[i - 1] : null).filter(c => c), ['A', 'b', '℟']);
+      const a = sorted.indexOf('A') + 1;
+      assert.deepEqual(after.charStrings[a], before.charStrings[a]);
+
+      // Structures after the removed CharStrings are found at their new offsets
+      assert.deepEqual([after.charset, after.fdSelect, after.private], [before.charset, before.fdSelect, before.private]);
+    });
+  }
+
+  test('keeps WOFF format of CFF outlines', () => {
+    const subset = subsetFont(toWoff(makeFont({ family: 'Test Serif', chars: CHARS, outlines: 'cff' })), 'abc');
+    assert.equal(subset.data.toString('latin1', 0, 4), 'wOFF');
+    assert.equal(subset.data.readUInt32BE(4), 0x4F54544F);
+    assert.equal(subset.glyphs, 4);
+  });
+
+  test('rejects fonts it can not subset', () => {
+    // Variable font outlines
+    const font = makeFont({ family: 'Test Serif', outlines: 'cff' });
+    font.write('CFF2', font.indexOf('CFF ', 12, 'latin1'), 'latin1');
+    assert.throws(() => subsetFont(font, 'a'), /CFF2 outlines are not subset/);
+  });
+});
+
+describe('collectChars', () => {
+  test('collects text without markup and head', () => {
+    const chars = new Set();
+    collectChars(chars, '<html><head><title>Zz</title></head><body><p class="red">℟. A&amp;B&#x2720;&#8224;</p></body></html>');
+    assert.deepEqual([...chars].sort(), [' ', '&', '.', 'A', 'B', '†', '℟', '✠'].sort());
+  });
+});
@@ -0,0 +1,267 @@
+/**
+ * Tests of the EPUB structural validator on small hand made archives
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import util from 'util';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import archiver from 'archiver';
+import { FIXTURES_DIR } from './helpers.js';
+import { validate } from '../src/lib/validate.js';
+
+const execFilePromise = util.promisify(execFile);
+
+const MAIN = path.resolve(FIXTURES_DIR, '..', '..', 'src', 'main.js');
+
+const CONTAINER = `<?xml version="1.0"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+  </rootfiles>
+</container>`;
+
+/**
+ * Package document with given manifest items and spine idrefs
+ * @param {string} items - Manifest item elements
+ * @param {string[]} spine - Spine idrefs
+ * @returns {string} - content.opf
+ */
+function opf(items, spine) {
+  return `<?xml version="1.0"?>
+<package xmlns="http://www.idpf.org/2007/opf" unique-identifier="bookid" version="2.0">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <dc:identifier id="bookid">test</dc:identifier>
+    <dc:title>Test</dc:title>
+    <dc:language>la</dc:language>
+  </metadata>
+  <manifest>
+    <item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>
+    ${items}
+  </manifest>
+  <spine toc="ncx">${spine.map(id => `<itemref idref="${id}"/>`).join('')}</spine>
+</package>`;
+}
+
+/**
+ * NCX pointing to given sources
+ * @param {string[]} srcs - Content sources
+ * @returns {string} - toc.ncx
+ */
+function ncx(srcs) {
+  const points = srcs.map((src, i) =>
+    `<navPoint id="p${i}" playOrder="${i + 1}"><navLabel><text>${i}</text></navLabel><content src="${src}"/></navPoint>`);
+  return `<?xml version="1.0"?>
+<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1">
+  <head/><docTitle><text>Test</text></docTitle>
+  <navMap>${points.join('')}</navMap>
+</ncx>`;
+}
+
+/**
+ * XHTML page with given body
+ * @param {string} body - Body content
+ * @returns {string} - XHTML document
+ */
+function page(body) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html PUBLIC "-//W3C//DTD XHTML 1.1//EN" "http://www.w3.org/TR/xhtml11/DTD/xhtml11.dtd">
+<html xmlns="http://www.w3.org/1999/xhtml"><head><title>Test</title></head><body>${body}</body></html>`;
+}
+
+/**
+ * Files of a valid book with index page and one day
+ * @returns {Object} - File contents by archive path
+ */
+function validBook() {
+  return {
+    'META-INF/container.xml': CONTAINER,
+    'OEBPS/content.opf': opf(`
+    <item id="indexpage" href="Text/indexpage.html" media-type="application/xhtml+xml"/>
+    <item id="B1" href="Text/01-06-2025.html" media-type="application/xhtml+xml"/>`, ['indexpage', 'B1']),
+    'OEBPS/toc.ncx': ncx(['Text/indexpage.html', 'Text/01-06-2025.html', 'Text/01-06-2025.html#Laudes']),
+    'OEBPS/Text/indexpage.html': page('<ul><li><a href="01-06-2025.html#Laudes">Laudes</a></li></ul>'),
+    'OEBPS/Text/01-06-2025.html': page('<h2 id="Laudes">Ad Laudes</h2><p>Deus<br/>in adjutorium</p>')
+  };
+}
+
+/**
+ * Zip files the way make() does
+ * @param {Object} files - File contents by archive path
+ * @param {Object} [mimetype] - Entry options of mimetype, null to leave it out
+ * @returns {Promise<Buffer>} - ZIP archive
+ */
+async function zip(files, mimetype = { store: true }) {
+  const archive = archiver('zip');
+  const chunks = [];
+  archive.on('data', chunk => chunks.push(chunk));
+  const done = new Promise((resolve, reject) => {
+    archive.on('end', resolve);
+    archive.on('error', reject);
+  });
+
+  if (mimetype) {
+    archive.append('application/epub+zip', { name: 'mimetype', ...mimetype });
+  }
+  Object.entries(files).forEach(([name, content]) => archive.append(content, { name }));
+
+  await archive.finalize();
+  await done;
+  return Buffer.concat(chunks);
+}
+
+describe('validate', () => {
+  test('accepts valid book', async () => {
+    assert.deepEqual(validate(await zip(validBook())), []);
+  });
+
+  test('rejects compressed mimetype', async () => {
+    const problems = validate(await zip(validBook(), { store: false }));
+    assert.deepEqual(problems, ['mimetype: compressed, must be stored']);
+  });
+
+  test('rejects missing mimetype', async () => {
+    assert.deepEqual(validate(await zip(validBook(), null)), ['mimetype: missing']);
+  });
+
+  test('rejects missing container', async () => {
+    const files = validBook();
+    delete files['META-INF/container.xml'];
+    assert.deepEqual(validate(await zip(files)), ['META-INF/container.xml: missing']);
+  });
+
+  test('rejects manifest id which is not XML ID', async () => {
+    const files = validBook();
+    files['OEBPS/Fonts/1 Font.ttf'] = 'x';
+    files['OEBPS/content.opf'] = files['OEBPS/content.opf'].replace('</manifest>',
+      '<item id="1 Font.ttf" href="Fonts/1%20Font.ttf" media-type="font/ttf"/></manifest>');
+    assert.deepEqual(validate(await zip(files)), [
+      'OEBPS/content.opf: manifest id "1 Font.ttf" is not a valid XML ID'
+    ]);
+  });
+
+  test('rejects manifest and spine inconsistency', async () => {
+    const files = validBook();
+    files['OEBPS/Text/extra.html'] = page('');
+    files['OEBPS/content.opf'] = opf(`
+    <item id="B1" href="Text/01-06-2025.html" media-type="application/xhtml+xml"/>
+    <item id="B1" href="Text/01-07-2025.html" media-type="application/xhtml+xml"/>`, ['B1', 'B2']);
+    assert.deepEqual(validate(await zip(files)), [
+      'OEBPS/content.opf: manifest id "B1" is used more than once',
+      'OEBPS/content.opf: manifest item "B1" refers to missing OEBPS/Text/01-07-2025.html',
+      'OEBPS/content.opf: OEBPS/Text/indexpage.html is not listed in manifest',
+      'OEBPS/content.opf: OEBPS/Text/extra.html is not listed in manifest',
+      'OEBPS/content.opf: spine item "B2" is not in manifest'
+    ]);
+  });
+
+  test('rejects obfuscated resources which are missing or not fonts', async () => {
+    const files = validBook();
+    const encrypted = uri => `<enc:EncryptedData><enc:EncryptionMethod Algorithm="http://www.idpf.org/2008/embedding"/>
+      <enc:CipherData><enc:CipherReference URI="${uri}"/></enc:CipherData></enc:EncryptedData>`;
+    files['OEBPS/Fonts/Test Serif.ttf'] = 'x';
+    files['OEBPS/content.opf'] = files['OEBPS/content.opf'].replace('</manifest>',
+      '<item id="font1" href="Fonts/Test%20Serif.ttf" media-type="application/x-font-ttf"/></manifest>');
+    files['META-INF/encryption.xml'] = `<?xml version="1.0"?>
+<encryption xmlns="urn:oasis:names:tc:opendocument:xmlns:container" xmlns:enc="http://www.w3.org/2001/04/xmlenc#">
+  ${encrypted('OEBPS/Fonts/Test%20Serif.ttf')}${encrypted('OEBPS/Fonts/Missing.ttf')}${encrypted('OEBPS/Text/indexpage.html')}
+</encryption>`;
+    assert.deepEqual(validate(await zip(files)), [
+      'META-INF/encryption.xml: encrypted resource OEBPS/Fonts/Missing.ttf is missing',
+      'META-INF/encryption.xml: obfuscated resource OEBPS/Text/indexpage.html is not a font'
+    ]);
+  });
+
+  test('rejects links to missing hour anchors', async () => {
+    const files = validBook();
+    files['OEBPS/toc.ncx'] = ncx(['Text/01-06-2025.html#Vesperae']);
+    files['OEBPS/Text/indexpage.html'] = page('<a href="01-06-2025.html#Vesperae">Vesperae</a><a href="01-07-2025.html">x</a>');
+    assert.deepEqual(validate(await zip(files)), [
+      'OEBPS/Text/indexpage.html: link to missing anchor 01-06-2025.html#Vesperae',
+      'OEBPS/Text/indexpage.html: link to missing file 01-07-2025.html',
+      'OEBPS/toc.ncx: link to missing anchor Text/01-06-2025.html#Vesperae'
+    ]);
+  });
+
+  test('rejects HTML serialization', async () => {
+    const files = validBook();
+    files['OEBPS/Text/01-06-2025.html'] = page('<h2 id="Laudes">Ad Laudes</h2><p>Deus&nbsp;in<br>adjutorium</p>');
+    // Anchors of a page which can't be parsed are not checked
+    const problems = validate(await zip(files));
+    assert.equal(problems.length, 1);
+    assert.match(problems[0], /^OEBPS\/Text\/01-06-2025.html: not well-formed: line 3:\d+: undefined entity/);
+  });
+
+  test('rejects duplicate ids', async () => {
+    const files = validBook();
+    files['OEBPS/Text/01-06-2025.html'] = page('<h2 id="Laudes">Ad Laudes</h2><h3 id="Laudes">Laudes</h3>');
+    assert.deepEqual(validate(await zip(files)), [
+      'OEBPS/Text/01-06-2025.html: id "Laudes" is used more than once'
+    ]);
+  });
+
+  test('rejects DOCTYPE of other EPUB version', async () => {
+    const files = validBook();
+    files['OEBPS/Text/01-06-2025.html'] = files['OEBPS/Text/01-06-2025.html'].replace(/<!DOCTYPE[^>]*>/, '<!DOCTYPE html>');
+    assert.deepEqual(validate(await zip(files)), [
+      'OEBPS/Text/01-06-2025.html: DOCTYPE is not the one of EPUB 2'
+    ]);
+  });
+
+  test('rejects lang attribute in EPUB 2', async () => {
+    const files = validBook();
+    files['OEBPS/Text/01-06-2025.html'] = files['OEBPS/Text/01-06-2025.html'].replace('<html xmlns="http://www.w3.org/1999/xhtml"', '<html xmlns="http://www.w3.org/1999/xhtml" xml:lang="la" lang="la"');
+    assert.deepEqual(validate(await zip(files)), [
+      'OEBPS/Text/01-06-2025.html: lang attribute is not allowed in EPUB 2'
+    ]);
+  });
+
+  test('rejects undeclared inline SVG in EPUB 3', async () => {
+    const files = validBook();
+    Object.keys(files).filter(name => name.endsWith('.html')).forEach(name => {
+      files[name] = files[name].replace(/<!DOCTYPE[^>]*>/, '<!DOCTYPE html>');
+    });
+    files['OEBPS/nav.xhtml'] = page('<nav><ol><li><a href="Text/01-06-2025.html">Day</a></li></ol></nav>').replace(/<!DOCTYPE[^>]*>/, '<!DOCTYPE html>');
+    files['OEBPS/Text/coverpage.html'] = page('<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 10 10"><rect width="10" height="10"/></svg>');
+    files['OEBPS/content.opf'] = files['OEBPS/content.opf'].replace('version="2.0"', 'version="3.0"')
+      .replace('Text/indexpage.html" media-type="application/xhtml+xml"', 'Text/indexpage.html" media-type="application/xhtml+xml" properties="svg"')
+      .replace('</manifest>', `<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>
+      <item id="coverpage" href="Text/coverpage.html" media-type="application/xhtml+xml"/></manifest>`);
+    assert.deepEqual(validate(await zip(files)), [
+      'OEBPS/Text/indexpage.html: properties="svg" in manifest without inline SVG',
+      'OEBPS/Text/coverpage.html: DOCTYPE is not the one of EPUB 3',
+      'OEBPS/Text/coverpage.html: inline SVG without properties="svg" in manifest'
+    ]);
+  });
+
+  test('rejects file which is not ZIP', () => {
+    assert.deepEqual(validate(Buffer.from('not an epub')), ['Not ZIP archive']);
+  });
+
+  test('command exits with 1 on problems', async () => {
+    const tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'do-epub-test-'));
+    try {
+      const good = path.join(tmp, 'good.epub');
+      const bad = path.join(tmp, 'bad.epub');
+      await fs.writeFile(good, await zip(validBook()));
+      await fs.writeFile(bad, await zip(validBook(), { store: false }));
+
+      const { stdout } = await execFilePromise(process.execPath, [MAIN, 'validate', good]);
+      assert.equal(stdout, `${good}: OK\n`);
+
+      await assert.rejects(
+        execFilePromise(process.execPath, [MAIN, 'validate', good, bad]),
+        err => {
+          assert.equal(err.code, 1);
+          assert.equal(err.stderr, `${bad}: mimetype: compressed, must be stored\n`);
+          return true;
+        }
+      );
+    } finally {
+      await fs.remove(tmp);
+    }
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * Tests of splitting date ranges into volumes
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isSplitBy, splitRange, volumeOutput } from '../src/lib/volumes.js';
+
+/**
+ * Split range given as YYYY-MM-DD dates
+ * @param {string} from - First date
+ * @param {string} to - Last date
+ * @param {string} splitBy - Period
+ * @returns {Array<string[]>} - Label, name and day count of every volume
+ */
+function split(from, to, splitBy) {
+  const date = d => {
+    const [year, month, day] = d.split('-').map(Number);
+    return new Date(year, month - 1, day);
+  };
+  return splitRange(date(from), date(to), splitBy)
+    .map(v => [v.label, v.name, Math.round((v.to - v.from) / 86400000) + 1]);
+}
+
+describe('isSplitBy', () => {
+  test('accepts periods', () => {
+    ['month', 'week', 'season', '1-days', '10-days'].forEach(p => assert.ok(isSplitBy(p), p));
+    ['year', '0-days', '10days', '-days', 'Month'].forEach(p => assert.ok(!isSplitBy(p), p));
+  });
+});
+
+describe('splitRange', () => {
+  test('splits by month', () => {
+    assert.deepEqual(split('2025-01-20', '2025-03-02', 'month'), [
+      ['2025-01', 'January 2025', 12],
+      ['2025-02', 'February 2025', 28],
+      ['2025-03', 'March 2025', 2]
+    ]);
+  });
+
+  test('splits by week from Sunday', () => {
+    assert.deepEqual(split('2025-01-06', '2025-01-20', 'week'), [
+      ['2025-01-06', 'Jan 6 – Jan 11, 2025', 6],
+      ['2025-01-12', 'Jan 12 – Jan 18, 2025', 7],
+      ['2025-01-19', 'Jan 19 – Jan 20, 2025', 2]
+    ]);
+  });
+
+  test('splits by liturgical season', () => {
+    assert.deepEqual(split('2025-11-01', '2026-02-10', 'season'), [
+      ['2025-pentecost', 'Time after Pentecost 2025', 29],
+      ['2025-advent', 'Advent 2025', 25],
+      ['2025-christmas', 'Christmastide 2025', 20],
+      ['2026-epiphany', 'Time after Epiphany 2026', 18],
+      ['2026-septuagesima', 'Septuagesima 2026', 10]
+    ]);
+  });
+
+  test('splits by number of days', () => {
+    assert.deepEqual(split('2025-12-28', '2026-01-10', '5-days'), [
+      ['2025-12-28', 'Dec 28, 2025 – Jan 1, 2026', 5],
+      ['2026-01-02', 'Jan 2 – Jan 6, 2026', 5],
+      ['2026-01-07', 'Jan 7 – Jan 10, 2026', 4]
+    ]);
+  });
+});
+
+describe('volumeOutput', () => {
+  test('adds label before extension', () => {
+    assert.equal(volumeOutput('do.epub', '2025-01'), 'do-2025-01.epub');
+    assert.equal(volumeOutput('/books/breviary.v2.epub', '2025-advent'), '/books/breviary.v2-2025-advent.epub');
+    assert.equal(volumeOutput('breviary', '2025-01'), 'breviary-2025-01');
+  });
+});